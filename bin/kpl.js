@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+/**
+ * @module kpl
+ * @description Command-line tool to run and inspect a league from a full
+ * backup file (the JSON written by "Export Full Backup"). It drives the same
+ * engine as the browser, so pairings, results and points never differ.
+ * Commands that change the league write the backup back to the same file,
+ * or to --out.
+ *
+ * Usage: node bin/kpl.js <command> <backup.json> [args] [--out file] [--admin] [--force]
+ */
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import * as Engine from '../js/engine.js';
+import { parseGamesInput } from '../js/match.js';
+import { leagueCSV, swissCSV, weekCSV, auditCSV } from '../js/reports.js';
+import { AUDIT_ACTIONS } from '../js/audit.js';
+import { scoreSheetCSV, previewScoreSheet } from '../js/scoresheet.js';
+import { rosterCSV, readRoster } from '../js/roster.js';
+
+const USAGE = `Usage: node bin/kpl.js <command> <backup.json> [args] [options]
+
+Commands:
+  create <roster>               Start a new league from a roster (CSV or JSON) into <backup.json>
+  show                          Status, current round, Swiss and league tables
+  league                        League standings
+  swiss                         Swiss standings with tiebreaks
+  round                         Matches of the current round
+  checkin [player=status ...]   Check in the week: status is present, absent or a substitute's name
+                                (players left out are present)
+  next                          Generate the next Swiss round and print pairings
+  score <match> <scores>        Record a result, e.g. score m2 11-7 or score m1 "11-7, 9-11, 11-5"
+  report <match> <team> <scores>
+                                Dual-entry scoring: <team>'s report of the full score (team A first)
+  forfeit <match> <team>        Record a forfeit by <team>
+  scores <sheet.csv>            Submit every pending result on a round score sheet
+  sub <team> <player> [name]    Substitute <name> for <player> this week (omit name to clear)
+  replace <team> <out> <in>     Replace a player on <team> from this week on
+  rename <old> <new>            Rename a team or a player everywhere
+  bracket                       Start the placement bracket
+  finalize                      Finalize the finished week and print placements
+  advance                       Advance to the next week
+  playoff                       Start the season playoff once the last week is finalized
+  finale                        Season playoff standings and the champion
+  audit [filter ...]            The audit log, newest first; filter by action (result,
+                                override, forfeit, dispute, correction, import, finalize,
+                                reset, undo, redo), week number, or text to find
+  csv <league|swiss|week> [n]   Print a CSV export (week n defaults to the latest)
+  csv sheet                     Print a blank score sheet for the current round
+  csv roster                    Print the teams and players as a roster CSV
+  csv audit [filter ...]        Print the audit log as CSV
+
+<match> is a match id (w1-swiss-r2-m3) or its number in the current round (m3 or 3).
+e.g. checkin Alice=absent "Bob=Carl Diaz" — Alice is out and Carl Diaz subs for Bob.
+Quote names that contain spaces.
+
+Options:
+  --out <file>   Write the updated backup (or the CSV) to <file>
+  --admin        Allow score to correct an already submitted match or resolve a dispute;
+                 with dual-entry scoring, needed by scores to submit the sheet as overrides
+  --dry-run      With scores: check the sheet without submitting anything
+  --force        Let create replace an existing backup file`;
+
+// --- Output ---
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+/** Plain-text table with left-aligned, padded columns. */
+function formatTable(headers, rows) {
+  const widths = headers.map((h, i) => Math.max(String(h).length, ...rows.map(r => String(r[i]).length)));
+  const line = cells => cells.map((c, i) => String(c).padEnd(widths[i])).join('  ').trimEnd();
+  return [line(headers), line(widths.map(w => '-'.repeat(w))), ...rows.map(line)].join('\n');
+}
+
+function printStatus() {
+  const { week, phase } = Engine.getStandings();
+  const { matches } = Engine.getRound();
+  const pending = matches.filter(m => m.status === 'pending').length;
+  const disputed = Engine.getDisputes().length;
+  console.log(`Week ${week} — ${phase}${pending > 0 ? ` — ${pending} pending` : ''}${disputed > 0 ? ` (${disputed} disputed)` : ''}`);
+}
+
+function printLeague() {
+  const { league } = Engine.getStandings();
+  console.log(formatTable(
+    ['Rank', 'Player', 'Team', 'Pts', 'W', 'L', 'PD', 'Att'],
+    league.map(p => [p.rank, p.name, p.team, p.pts, p.w, p.l, p.pd,
+      p.attendance.weeks > 0 ? `${p.attendance.attended}/${p.attendance.weeks}` : '-'])
+  ));
+}
+
+function printSwiss() {
+  const { swiss } = Engine.getStandings();
+  const keys = swiss.length > 0 ? Object.keys(swiss[0].tiebreaks) : [];
+  console.log(formatTable(
+    ['Seed', 'Team', 'W', 'L', 'PD', ...keys, 'Tiebreak'],
+    swiss.map((t, i) => [
+      t.seed, t.team, t.w, t.l, t.pd, ...keys.map(k => t.tiebreaks[k]),
+      t.decidedBy && swiss[i + 1] ? `${t.decidedBy} over ${swiss[i + 1].team}` : '',
+    ])
+  ));
+}
+
+const formatGames = games => games.map(g => `${g.a}-${g.b}`).join(', ');
+
+/** Pending status, with any dual-entry reports: who has reported, or the two disputed scores. */
+function describePending(m) {
+  const reports = Object.entries(m.reports || {});
+  if (m.disputed) return `disputed — ${reports.map(([team, games]) => `${team} reported ${formatGames(games)}`).join(', ')}`;
+  return reports.length > 0 ? `pending (${reports.map(([team]) => team).join(', ')} reported)` : 'pending';
+}
+
+function describeMatch(m) {
+  if (m.status === 'bye') return `${m.teamA} — bye`;
+  const score = m.status === 'submitted' ? formatGames(m.games) : describePending(m);
+  const flags = [m.bestOf === 3 ? 'Bo3' : null, m.forfeit ? `forfeit by ${m.forfeit}` : null, m.admin ? 'admin' : null]
+    .filter(Boolean);
+  return `${m.teamA} vs ${m.teamB}  ${score}${flags.length ? `  (${flags.join(', ')})` : ''}`;
+}
+
+function printRound(round = Engine.getRound()) {
+  if (!round.round) {
+    console.log('No round generated yet this week');
+    return;
+  }
+  if (round.phase === 'playoff') {
+    const { name } = Engine.getPlayoff().rounds.find(r => r.round === round.round);
+    console.log(`Season Playoff – ${name}`);
+  } else {
+    const title = round.phase === 'swiss' ? 'Swiss' : 'Bracket';
+    console.log(`Week ${round.week} – ${title} Round ${round.round}`);
+  }
+  round.matches.forEach(m => {
+    console.log(`  ${m.id.split('-').pop().padEnd(4)}${describeMatch(m)}`);
+    if (m.note) console.log(`      ${m.note}`);
+  });
+}
+
+function printFinale() {
+  const playoff = Engine.getPlayoff();
+  if (!playoff) {
+    console.log('The season playoff has not started');
+    return;
+  }
+  if (playoff.champion) console.log(`Champion: ${playoff.champion.team} (${playoff.champion.players.join(' / ')})`);
+  console.log(formatTable(
+    ['Place', 'Seed', 'Team', 'Players', 'Result'],
+    playoff.standings.map(s => [s.place ?? '-', s.seed, s.team, s.players.join(' / '), s.result])
+  ));
+}
+
+/** Audit filters from command arguments: an action name, a week number, or text. */
+function auditFilters(args) {
+  const filters = {};
+  args.forEach(arg => {
+    if (AUDIT_ACTIONS[arg]) filters.action = arg;
+    else if (/^\d+$/.test(arg)) filters.week = parseInt(arg, 10);
+    else filters.text = arg;
+  });
+  return filters;
+}
+
+function printAudit(args) {
+  const entries = Engine.getAudit(auditFilters(args));
+  if (entries.length === 0) {
+    console.log('No audit entries');
+    return;
+  }
+  entries.forEach(e => {
+    console.log(`${e.at}  ${AUDIT_ACTIONS[e.action] || e.action}  Week ${e.week}  ${e.summary}`);
+    e.changes.forEach(c => console.log(`    ${c.item}: ${c.before ?? '—'} → ${c.after ?? '—'}`));
+  });
+}
+
+// --- Arguments ---
+
+function parseArgs(argv) {
+  const args = [];
+  const options = { out: null, admin: false, dryRun: false, force: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--out') options.out = argv[++i];
+    else if (argv[i] === '--admin') options.admin = true;
+    else if (argv[i] === '--dry-run') options.dryRun = true;
+    else if (argv[i] === '--force') options.force = true;
+    else if (argv[i] === '--help' || argv[i] === '-h') options.help = true;
+    else args.push(argv[i]);
+  }
+  return { args, options };
+}
+
+/** A match id, or the match's number within the current round. */
+function resolveMatchId(arg) {
+  const { matches } = Engine.getRound();
+  if (matches.some(m => m.id === arg)) return arg;
+  const number = /^m?(\d+)$/i.exec(arg || '');
+  const match = number && matches.find(m => m.id.endsWith(`-m${number[1]}`));
+  if (!match) fail(`No match "${arg}" in the current round`);
+  return match.id;
+}
+
+function loadBackup(file) {
+  let backup;
+  try {
+    backup = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    fail(`Cannot read backup ${file}: ${err.message}`);
+  }
+  // Opening the league's own file is not an import, so it isn't audit-logged
+  const result = Engine.importBackup(backup, { audit: false });
+  if (result.error) fail(result.error);
+}
+
+function saveBackup(file) {
+  writeFileSync(file, JSON.stringify(Engine.exportBackup(), null, 2));
+  console.log(`Saved ${file}`);
+}
+
+function check(result) {
+  if (result.error) fail(result.error);
+  return result;
+}
+
+// --- Commands ---
+
+const READ_COMMANDS = {
+  show() {
+    printStatus();
+    console.log('');
+    printRound();
+    console.log('');
+    printSwiss();
+    console.log('');
+    printLeague();
+  },
+  league: () => printLeague(),
+  swiss: () => printSwiss(),
+  round: () => printRound(),
+  finale: () => printFinale(),
+  audit: args => printAudit(args),
+  csv([kind, ...rest], options) {
+    const [weekArg] = rest;
+    let csv;
+    if (kind === 'league') csv = leagueCSV();
+    else if (kind === 'swiss') csv = swissCSV();
+    else if (kind === 'sheet') csv = scoreSheetCSV(Engine.getRound());
+    else if (kind === 'roster') csv = rosterCSV(Engine.exportBackup().teams);
+    else if (kind === 'audit') csv = auditCSV(Engine.getAudit(auditFilters(rest)));
+    else if (kind === 'week') {
+      const archive = Engine.exportBackup().archive;
+      const week = weekArg ? parseInt(weekArg, 10) : archive.length && archive[archive.length - 1].week;
+      const entry = archive.find(w => w.week === week);
+      if (!entry) fail(weekArg ? `Week ${weekArg} is not finalized` : 'No finished week yet');
+      csv = weekCSV(entry);
+    } else {
+      fail('csv needs league, swiss, week, sheet, roster or audit');
+    }
+    if (options.out) {
+      writeFileSync(options.out, csv);
+      console.log(`Saved ${options.out}`);
+    } else {
+      process.stdout.write(csv);
+    }
+  },
+};
+
+const WRITE_COMMANDS = {
+  create([rosterFile]) {
+    if (!rosterFile) fail('create needs a roster file');
+    let text;
+    try {
+      text = readFileSync(rosterFile, 'utf8');
+    } catch (err) {
+      fail(`Cannot read roster ${rosterFile}: ${err.message}`);
+    }
+    const { roster } = check(readRoster(text));
+    const { teams } = check(Engine.createLeague(roster));
+    console.log(`Started Week 1 with ${teams.length} teams: ${teams.join(', ')}`);
+  },
+  checkin(pairs) {
+    const entries = pairs.map(pair => {
+      const split = pair.indexOf('=');
+      if (split < 1) fail(`"${pair}" is not player=status`);
+      const player = pair.slice(0, split).trim();
+      const value = pair.slice(split + 1).trim();
+      if (value === 'present' || value === 'absent') return { player, status: value };
+      return { player, status: 'subbed', sub: value };
+    });
+    const { week, attendance, forfeits } = check(Engine.checkIn(entries));
+    const away = Object.keys(attendance).filter(name => attendance[name] !== 'present');
+    console.log(`Week ${week} checked in${away.length > 0 ? ` — ${away.map(n => `${n} ${attendance[n]}`).join(', ')}` : ' — everyone present'}`);
+    if (forfeits.length > 0) console.log(`Forfeiting this week: ${forfeits.join(', ')}`);
+  },
+  next() {
+    printRound(check(Engine.generateRound()));
+  },
+  score([match, ...scores], options) {
+    if (!match || scores.length === 0) fail('score needs a match and its scores');
+    const games = parseGamesInput(scores.join(','));
+    const { match: record } = check(Engine.submitResult(resolveMatchId(match), games, { admin: options.admin }));
+    console.log(`Recorded ${describeMatch(record)}`);
+  },
+  report([match, team, ...scores]) {
+    if (!match || !team || scores.length === 0) fail('report needs a match, the reporting team and the scores');
+    const games = parseGamesInput(scores.join(','));
+    const { match: record, confirmed, disputed } = check(Engine.reportScore(resolveMatchId(match), team, games));
+    if (confirmed) console.log(`Confirmed ${describeMatch(record)}`);
+    else if (disputed) console.log(`Disputed: ${describeMatch(record)} — resolve with score --admin`);
+    else console.log(`Reported by ${team}: ${record.teamA} vs ${record.teamB} — waiting for the other team`);
+  },
+  forfeit([match, ...team]) {
+    if (!match || team.length === 0) fail('forfeit needs a match and the forfeiting team');
+    const { match: record } = check(Engine.forfeitMatch(resolveMatchId(match), team.join(' ')));
+    console.log(`Recorded ${describeMatch(record)}`);
+  },
+  scores([sheet], options) {
+    if (!sheet) fail('scores needs a score sheet CSV');
+    let text;
+    try {
+      text = readFileSync(sheet, 'utf8');
+    } catch (err) {
+      fail(`Cannot read score sheet ${sheet}: ${err.message}`);
+    }
+    const preview = check(previewScoreSheet(text, Engine.getRound()));
+    preview.rows.forEach(r => {
+      console.log(`  line ${String(r.line).padEnd(4)}${r.teamA} vs ${r.teamB}  ${r.scores}  ${r.problem ? `— ${r.problem}` : '✓'}`);
+    });
+    if (preview.missing.length > 0) console.log(`Not on the sheet, still pending: ${preview.missing.join(', ')}`);
+    if (options.dryRun) return false; // nothing changed, nothing to save
+    if (preview.results.length === 0) fail('No results on the sheet can be submitted');
+    const { matches } = check(Engine.submitResults(preview.results, { admin: options.admin }));
+    console.log(`Recorded ${matches.length} result${matches.length === 1 ? '' : 's'}`);
+  },
+  sub([team, player, name = null]) {
+    if (!team || !player) fail('sub needs a team and a player');
+    const { lineup } = check(Engine.setSubstitute(team, player, name));
+    console.log(`${team} this week: ${lineup.join(' / ')}`);
+  },
+  replace([team, playerOut, playerIn]) {
+    if (!team || !playerOut || !playerIn) fail('replace needs a team, the player leaving and the player joining');
+    const { players } = check(Engine.replacePlayer(team, playerOut, playerIn));
+    console.log(`${team} roster: ${players.join(' / ')}`);
+  },
+  rename([oldName, newName]) {
+    if (!oldName || !newName) fail('rename needs the current and the new name');
+    const isTeam = Engine.getRosters().some(t => t.name === oldName);
+    check(isTeam ? Engine.renameTeam(oldName, newName) : Engine.renamePlayer(oldName, newName));
+    console.log(`Renamed ${isTeam ? 'team' : 'player'} ${oldName} → ${newName.trim()}`);
+  },
+  bracket() {
+    printRound(check(Engine.startBracket()));
+  },
+  finalize() {
+    const { week, entry } = check(Engine.finalizeWeek());
+    console.log(`Week ${week} placements`);
+    console.log(formatTable(
+      ['Place', 'Team', 'Players', 'W', 'L', 'PD', 'Pts'],
+      entry.placements.map(p => [p.place, p.team, p.players.join(' / '), p.w, p.l, p.pd, p.pts])
+    ));
+  },
+  advance() {
+    const { week } = check(Engine.nextWeek());
+    console.log(`Advanced to Week ${week}`);
+  },
+  playoff() {
+    const round = check(Engine.startPlayoff());
+    console.log(`Seeds: ${round.seeds.map(s => `${s.seed}. ${s.team} (${s.pts} pts)`).join(', ')}`);
+    printRound(round);
+  },
+};
+
+function main() {
+  const { args, options } = parseArgs(process.argv.slice(2));
+  const [command, file, ...rest] = args;
+  if (options.help || !command || command === 'help') {
+    console.log(USAGE);
+    return;
+  }
+  const run = READ_COMMANDS[command] || WRITE_COMMANDS[command];
+  if (!run) fail(`Unknown command "${command}"\n\n${USAGE}`);
+  if (!file) fail(`${command} needs a backup file`);
+
+  // create starts from a roster, so there is no backup to read yet — and one
+  // already at the target is a league that a mistyped command would wipe out
+  if (command === 'create') {
+    const target = options.out || file;
+    if (existsSync(target) && !options.force) fail(`${target} already exists — use --force to replace it, or pick a new file`);
+  } else {
+    loadBackup(file);
+  }
+  // Follow-on effects (the next bracket round, finalizing the week, crowning
+  // the champion) happen inside the command; report them after its own output
+  const followUps = [];
+  Engine.on('warning', ({ message }) => console.warn(`Warning: ${message}`));
+  Engine.on('roundGenerated', round => {
+    if (['score', 'report', 'forfeit', 'scores'].includes(command)) followUps.push(() => printRound(round));
+  });
+  Engine.on('weekFinalized', ({ week }) => followUps.push(() => console.log(`Week ${week} finalized`)));
+  Engine.on('championCrowned', ({ champion }) => followUps.push(() => {
+    console.log(`${champion.team} crowned champion`);
+    printFinale();
+  }));
+
+  const changed = run(rest, options);
+  followUps.forEach(report => report());
+  if (WRITE_COMMANDS[command] && changed !== false) saveBackup(options.out || file);
+}
+
+main();
@@ -0,0 +1,333 @@
+#!/usr/bin/env node
+/**
+ * @module server
+ * @description Optional local-network server for scoring from phones. It
+ * serves the app and a small JSON API on the venue's Wi-Fi — no internet
+ * needed, no packages to install. The league page open on the laptop running
+ * the server stays the one source of truth: it sends the league here after
+ * every save, and collects the scores phones send. Each score is checked
+ * here first (a pending match of the current round, valid game scores), then
+ * queued until the league page submits it through the engine like a score
+ * typed on the match card. Phones read the round and send scores; only the
+ * laptop itself may change the league copy or answer queued scores. With
+ * dual-entry scoring each team reports with its own code for the week, shown
+ * on the league page, so one phone cannot report for both teams of a match.
+ *
+ * Usage: node bin/server.js [--port 3000]
+ */
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { networkInterfaces } from 'node:os';
+import { dirname, extname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { randomInt, randomUUID } from 'node:crypto';
+import * as Engine from '../js/engine.js';
+import { DUAL_ENTRY_SCORES, describeScoringRule } from '../js/config.js';
+import { getScoringRule, validateGames } from '../js/match.js';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_PORT = 3000;
+const LEAGUE_BODY_LIMIT = 5 * 1024 * 1024;
+const SCORE_BODY_LIMIT = 10 * 1024;
+const SUBMISSIONS_KEPT = 200;
+const TEAM_CODE_DIGITS = 4;
+/** Wrong team codes a phone may send before its reports are refused. */
+const WRONG_CODES_ALLOWED = 10;
+
+/** Files served to browsers: the pages, the stylesheet, the logo and js/. */
+const PUBLIC_PATH = /^\/(?:[\w-]+\.(?:html|css|png)|js\/[\w-]+\.js)$/;
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.png': 'image/png',
+};
+const LOCAL_ADDRESSES = new Set(['127.0.0.1', '::1', '::ffff:127.0.0.1']);
+
+let leagueUpdatedAt = null;
+/** Scores sent from phones, oldest first: { id, matchId, team, games, at, status, error } */
+const submissions = [];
+/** Dual-entry team codes: "week:team" → code, made when the league page first asks */
+const teamCodes = new Map();
+/** Wrong team codes sent, by phone address */
+const wrongCodes = new Map();
+
+// --- Helpers ---
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+/** Whether the request comes from the laptop running the server. */
+function isLocal(req) {
+  return LOCAL_ADDRESSES.has(req.socket.remoteAddress);
+}
+
+function requireLocal(req) {
+  if (!isLocal(req)) throw new HttpError(403, 'Only the league page on the server laptop can do this');
+}
+
+/** Read and parse a JSON request body of at most `limit` bytes. */
+async function readJSON(req, limit) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > limit) throw new HttpError(413, 'Request too large');
+    chunks.push(chunk);
+  }
+  try {
+    return JSON.parse(Buffer.concat(chunks).toString('utf8') || 'null');
+  } catch (err) {
+    throw new HttpError(400, 'Request is not valid JSON');
+  }
+}
+
+/** http:// addresses phones on the same network can open. */
+function networkUrls(port) {
+  return Object.values(networkInterfaces())
+    .flat()
+    .filter(i => i && i.family === 'IPv4' && !i.internal)
+    .map(i => `http://${i.address}:${port}/phone.html`);
+}
+
+// --- League ---
+
+/** Round title as the phone page shows it, e.g. "Week 3 – Swiss Round 2". */
+function roundTitle(round) {
+  if (round.phase === 'playoff') {
+    const info = Engine.getPlayoff().rounds.find(r => r.round === round.round);
+    return `Season Playoff – ${info ? info.name : `Round ${round.round}`}`;
+  }
+  const phase = round.phase === 'swiss' ? 'Swiss' : 'Bracket';
+  return `Week ${round.week} – ${phase} Round ${round.round}`;
+}
+
+/** The current round for phones — team names and scores only, no history or audit log. */
+function currentRound() {
+  const round = Engine.getRound();
+  return {
+    title: roundTitle(round),
+    week: round.week,
+    phase: round.phase,
+    dualEntry: DUAL_ENTRY_SCORES,
+    updatedAt: leagueUpdatedAt,
+    matches: round.matches.map(m => ({
+      id: m.id,
+      teamA: m.teamA,
+      teamB: m.teamB,
+      status: m.status,
+      bestOf: m.bestOf,
+      scoring: m.scoring,
+      phase: m.phase,
+      rule: describeScoringRule(getScoringRule(m)),
+      games: m.status === 'submitted' ? m.games : [],
+      forfeit: m.forfeit || null,
+      disputed: !!m.disputed,
+      reportedBy: Object.keys(m.reports || {}),
+      waiting: submissions.some(s => s.status === 'queued' && s.matchId === m.id),
+    })),
+  };
+}
+
+// --- Team Codes ---
+
+/** A team's code for reporting scores this week, made the first time it is needed. */
+function teamCode(week, team) {
+  const key = `${week}:${team}`;
+  if (!teamCodes.has(key)) teamCodes.set(key, String(randomInt(10 ** TEAM_CODE_DIGITS)).padStart(TEAM_CODE_DIGITS, '0'));
+  return teamCodes.get(key);
+}
+
+/** Codes of the teams playing the current round, for the league page to hand out. */
+function currentCodes() {
+  const round = Engine.getRound();
+  const teams = [...new Set(round.matches.flatMap(m => [m.teamA, m.teamB]).filter(Boolean))];
+  return { week: round.week, codes: teams.map(team => ({ team, code: teamCode(round.week, team) })) };
+}
+
+/**
+ * Why a phone's team code is refused, if it is. Codes are short enough to
+ * type, so a phone that keeps guessing is turned away.
+ * @returns {string|null}
+ */
+function checkTeamCode(req, week, team, code) {
+  const address = req.socket.remoteAddress;
+  if ((wrongCodes.get(address) || 0) >= WRONG_CODES_ALLOWED) {
+    return 'Too many wrong team codes — ask the organizer to enter your score';
+  }
+  if (String(code ?? '').trim() === teamCode(week, team)) return null;
+  wrongCodes.set(address, (wrongCodes.get(address) || 0) + 1);
+  return `Wrong code for ${team} — the organizer has your team's code`;
+}
+
+// --- Submissions ---
+
+/**
+ * Why a score sent from a phone cannot be queued, if anything. The league
+ * page checks it again through the engine before it counts.
+ * @returns {string|null}
+ */
+function checkSubmission(req, { matchId, team, code, games }) {
+  const round = Engine.getRound();
+  const record = round.matches.find(m => m.id === matchId);
+  if (!record) return 'That match is not in the current round';
+  if (record.status !== 'pending') return 'This match already has a result';
+  if (DUAL_ENTRY_SCORES) {
+    if (team !== record.teamA && team !== record.teamB) return 'Choose which team you are';
+    if (record.disputed) return 'Scores disputed — the organizer will settle this match';
+    const wrongCode = checkTeamCode(req, round.week, team, code);
+    if (wrongCode) return wrongCode;
+  }
+  if (!Array.isArray(games) || !games.every(g => g && Number.isInteger(g.a) && Number.isInteger(g.b))) {
+    return 'Enter a score for every game played';
+  }
+  const error = validateGames(games, record.bestOf, getScoringRule(record));
+  if (error) return error;
+  const waiting = submissions.some(s => s.status === 'queued' && s.matchId === matchId &&
+    (!DUAL_ENTRY_SCORES || s.team === team));
+  return waiting ? 'A score for this match is already waiting for the scorer\'s table' : null;
+}
+
+/** Keep the list short, forgetting the oldest answered submissions first. */
+function trimSubmissions() {
+  while (submissions.length > SUBMISSIONS_KEPT) {
+    const answered = submissions.findIndex(s => s.status !== 'queued');
+    if (answered === -1) break;
+    submissions.splice(answered, 1);
+  }
+}
+
+function findSubmission(id) {
+  const submission = submissions.find(s => s.id === id);
+  if (!submission) throw new HttpError(404, 'Score not found — the server may have restarted');
+  return submission;
+}
+
+const publicSubmission = ({ id, matchId, team, status, error }) => ({ id, matchId, team, status, error });
+
+// --- API ---
+
+/** Answer an /api/ request. */
+async function handleApi(req, res, path) {
+  const method = req.method;
+  if (method === 'GET' && path === '/api/ping') {
+    return sendJSON(res, 200, { local: isLocal(req), urls: networkUrls(req.socket.localPort) });
+  }
+
+  if (path === '/api/league') {
+    if (method === 'PUT') {
+      requireLocal(req);
+      const result = Engine.importBackup(await readJSON(req, LEAGUE_BODY_LIMIT), { audit: false });
+      if (result.error) throw new HttpError(400, result.error);
+      leagueUpdatedAt = new Date().toISOString();
+      return sendJSON(res, 200, { updatedAt: leagueUpdatedAt });
+    }
+    if (method === 'GET') {
+      if (!leagueUpdatedAt) throw new HttpError(503, 'No league yet — open the league page on the server laptop');
+      return sendJSON(res, 200, currentRound());
+    }
+  }
+
+  if (path === '/api/scores' && method === 'POST') {
+    if (!leagueUpdatedAt) throw new HttpError(503, 'No league yet — open the league page on the server laptop');
+    const body = await readJSON(req, SCORE_BODY_LIMIT) || {};
+    const error = checkSubmission(req, body);
+    if (error) throw new HttpError(409, error);
+    const submission = {
+      id: randomUUID(),
+      matchId: body.matchId,
+      team: DUAL_ENTRY_SCORES ? body.team : null,
+      games: body.games.map(g => ({ a: g.a, b: g.b })),
+      at: new Date().toISOString(),
+      status: 'queued',
+      error: null,
+    };
+    submissions.push(submission);
+    trimSubmissions();
+    return sendJSON(res, 202, publicSubmission(submission));
+  }
+
+  const score = path.match(/^\/api\/scores\/([\w-]+)$/);
+  if (score && method === 'GET') return sendJSON(res, 200, publicSubmission(findSubmission(score[1])));
+
+  if (path === '/api/codes' && method === 'GET') {
+    requireLocal(req);
+    if (!leagueUpdatedAt || !DUAL_ENTRY_SCORES) return sendJSON(res, 200, { week: null, codes: [] });
+    return sendJSON(res, 200, currentCodes());
+  }
+
+  if (path === '/api/submissions' && method === 'GET') {
+    requireLocal(req);
+    return sendJSON(res, 200, submissions.filter(s => s.status === 'queued'));
+  }
+
+  const answer = path.match(/^\/api\/submissions\/([\w-]+)$/);
+  if (answer && method === 'POST') {
+    requireLocal(req);
+    const submission = findSubmission(answer[1]);
+    const { error } = await readJSON(req, SCORE_BODY_LIMIT) || {};
+    submission.status = error ? 'rejected' : 'accepted';
+    submission.error = error ? String(error) : null;
+    return sendJSON(res, 200, publicSubmission(submission));
+  }
+
+  throw new HttpError(404, 'Not found');
+}
+
+// --- Static Files ---
+
+async function serveFile(req, res, path) {
+  if (path === '/') path = '/index.html';
+  if (req.method !== 'GET' || !PUBLIC_PATH.test(path)) throw new HttpError(404, 'Not found');
+  let body;
+  try {
+    body = await readFile(join(ROOT, path));
+  } catch (err) {
+    throw new HttpError(404, 'Not found');
+  }
+  res.writeHead(200, { 'Content-Type': CONTENT_TYPES[extname(path)], 'Cache-Control': 'no-cache' });
+  res.end(body);
+}
+
+// --- Server ---
+
+async function handle(req, res) {
+  const path = new URL(req.url, 'http://localhost').pathname;
+  try {
+    if (path.startsWith('/api/')) await handleApi(req, res, path);
+    else await serveFile(req, res, path);
+  } catch (err) {
+    if (!(err instanceof HttpError)) console.error(err);
+    const status = err instanceof HttpError ? err.status : 500;
+    const message = err instanceof HttpError ? err.message : 'Server error';
+    if (path.startsWith('/api/')) sendJSON(res, status, { error: message });
+    else res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' }).end(message);
+  }
+}
+
+function readPort(args) {
+  const i = args.indexOf('--port');
+  const port = i === -1 ? parseInt(process.env.PORT || DEFAULT_PORT, 10) : parseInt(args[i + 1], 10);
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    console.error('Usage: node bin/server.js [--port 3000]');
+    process.exit(1);
+  }
+  return port;
+}
+
+const port = readPort(process.argv.slice(2));
+createServer(handle).listen(port, () => {
+  console.log(`KPL server running — league page: http://localhost:${port}/`);
+  const urls = networkUrls(port);
+  if (urls.length === 0) console.log('No network found — connect this laptop to the venue Wi-Fi for phone scoring');
+  urls.forEach(url => console.log(`Phones on the same Wi-Fi: ${url}`));
+});
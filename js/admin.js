@@ -0,0 +1,145 @@
+/**
+ * @module admin
+ * @description Admin mode — overrides, league resets, imports and history
+ * edits are admin-only once an admin PIN is set. The PIN is stored in
+ * localStorage only as a salted SHA-256 hash, and unlocking lasts until the
+ * page is reloaded or locked again. With no PIN set, everyone is admin.
+ * The engine and the CLI are not gated; this guards the browser app only.
+ * Hashing needs a secure page (https or localhost): on a plain-http network
+ * address, e.g. another device on bin/server.js, a PIN can be neither set nor
+ * checked, and admin actions behind one say so.
+ */
+import * as UI from './ui.js';
+
+const PIN_KEY = 'leagueAdminPin';
+const PIN_PATTERN = /^\d{4,12}$/;
+
+let unlocked = false;
+
+// --- PIN Storage ---
+
+/** Stored { salt, hash }, or null if no PIN is set. */
+function readPin() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(PIN_KEY) || 'null');
+    return stored && stored.salt && stored.hash ? stored : null;
+  } catch (err) {
+    console.error('Failed to read the admin PIN:', err);
+    return null;
+  }
+}
+
+/**
+ * Why a PIN cannot be set or checked on this page, or null if it can.
+ * crypto.subtle only exists on secure pages.
+ * @returns {string|null}
+ */
+export function pinUnavailable() {
+  if (typeof crypto !== 'undefined' && crypto.subtle) return null;
+  return 'The admin PIN only works on a secure page — open the league at http://localhost or over https';
+}
+
+async function hashPin(pin, salt) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${salt}:${pin}`));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/** Reflect the current mode in the page. */
+function showMode() {
+  UI.updateAdminMode(isAdmin(), hasPin());
+}
+
+/**
+ * Whether an admin PIN has been set on this device.
+ * @returns {boolean}
+ */
+export function hasPin() {
+  return readPin() !== null;
+}
+
+/**
+ * Whether admin actions are allowed right now: unlocked, or no PIN set.
+ * @returns {boolean}
+ */
+export function isAdmin() {
+  return unlocked || !hasPin();
+}
+
+/**
+ * Set or change the admin PIN; the page stays unlocked.
+ * @param {string} pin - 4–12 digits
+ * @returns {Promise<string|null>} Error message, or null on success
+ */
+export async function setPin(pin) {
+  if (!PIN_PATTERN.test(pin || '')) return 'The PIN must be 4 to 12 digits';
+  const unavailable = pinUnavailable();
+  if (unavailable) return unavailable;
+  const salt = [...crypto.getRandomValues(new Uint8Array(16))].map(b => b.toString(16).padStart(2, '0')).join('');
+  try {
+    localStorage.setItem(PIN_KEY, JSON.stringify({ salt, hash: await hashPin(pin, salt) }));
+  } catch (err) {
+    return `The PIN could not be saved — ${err.message}`;
+  }
+  unlocked = true;
+  showMode();
+  return null;
+}
+
+/** Remove the admin PIN, which makes everyone admin again. */
+export function clearPin() {
+  try {
+    localStorage.removeItem(PIN_KEY);
+  } catch (err) {
+    console.error('Failed to remove the admin PIN:', err);
+  }
+  unlocked = false;
+  showMode();
+}
+
+/**
+ * Unlock admin mode with the PIN.
+ * @param {string} pin - PIN as typed
+ * @returns {Promise<boolean>} True if the PIN matched; false as well when
+ *   the page cannot check it (see pinUnavailable)
+ */
+export async function unlock(pin) {
+  const stored = readPin();
+  if (!stored) return true;
+  if (pinUnavailable()) return false;
+  unlocked = (await hashPin(pin, stored.salt)) === stored.hash;
+  showMode();
+  return unlocked;
+}
+
+/** Lock admin mode until the PIN is entered again. */
+export function lock() {
+  unlocked = false;
+  showMode();
+}
+
+// --- Gate ---
+
+/**
+ * Make sure the user is admin before an admin-only action, asking for the
+ * PIN if the page is locked.
+ * @param {string} action - What needs admin, e.g. "Resetting the league"
+ * @returns {Promise<boolean>} True if the action may go ahead
+ */
+export async function requireAdmin(action) {
+  if (isAdmin()) return true;
+  const unavailable = pinUnavailable();
+  if (unavailable) {
+    UI.showNotification(`${action} is admin-only. ${unavailable}`, 6000);
+    return false;
+  }
+  const pin = await UI.showPinPrompt('Admin PIN', `${action} is admin-only. Enter the admin PIN:`);
+  if (pin === null) return false;
+  if (await unlock(pin)) return true;
+  UI.showNotification('Wrong PIN', 3000);
+  return false;
+}
+
+/** Show the current mode once the page has loaded. */
+export function initAdminMode() {
+  showMode();
+}
@@ -4,29 +4,48 @@
  * all button/file event handlers, and loads saved state on startup.
  * This is the only module that touches the DOM directly for initialization.
  */
-import { TEAM_COUNT, PLAYERS_PER_TEAM } from './config.js';
+import { TEAM_COUNT, MIN_TEAMS, MAX_TEAMS, PLAYERS_PER_TEAM, isValidTeamCount } from './config.js';
 import * as State from './state.js';
 import * as UI from './ui.js';
-import { nextSwissRound } from './swiss.js';
-import { startBracket, nextWeek } from './bracket.js';
+import * as Engine from './engine.js';
+import { showRound, showFinale, restoreRounds } from './cards.js';
+import { parseGamesInput } from './match.js';
+import { undoAction, redoAction } from './history.js';
+import * as Admin from './admin.js';
+import { initPhoneScoring } from './remote.js';
 import {
   exportFullBackup, importFullBackup,
   exportLeagueCSV, importLeagueCSV,
   exportSwissCSV, importSwissCSV,
+  exportWeekCSV, exportAuditCSV,
+  exportScoreSheet, importScoreSheet,
+  exportRoster, importRoster,
 } from './csv.js';
 
 // --- League Initialization ---
 async function startLeague() {
   // If league already exists, confirm before resetting
   if (State.hasTeams()) {
+    if (!(await Admin.requireAdmin('Resetting the league'))) return;
     const confirmed = await UI.showConfirm(
       'Reset League?',
-      'This will erase all current league data including standings, scores, and history. This cannot be undone.'
+      'This will erase all current league data including standings, scores, and history. Use Undo to bring it back.'
     );
     if (!confirmed) return;
   }
 
-  // Validate all names (teams and players)
+  if (!isValidTeamCount(document.querySelectorAll('.teamName').length)) {
+    return UI.showNotification(`Choose a number of teams from ${MIN_TEAMS} to ${MAX_TEAMS}`);
+  }
+  if (!markDuplicateNames()) {
+    return UI.showNotification('Please enter unique, non-empty names for all teams and players');
+  }
+
+  launchLeague(UI.readTeamInputs());
+}
+
+/** Highlight empty or repeated names in the setup inputs; true if there are none. */
+function markDuplicateNames() {
   const allNames = new Set();
   let valid = true;
 
@@ -40,85 +59,257 @@ async function startLeague() {
       allNames.add(name.toLowerCase());
     }
   });
+  return valid;
+}
 
-  if (!valid) {
-    return UI.showNotification('Please enter unique, non-empty names for all teams and players');
+function launchLeague(roster) {
+  const result = Engine.createLeague(roster);
+  if (result.error) return UI.showNotification(result.error);
+  UI.showNotification('League started!');
+
+  // Week 1 starts with check-in, which generates Round 1
+  checkInWeek();
+}
+
+// --- New season: same teams and players, fresh standings ---
+async function startNewSeason() {
+  if (!State.hasTeams()) return UI.showNotification('No league yet — enter or import a roster and start one');
+  if (!(await Admin.requireAdmin('Starting a new season'))) return;
+  const confirmed = await UI.showConfirm(
+    'Start New Season?',
+    `Start a new season with the current ${State.getTeamCount()} teams and players? All standings, scores and past weeks are cleared. Use Undo to bring them back.`
+  );
+  if (!confirmed) return;
+
+  const roster = State.getTeams().map(t => ({ name: t.name, players: [...t.players] }));
+  UI.fillTeamInputs(roster);
+  launchLeague(roster);
+}
+
+// --- Roster changes during the season ---
+const ROSTER_CHANGES = ['Substitute This Week', 'Replace Player', 'Rename Team', 'Rename Player'];
+
+async function promptRosterChange() {
+  if (!State.hasTeams()) return UI.showNotification('No league yet — start one first');
+  if (!(await Admin.requireAdmin('Changing rosters'))) return;
+  const change = await UI.showChoice('Roster Changes', 'What changed?', ROSTER_CHANGES);
+  if (!change) return;
+  const teamName = await UI.showChoice(change, 'Which team?', State.getTeams().map(t => t.name));
+  if (!teamName) return;
+  const roster = Engine.getRosters().find(t => t.name === teamName);
+
+  let result;
+  if (change === 'Rename Team') {
+    const name = prompt(`New name for ${teamName}:`, teamName);
+    if (name === null) return;
+    result = Engine.renameTeam(teamName, name);
+  } else if (change === 'Rename Player') {
+    const player = await UI.showChoice(change, `Which ${teamName} player?`, roster.lineup);
+    if (!player) return;
+    const name = prompt(`New name for ${player}:`, player);
+    if (name === null) return;
+    result = Engine.renamePlayer(player, name);
+  } else {
+    const isSub = change === 'Substitute This Week';
+    const player = await UI.showChoice(
+      change,
+      isSub ? `Who is out for Week ${State.getWeek()}?` : `Who is leaving ${teamName}?`,
+      roster.players
+    );
+    if (!player) return;
+    const current = roster.subs[player] || '';
+    const name = prompt(
+      isSub
+        ? `Substitute for ${player} this week (they get the week's points). Leave empty to clear:`
+        : `Player replacing ${player} from this week on (${player} keeps the points earned so far):`,
+      current
+    );
+    if (name === null) return;
+    result = isSub ? Engine.setSubstitute(teamName, player, name) : Engine.replacePlayer(teamName, player, name);
   }
+  if (result.error) return UI.showNotification(result.error, 4000);
+  UI.showNotification('Roster updated');
+}
 
-  State.clearSaved();
-  State.setTeams([]);
-  State.setPlayers([]);
-  UI.clearContent();
-
-  const teams = [];
-  const players = [];
-
-  // Create teams and players
-  for (let i = 1; i <= TEAM_COUNT; i++) {
-    const teamInput = document.querySelector(`.teamName[data-team="${i}"]`);
-    const p1Input = document.querySelector(`.player1[data-team="${i}"]`);
-    const p2Input = document.querySelector(`.player2[data-team="${i}"]`);
-
-    const teamName = teamInput.value.trim();
-    const p1Name = p1Input.value.trim();
-    const p2Name = p2Input.value.trim();
-
-    teams.push({
-      name: teamName,
-      players: [p1Name, p2Name],
-      swiss: { w: 0, l: 0, pd: 0, opps: [], h2h: {} },
-      bracket: { w: 0, l: 0, pd: 0 },
-    });
-
-    players.push({
-      name: p1Name,
-      team: teamName,
-      league: { pts: 0, w: 0, l: 0, pd: 0 },
-    });
-    players.push({
-      name: p2Name,
-      team: teamName,
-      league: { pts: 0, w: 0, l: 0, pd: 0 },
-    });
+// --- Weekly check-in: who is here, then Swiss Round 1 ---
+async function checkInWeek() {
+  const attendance = Engine.getAttendance();
+  if (!attendance.open) return UI.showNotification('Check-in closes once Swiss Round 1 is generated');
+  const entries = await UI.showCheckIn(attendance, PLAYERS_PER_TEAM);
+  if (!entries) return;
+
+  const result = Engine.checkIn(entries);
+  if (result.error) return UI.showNotification(result.error, 4000);
+  if (result.forfeits.length > 0) {
+    UI.showNotification(`Forfeiting Week ${result.week}: ${result.forfeits.join(', ')}`, 4000);
   }
+  generateRound();
+}
 
-  State.setTeams(teams);
-  State.setPlayers(players);
-  State.setWeek(1);
-  State.setSwissRound(0);
+// --- Round and week actions ---
+function generateRound() {
+  // Round 1 waits for the week's check-in
+  if (State.getSwissRound() === 0 && !Engine.getAttendance().checkedIn) return checkInWeek();
+  const result = Engine.generateRound();
+  if (result.error) UI.showNotification(result.error);
+}
 
-  UI.setButtonsForLeagueStart();
-  UI.updateLeagueTable();
-  UI.updateSwissTable();
-  UI.updateStatus();
-  State.save();
-  UI.showNotification('League started!');
+function startBracket() {
+  const result = Engine.startBracket();
+  if (result.error) UI.showNotification(result.error);
+}
+
+function nextWeek() {
+  const result = Engine.nextWeek();
+  if (result.error) return UI.showNotification(State.isLeagueComplete() ? `🏆 ${result.error}` : result.error);
+  checkInWeek();
+}
+
+// --- Season finale: the top teams play off for the championship ---
+async function startPlayoff() {
+  const confirmed = await UI.showConfirm(
+    'Start Season Playoff?',
+    'Seed the top teams in the league standings into the championship playoff. League points do not change.'
+  );
+  if (!confirmed) return;
+  const result = Engine.startPlayoff();
+  if (result.error) return UI.showNotification(result.error, 4000);
+  UI.showNotification(`Season playoff started — ${result.seeds.length} teams`);
+}
+
+// --- Admin flow: correct a finished week's match score ---
+async function promptArchivedMatchEdit(week, matchId) {
+  const entry = State.findArchivedWeek(week);
+  const record = entry ? entry.matches.find(m => m.id === matchId) : null;
+  if (!record) return;
+  if (!(await Admin.requireAdmin('Correcting a past week'))) return;
 
-  // Automatically generate Round 1
-  nextSwissRound();
+  const current = record.games.map(g => `${g.a}-${g.b}`).join(', ');
+  const input = prompt(
+    `Admin: Correct score for ${record.teamA} vs ${record.teamB}` +
+    ` (${record.teamA} first, games separated by commas)`,
+    current
+  );
+  if (input === null) return;
+
+  const result = Engine.correctArchivedMatch(week, matchId, parseGamesInput(input));
+  if (result.error) {
+    UI.showNotification(result.error, 4000);
+    return;
+  }
+  UI.showNotification(`Week ${week} corrected — standings recomputed`);
+}
+
+// --- Admin mode: set, unlock, lock or remove the admin PIN ---
+async function manageAdmin() {
+  if (!Admin.hasPin()) {
+    return setAdminPin('Set Admin PIN', 'Overrides, league resets, imports and undo will need this PIN (4–12 digits):');
+  }
+  if (!Admin.isAdmin()) {
+    if (await Admin.requireAdmin('Admin mode')) UI.showNotification('Admin mode unlocked');
+    return;
+  }
+  const choice = await UI.showChoice('Admin Mode', 'Admin mode is unlocked.', ['Lock', 'Change PIN', 'Remove PIN']);
+  if (choice === 'Lock') {
+    Admin.lock();
+    UI.showNotification('Locked — score entry only');
+  } else if (choice === 'Change PIN') {
+    setAdminPin('Change Admin PIN', 'New admin PIN (4–12 digits):');
+  } else if (choice === 'Remove PIN') {
+    const confirmed = await UI.showConfirm(
+      'Remove Admin PIN?',
+      'Anyone at this device will be able to override scores, reset the league and import data.'
+    );
+    if (!confirmed) return;
+    Admin.clearPin();
+    UI.showNotification('Admin PIN removed');
+  }
+}
+
+async function setAdminPin(title, message) {
+  const unavailable = Admin.pinUnavailable();
+  if (unavailable) return UI.showNotification(unavailable, 6000);
+  const pin = await UI.showPinPrompt(title, message);
+  if (pin === null) return;
+  const repeat = await UI.showPinPrompt(title, 'Enter the same PIN again:');
+  if (repeat === null) return;
+  if (pin !== repeat) return UI.showNotification('The PINs did not match — nothing changed', 4000);
+  const error = await Admin.setPin(pin);
+  if (error) return UI.showNotification(error, 4000);
+  UI.showNotification('Admin PIN set — lock admin mode when you leave the table', 4000);
+}
+
+// --- Engine events: the page re-renders from what the engine reports ---
+function bindEngineEvents() {
+  Engine.on('leagueCreated', () => {
+    UI.clearContent();
+    UI.updatePastWeeks();
+  });
+  Engine.on('roundGenerated', showRound);
+  Engine.on('weekFinalized', () => UI.updatePastWeeks());
+  Engine.on('weekAdvanced', () => UI.clearContent());
+  Engine.on('playoffStarted', () => UI.clearContent());
+  Engine.on('championCrowned', ({ champion }) => {
+    showFinale();
+    UI.showNotification(`🏆 ${champion.team} are the champions!`, 6000);
+  });
+  Engine.on('weekCorrected', ({ week }) => UI.renderPastWeek(week));
+  // Renames reach match cards and past weeks, so redraw both
+  Engine.on('rosterChanged', () => {
+    restoreRounds();
+    UI.updatePastWeeks();
+    UI.fillTeamInputs(Engine.getRosters());
+  });
+  Engine.on('matchDisputed', ({ match }) => {
+    UI.showNotification(`⚠️ ${match.teamA} vs ${match.teamB}: the reported scores differ — an admin resolves it with ⚙`, 6000);
+  });
+  Engine.on('warning', ({ message }) => UI.showNotification(`⚠️ ${message}`, 6000));
+  Engine.on('change', () => {
+    UI.updateLeagueTable();
+    UI.updateSwissTable();
+    UI.updateButtonStates();
+    UI.updateStatus();
+    UI.updateRosterNotes();
+    UI.updateAuditLog();
+  });
 }
 
 // --- Load saved state on startup ---
 function initializeApp() {
   // Generate team input fields
-  const container = document.getElementById('teamInputs');
-  for (let i = 1; i <= TEAM_COUNT; i++) {
-    const group = document.createElement('div');
-    group.className = 'team-group';
-    group.innerHTML = `
-      <div class="team-group-label">Team ${i}</div>
-      <input type="text" placeholder="Team Name" class="teamInput teamName" data-team="${i}">
-      <input type="text" placeholder="Player 1 Name" class="teamInput player1" data-team="${i}">
-      <input type="text" placeholder="Player 2 Name" class="teamInput player2" data-team="${i}">
-    `;
-    container.appendChild(group);
-  }
+  const teamCountInput = document.getElementById('teamCountInput');
+  teamCountInput.min = MIN_TEAMS;
+  teamCountInput.max = MAX_TEAMS;
+  teamCountInput.value = TEAM_COUNT;
+  UI.renderTeamInputs(TEAM_COUNT);
+  teamCountInput.addEventListener('change', () => {
+    const count = parseInt(teamCountInput.value, 10);
+    if (!isValidTeamCount(count)) {
+      teamCountInput.value = document.querySelectorAll('.teamName').length;
+      return UI.showNotification(`Choose a number of teams from ${MIN_TEAMS} to ${MAX_TEAMS}`);
+    }
+    UI.renderTeamInputs(count);
+  });
+
+  bindEngineEvents();
+  Admin.initAdminMode();
 
   // Wire up button event handlers
   document.getElementById('startLeagueBtn').addEventListener('click', startLeague);
-  document.getElementById('nextSwissBtn').addEventListener('click', nextSwissRound);
+  document.getElementById('newSeasonBtn').addEventListener('click', startNewSeason);
+  document.getElementById('rosterChangeBtn').addEventListener('click', promptRosterChange);
+  document.getElementById('exportRosterBtn').addEventListener('click', exportRoster);
+  document.getElementById('importRosterInput').addEventListener('change', importRoster);
+  document.getElementById('checkInBtn').addEventListener('click', checkInWeek);
+  document.getElementById('nextSwissBtn').addEventListener('click', generateRound);
   document.getElementById('startBracketBtn').addEventListener('click', startBracket);
   document.getElementById('nextWeekBtn').addEventListener('click', nextWeek);
+  document.getElementById('playoffBtn').addEventListener('click', startPlayoff);
+  document.getElementById('undoBtn').addEventListener('click', undoAction);
+  document.getElementById('redoBtn').addEventListener('click', redoAction);
+  document.getElementById('adminBtn').addEventListener('click', manageAdmin);
+  // Named window, so pressing it again brings back the same display tab
+  document.getElementById('displayBtn').addEventListener('click', () => window.open('display.html', 'kplDisplay'));
 
   // Wire up export/import handlers
   document.getElementById('exportFullBackupBtn').addEventListener('click', exportFullBackup);
@@ -127,14 +318,41 @@ function initializeApp() {
   document.getElementById('importLeagueCSVInput').addEventListener('change', importLeagueCSV);
   document.getElementById('exportSwissCSVBtn').addEventListener('click', exportSwissCSV);
   document.getElementById('importSwissCSVInput').addEventListener('change', importSwissCSV);
+  document.getElementById('exportWeekCSVBtn').addEventListener('click', exportWeekCSV);
+  document.getElementById('exportAuditCSVBtn').addEventListener('click', exportAuditCSV);
+  document.getElementById('exportScoreSheetBtn').addEventListener('click', exportScoreSheet);
+  document.getElementById('importScoreSheetInput').addEventListener('change', importScoreSheet);
+
+  // Past weeks browser
+  document.getElementById('pastWeekSelect').addEventListener('change', e => {
+    UI.renderPastWeek(parseInt(e.target.value));
+  });
+  document.getElementById('pastWeekView').addEventListener('click', e => {
+    const edit = e.target.closest('.past-week-edit');
+    if (edit) promptArchivedMatchEdit(UI.getSelectedPastWeek(), edit.dataset.match);
+  });
+
+  // Audit log filters
+  ['auditActionFilter', 'auditWeekFilter', 'auditSearchInput'].forEach(id => {
+    document.getElementById(id).addEventListener('input', UI.updateAuditLog);
+  });
 
   // Load saved state
   if (State.load()) {
+    if (isValidTeamCount(State.getTeamCount())) {
+      UI.fillTeamInputs(State.getTeams().map(t => ({ name: t.name, players: t.players })));
+    }
     UI.updateLeagueTable();
     UI.updateSwissTable();
-    UI.updateStatus();
+    UI.updatePastWeeks();
+    UI.updateRosterNotes();
+    restoreRounds();
     UI.showNotification(`Week ${State.getWeek()} league data loaded`);
+  } else if (State.getLoadError()) {
+    UI.showNotification(`Saved league could not be loaded — ${State.getLoadError()}`, 8000);
   }
+  UI.updateAuditLog();
+  initPhoneScoring();
 }
 
 // Start the app
@@ -0,0 +1,129 @@
+/**
+ * @module attendance
+ * @description Weekly check-in — before Swiss Round 1 every rostered player
+ * is marked present, absent or subbed (a substitute plays in their place). A
+ * team left with fewer than PLAYERS_PER_TEAM players forfeits its matches
+ * that week. The check-in lasts until the week is finalized, when each name's
+ * status is written into the week's archive entry; the league table counts
+ * weeks attended from those records. No DOM.
+ */
+import * as State from './state.js';
+import { PLAYERS_PER_TEAM } from './config.js';
+import { substituteNameError, assignSubstitute } from './roster.js';
+
+/** Check-in statuses for a rostered player. */
+export const CHECK_IN_STATUSES = ['present', 'absent', 'subbed'];
+
+/**
+ * Whether an archived status counts as turning up: present, or 'sub' for a
+ * substitute who played. Absent and subbed-out players did not.
+ * @param {string} status - Archived attendance status
+ * @returns {boolean}
+ */
+export function attended(status) {
+  return status === 'present' || status === 'sub';
+}
+
+/**
+ * A rostered player's status this week. Everyone is present until checked in
+ * absent; a player with a substitute is subbed.
+ * @param {string} teamName - Team name
+ * @param {string} playerName - Rostered player
+ * @returns {string} 'present', 'absent' or 'subbed'
+ */
+export function statusOf(teamName, playerName) {
+  const slots = State.getSubs()[teamName] || {};
+  if (slots[playerName]) return 'subbed';
+  const checkIn = State.getCheckIn();
+  return checkIn && checkIn.absent.includes(playerName) ? 'absent' : 'present';
+}
+
+/**
+ * Teams that cannot field PLAYERS_PER_TEAM players this week; their matches
+ * are forfeited as each round is generated.
+ * @returns {string[]} Team names
+ */
+export function shortTeams() {
+  return State.getTeams()
+    .filter(t => t.players.filter(p => statusOf(t.name, p) !== 'absent').length < PLAYERS_PER_TEAM)
+    .map(t => t.name);
+}
+
+/**
+ * Check in the current week: set each rostered player's status and this
+ * week's substitutes in one step. Players left out are present. Checking in
+ * again before Swiss Round 1 replaces the earlier check-in.
+ * @param {Array<{player: string, status: string, sub?: string}>} entries
+ * @returns {string|null} Error message, or null on success
+ */
+export function checkIn(entries) {
+  if (!State.hasTeams()) return 'No league — create one first';
+  if (State.isWeekComplete()) return 'Week already finalized — advance to the next week first';
+  if (State.getSwissRound() > 0) return `Check-in for Week ${State.getWeek()} closed when Swiss Round 1 was generated`;
+  if (!Array.isArray(entries)) return 'Check-in needs a list of players';
+
+  const rostered = new Set(State.getTeams().flatMap(t => t.players));
+  const statuses = new Map(); // player → { status, sub }
+  const subNames = new Set();
+  for (const entry of entries) {
+    const { player, status } = entry || {};
+    if (!rostered.has(player)) return `"${player}" is not on a roster`;
+    if (statuses.has(player)) return `${player} is checked in twice`;
+    if (!CHECK_IN_STATUSES.includes(status)) return `${player}: status must be present, absent or subbed`;
+    const sub = status === 'subbed' && entry.sub ? entry.sub.trim() : '';
+    if (status === 'subbed') {
+      if (!sub) return `${player} is subbed — name the substitute`;
+      const error = substituteNameError(sub);
+      if (error) return error;
+      if (subNames.has(sub.toLowerCase())) return `${sub} cannot substitute for two players`;
+      subNames.add(sub.toLowerCase());
+    }
+    statuses.set(player, { status, sub });
+  }
+
+  State.recordHistory(`Check-in Week ${State.getWeek()}`);
+  // A subbed player is also absent, so clearing the substitute later leaves them out
+  const absent = [];
+  State.getTeams().forEach(team => team.players.forEach(player => {
+    const { status, sub } = statuses.get(player) || { status: 'present', sub: '' };
+    assignSubstitute(team.name, player, status === 'subbed' ? sub : null);
+    if (status !== 'present') absent.push(player);
+  }));
+  State.setCheckIn({ absent });
+  return null;
+}
+
+/**
+ * Every name's status this week, as stored in the archive entry: rostered
+ * players as 'present', 'absent' or 'subbed', and their substitutes as 'sub'.
+ * @returns {Object|null} Name → status, or null if the week was not checked in
+ */
+export function weekAttendance() {
+  if (!State.getCheckIn()) return null;
+  const record = {};
+  State.getTeams().forEach(team => team.players.forEach(player => {
+    const status = statusOf(team.name, player);
+    record[player] = status;
+    if (status === 'subbed') record[State.getSubs()[team.name][player]] = 'sub';
+  }));
+  return record;
+}
+
+/**
+ * Weeks attended per player from archived check-ins. Weeks without a
+ * check-in are not counted either way.
+ * @param {Array<Object>} archive - Archive entries
+ * @param {number} [uptoWeek=Infinity] - Last week to include
+ * @returns {Object} Player name → { attended, weeks }
+ */
+export function attendanceRecord(archive, uptoWeek = Infinity) {
+  const record = {};
+  archive.filter(entry => entry.week <= uptoWeek && entry.attendance).forEach(entry => {
+    Object.entries(entry.attendance).forEach(([name, status]) => {
+      const r = record[name] || (record[name] = { attended: 0, weeks: 0 });
+      r.weeks++;
+      if (attended(status)) r.attended++;
+    });
+  });
+  return record;
+}
@@ -0,0 +1,134 @@
+/**
+ * @module audit
+ * @description Audit log — an append-only record of everything that changes
+ * scores or standings: result submissions, admin overrides, forfeits,
+ * disputes, corrections, imports, week finalization, league resets and
+ * undo/redo. Each entry keeps a timestamp, a summary and a before/after diff
+ * of the scores and standings the action changed. The log lives in
+ * state.audit, survives resets and undo, and travels with the full backup.
+ * No DOM — the browser viewer and the CLI both read it here.
+ */
+import * as State from './state.js';
+
+/** Kinds of audit entry and how they are shown. */
+export const AUDIT_ACTIONS = {
+  result: 'Result',
+  override: 'Admin override',
+  forfeit: 'Forfeit',
+  dispute: 'Dispute',
+  correction: 'Correction',
+  import: 'Import',
+  finalize: 'Week finalized',
+  reset: 'League reset',
+  undo: 'Undo',
+  redo: 'Redo',
+};
+
+const signed = n => (n > 0 ? `+${n}` : String(n));
+
+// --- Snapshots and Diffs ---
+
+/**
+ * Every score-bearing value in the league, keyed by what it is, e.g.
+ * { "Aces · Swiss": "2-1, PD +6", "Ana · League": "14 pts, 5-2, PD +20" }.
+ * Take one before an action and pass it to logAudit to record the diff.
+ * @returns {Object<string, string>}
+ */
+export function snapshotStandings() {
+  const snapshot = {};
+  State.getTeams().forEach(t => {
+    snapshot[`${t.name} · Swiss`] = `${t.swiss.w}-${t.swiss.l}, PD ${signed(t.swiss.pd)}`;
+    snapshot[`${t.name} · Bracket`] = `${t.bracket.w}-${t.bracket.l}, PD ${signed(t.bracket.pd)}`;
+  });
+  State.getPlayers().forEach(p => {
+    snapshot[`${p.name} · League`] = `${p.league.pts} pts, ${p.league.w}-${p.league.l}, PD ${signed(p.league.pd)}`;
+  });
+  const playoff = State.getPlayoff();
+  if (playoff && playoff.champion) snapshot['Season champion'] = playoff.champion.team;
+  return snapshot;
+}
+
+/**
+ * Values that differ between two snapshots (null where one has no entry).
+ * @returns {Array<{item: string, before: string|null, after: string|null}>}
+ */
+export function diffSnapshots(before, after) {
+  const items = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  return items
+    .filter(item => before[item] !== after[item])
+    .map(item => ({ item, before: before[item] ?? null, after: after[item] ?? null }));
+}
+
+/**
+ * A match's score as the log shows it, e.g. "11-7, 9-11, 11-5 (forfeit by Aces)".
+ * @param {Object} record - Match record
+ * @returns {string} 'pending' until the match has a result
+ */
+export function describeScore(record) {
+  if (record.status === 'bye') return 'bye';
+  if (record.status !== 'submitted') return 'pending';
+  const scores = record.games.map(g => `${g.a}-${g.b}`).join(', ');
+  return record.forfeit ? `${scores} (forfeit by ${record.forfeit})` : scores;
+}
+
+/**
+ * Where a match was played, for entry summaries, e.g. "Week 3 Swiss Round 2".
+ * @param {Object} record - Match record
+ * @returns {string}
+ */
+export function describeMatch(record) {
+  const where = record.phase === 'playoff'
+    ? `Playoff Round ${record.round}`
+    : `Week ${record.week} ${record.phase === 'swiss' ? 'Swiss' : 'Bracket'} Round ${record.round}`;
+  return `${where}: ${record.teamA} vs ${record.teamB}`;
+}
+
+// --- Writing ---
+
+let sequence = 0;
+
+/**
+ * Append an entry to the audit log. The caller saves the state.
+ * @param {string} action - Key of AUDIT_ACTIONS
+ * @param {string} summary - What happened, in a line
+ * @param {Object} [options]
+ * @param {Object|null} [options.before=null] - snapshotStandings() from before
+ *   the action; the standings that changed since are added to the diff
+ * @param {Array<{item: string, before: *, after: *}>} [options.changes=[]] -
+ *   Changes the standings don't show, e.g. the match score itself
+ * @param {number} [options.week] - Week the entry concerns (default: the current week)
+ * @returns {Object} The new entry
+ */
+export function logAudit(action, summary, { before = null, changes = [], week = State.getWeek() } = {}) {
+  sequence++;
+  const entry = {
+    id: `${Date.now().toString(36)}-${sequence.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    at: new Date().toISOString(),
+    action,
+    week,
+    summary,
+    changes: [...changes, ...(before ? diffSnapshots(before, snapshotStandings()) : [])],
+  };
+  State.appendAudit(entry);
+  return entry;
+}
+
+// --- Reading ---
+
+/**
+ * Audit entries that match every given filter, newest first.
+ * @param {Object} [filters]
+ * @param {string} [filters.action] - Key of AUDIT_ACTIONS
+ * @param {number} [filters.week] - Week number
+ * @param {string} [filters.text] - Found in the summary or a changed item (any case)
+ * @returns {Object[]} Live entries — copy them before handing them out
+ */
+export function filterAudit({ action, week, text } = {}) {
+  const needle = (text || '').trim().toLowerCase();
+  return State.getAudit()
+    .filter(e => !action || e.action === action)
+    .filter(e => week == null || e.week === week)
+    .filter(e => !needle || e.summary.toLowerCase().includes(needle) ||
+      e.changes.some(c => c.item.toLowerCase().includes(needle)))
+    .reverse();
+}
@@ -0,0 +1,58 @@
+/**
+ * @module backup
+ * @description Full league backups — builds the backup object that the
+ * browser downloads and the CLI writes, and checks a backup before it is
+ * restored. No DOM, so the browser and the command line read and write the
+ * same files. Older backups are upgraded through the migrations in schema.js.
+ */
+import * as State from './state.js';
+import { TOTAL_WEEKS } from './config.js';
+import { SCHEMA_VERSION, migrate, validateLeague } from './schema.js';
+
+/**
+ * The current league as a backup object (live state — stringify it before
+ * changing the league again).
+ * @returns {Object}
+ */
+export function createBackup() {
+  return {
+    version: SCHEMA_VERSION,
+    exportDate: new Date().toISOString(),
+    week: State.getWeek(),
+    swissRound: State.getSwissRound(),
+    pending: State.getPending(),
+    teams: State.getTeams(),
+    players: State.getPlayers(),
+    bracketRounds: State.getBracketRounds(),
+    matches: State.getMatches(),
+    archive: State.getArchive(),
+    leagueBaseline: State.getLeagueBaseline(),
+    subs: State.getSubs(),
+    checkIn: State.getCheckIn(),
+    playoff: State.getPlayoff(),
+    audit: State.getAudit(),
+    constants: { TOTAL_WEEKS, SWISS_ROUNDS: State.getSwissRoundCount() },
+  };
+}
+
+/** How many problems a rejected backup lists before "…and N more". */
+const MAX_REPORTED_ERRORS = 5;
+
+/**
+ * Upgrade a parsed backup to the current schema and check it field by field.
+ * @param {Object} raw - Parsed backup JSON (not modified)
+ * @returns {{backup: Object, from: string}|{error: string}} The upgraded
+ *   backup and the version it was saved as, or every problem found
+ */
+export function readBackup(raw) {
+  const migrated = migrate(raw);
+  if (migrated.error) return { error: migrated.error };
+
+  const errors = validateLeague(migrated.data);
+  if (errors.length > 0) {
+    const shown = errors.slice(0, MAX_REPORTED_ERRORS);
+    const more = errors.length - shown.length;
+    return { error: `Invalid backup:\n${shown.join('\n')}${more > 0 ? `\n…and ${more} more` : ''}` };
+  }
+  return { backup: migrated.data, from: migrated.from };
+}
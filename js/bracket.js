@@ -1,168 +1,184 @@
 /**
  * @module bracket
- * @description Placement bracket — seeds teams by Swiss results, runs 3
- * bracket rounds with event-driven completion, awards league points to
- * players based on final placement, and resets team stats for the next week.
+ * @description Placement bracket — seeds teams by Swiss results (padding
+ * non-power-of-two fields with byes), logs every placement round, awards
+ * league points to players based on final placement (plus attendance
+ * points), archives the week's results and check-in, and resets team
+ * stats for the next week. Round-by-round progress is driven by the engine.
  */
 import * as State from './state.js';
-import {
-  BRACKET_BASE_POINTS, FIRST_PLACE_BONUS, LOSER_POINT_PENALTY,
-  BRACKET_ROUND_COUNT
-} from './config.js';
+import { ATTENDANCE_POINTS } from './config.js';
 import { sortTeamsBySwiss } from './swiss.js';
-import { makeMatch, setOnAllMatchesComplete } from './match.js';
-import * as UI from './ui.js';
+import { buildWeekEntry } from './standings.js';
+import { createMatchRecord, createByeRecord, getMatchWinner } from './match.js';
+import { lineupFor } from './roster.js';
+import { weekAttendance, attended } from './attendance.js';
 
-// --- Start Bracket Phase ---
-export function startBracket() {
-  UI.disableStartBracket();
+// --- Seeding ---
 
-  const teams = State.getTeams();
-  if (!Array.isArray(teams) || teams.length < 8) {
-    console.error('Cannot start bracket: need 8 teams');
-    return;
+/**
+ * Standard bracket seed order so top seeds meet as late as possible.
+ * size 8 → [1, 8, 4, 5, 2, 7, 3, 6]
+ * @param {number} size - Bracket size (a power of two)
+ * @returns {number[]} Seeds in slot order
+ */
+export function seedOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const next = order.length * 2 + 1;
+    order = order.flatMap(s => [s, next - s]);
   }
-
-  const seed = sortTeamsBySwiss(teams);
-  State.setBracketRounds([
-    [[seed[0], seed[7]], [seed[3], seed[4]], [seed[1], seed[6]], [seed[2], seed[5]]],
-    [],
-    []
-  ]);
-  runBracketRound(1);
+  return order;
 }
 
-// --- Run a Bracket Round (event-driven, no polling) ---
-function runBracketRound(roundNum) {
-  UI.updateStatus();
-  const week = State.getWeek();
-  const bracketRounds = State.getBracketRounds();
-
-  if (!bracketRounds[roundNum - 1] || bracketRounds[roundNum - 1].length === 0) {
-    console.error(`Bracket round ${roundNum} has no matches`);
-    return;
-  }
+// --- Start Bracket Phase ---
+/**
+ * Seed the bracket from the Swiss standings and log Round 1.
+ * The caller checks that the Swiss rounds are finished.
+ */
+export function seedBracket() {
+  // Pad to the next power of two; seeds past the team count are byes (null)
+  const seed = sortTeamsBySwiss(State.getTeams());
+  const size = 2 ** State.getBracketRoundCount();
+  const slots = seedOrder(size).map(s => seed[s - 1] || null);
+  const firstRound = [];
+  for (let i = 0; i < slots.length; i += 2) firstRound.push([slots[i], slots[i + 1]]);
+
+  State.setBracketRounds([firstRound]);
+  logBracketRound(1);
+}
 
-  const roundEl = UI.createRoundElement(`Week ${week} – Bracket Round ${roundNum}`);
+// --- Log a Bracket Round's matches ---
+function logBracketRound(roundNum) {
   State.setPending(0);
-
-  // Register callback BEFORE creating matches so it's ready when last match completes
-  setOnAllMatchesComplete(() => {
-    if (roundNum < BRACKET_ROUND_COUNT) {
-      generateNextBracketRound(roundNum);
-    } else {
-      finalizeWeek();
-    }
+  State.getBracketRounds()[roundNum - 1].forEach((pair, slot) => {
+    const [a, b] = pair;
+    if (!a && !b) return; // Two byes — nobody plays for these places
+
+    const record = (a && b)
+      ? createMatchRecord(a, b, 'bracket', roundNum)
+      : createByeRecord(a || b, 'bracket', roundNum);
+    record.slot = slot;
+    if (record.status === 'pending') State.incrementPending();
   });
+}
 
-  bracketRounds[roundNum - 1].forEach(pair => {
-    if (!pair || pair.length < 2) {
-      console.error('Invalid bracket pair:', pair);
-      return;
-    }
-    roundEl.appendChild(makeMatch(pair[0], pair[1], false));
-    State.incrementPending();
-  });
+/**
+ * Last bracket round logged this week (0 before the bracket starts).
+ * @returns {number}
+ */
+export function currentBracketRound() {
+  const week = State.getWeek();
+  let round = 0;
+  while (round < State.getBracketRoundCount() &&
+    State.getRoundMatches(week, 'bracket', round + 1).length > 0) round++;
+  return round;
+}
 
-  UI.appendRound(roundEl);
-  UI.scrollToElement(roundEl);
+/** Winner and loser of a bracket pair; byes (null) always lose. */
+function resolvePair(pair, roundNum, slot) {
+  const [a, b] = pair;
+  if (!a || !b) return { winner: a || b, loser: null };
+  const record = State.getRoundMatches(State.getWeek(), 'bracket', roundNum)
+    .find(m => m.slot === slot);
+  const winnerName = record ? getMatchWinner(record) : null;
+  return winnerName === a.name ? { winner: a, loser: b } : { winner: b, loser: a };
 }
 
 // --- Generate Next Bracket Round from Results ---
-function generateNextBracketRound(roundNum) {
+// Each round splits every placement group into a winners group (better
+// places) and a losers group; teams are paired adjacently within a group.
+/**
+ * Pair and log the round after a finished bracket round.
+ * @param {number} roundNum - The finished round
+ */
+export function createNextBracketRound(roundNum) {
   const bracketRounds = State.getBracketRounds();
-  const winners = [];
-  const losers = [];
-
-  bracketRounds[roundNum - 1].forEach(([a, b]) => {
-    if (a.bracket.w > b.bracket.w) {
-      winners.push(a);
-      losers.push(b);
-    } else {
-      winners.push(b);
-      losers.push(a);
+  const pairs = bracketRounds[roundNum - 1];
+  const pairsPerGroup = pairs.length / 2 ** (roundNum - 1);
+  const nextRound = [];
+
+  for (let start = 0; start < pairs.length; start += pairsPerGroup) {
+    const winners = [];
+    const losers = [];
+    for (let slot = start; slot < start + pairsPerGroup; slot++) {
+      const { winner, loser } = resolvePair(pairs[slot], roundNum, slot);
+      winners.push(winner);
+      losers.push(loser);
     }
-  });
-
-  if (roundNum === 1) {
-    bracketRounds[1] = [
-      [winners[0], winners[1]], [winners[2], winners[3]],
-      [losers[0], losers[1]], [losers[2], losers[3]]
-    ];
-  } else {
-    bracketRounds[2] = [
-      [winners[0], winners[1]], [losers[0], losers[1]],
-      [winners[2], winners[3]], [losers[2], losers[3]]
-    ];
+    for (let i = 0; i < winners.length; i += 2) nextRound.push([winners[i], winners[i + 1]]);
+    for (let i = 0; i < losers.length; i += 2) nextRound.push([losers[i], losers[i + 1]]);
   }
 
-  runBracketRound(roundNum + 1);
+  bracketRounds[roundNum] = nextRound;
+  logBracketRound(roundNum + 1);
 }
 
 // --- Finalize Week: Award Points and Reset ---
-function finalizeWeek() {
+/**
+ * Award league points from the finished bracket, archive the week and reset
+ * team stats for the next one.
+ * @returns {Object|null} The archive entry, or null if the bracket is incomplete
+ */
+export function finalizeWeek() {
   const bracketRounds = State.getBracketRounds();
 
-  if (!bracketRounds[2] || bracketRounds[2].length === 0) {
-    console.error('Cannot finalize week: bracket round 3 data missing');
-    return;
+  const finalRound = State.getBracketRoundCount();
+  if (!bracketRounds[finalRound - 1] || bracketRounds[finalRound - 1].length === 0) {
+    console.error(`Cannot finalize week: bracket round ${finalRound} data missing`);
+    return null;
   }
 
-  // Award points to players based on team bracket performance
-  bracketRounds[2].forEach(([a, b], i) => {
-    const hiTeam = a.bracket.w > b.bracket.w ? a : b;
-    const loTeam = hiTeam === a ? b : a;
-    const hiPts = BRACKET_BASE_POINTS[i] + (i === 0 ? FIRST_PLACE_BONUS : 0);
-    const loPts = BRACKET_BASE_POINTS[i] - LOSER_POINT_PENALTY;
+  // Derive standings and placements from the week's match log
+  const week = State.getWeek();
+  // Credit the players who actually played, substitutes included
+  const rosters = Object.fromEntries(State.getTeams().map(t => [t.name, lineupFor(t)]));
+  const entry = buildWeekEntry(week, State.getWeekMatches(week), rosters);
+  const attendance = weekAttendance();
+  if (attendance) entry.attendance = attendance;
 
-    hiTeam.players.forEach(pName => {
+  // Award points to players based on team bracket performance
+  entry.placements.forEach(place => {
+    place.players.forEach(pName => {
       const player = State.findPlayerByName(pName);
       if (player) {
-        player.league.pts += hiPts;
-        player.league.w += hiTeam.bracket.w;
-        player.league.l += hiTeam.bracket.l;
-        player.league.pd += hiTeam.bracket.pd;
+        player.league.pts += place.pts;
+        player.league.w += place.w;
+        player.league.l += place.l;
+        player.league.pd += place.pd;
       } else {
         console.warn(`Player "${pName}" not found when awarding points`);
       }
     });
+  });
 
-    loTeam.players.forEach(pName => {
-      const player = State.findPlayerByName(pName);
-      if (player) {
-        player.league.pts += loPts;
-        player.league.w += loTeam.bracket.w;
-        player.league.l += loTeam.bracket.l;
-        player.league.pd += loTeam.bracket.pd;
-      } else {
-        console.warn(`Player "${pName}" not found when awarding points`);
-      }
-    });
+  // Attendance points go to everyone who turned up, whatever their team's result
+  Object.entries(entry.attendance || {}).forEach(([pName, status]) => {
+    const player = State.findPlayerByName(pName);
+    if (player && attended(status)) player.league.pts += ATTENDANCE_POINTS;
   });
 
+  State.archiveWeek(entry);
+
   // Reset team swiss and bracket stats for next week
   State.getTeams().forEach(t => {
     t.swiss = { w: 0, l: 0, pd: 0, opps: [], h2h: {} };
     t.bracket = { w: 0, l: 0, pd: 0 };
   });
-
-  UI.updateLeagueTable();
-  UI.updateStatus();
-  State.save();
-  UI.enableNextWeek();
+  return entry;
 }
 
 // --- Advance to Next Week ---
-export function nextWeek() {
-  if (State.isLeagueComplete()) {
-    UI.showNotification('🏆 League complete! All 15 weeks finished.');
-    return;
-  }
+/** Clear the finished week's live matches, substitutes and check-in, and reset round counters. */
+export function advanceWeek() {
+  // The finished week's matches now live in its archive entry
+  const finishedWeek = State.getWeek();
+  State.setMatches(State.getMatches().filter(m => m.week !== finishedWeek));
 
-  State.setWeek(State.getWeek() + 1);
+  State.setWeek(finishedWeek + 1);
   State.setSwissRound(0);
-  UI.updateStatus();
-  UI.clearContent();
-  UI.setButtonsForNewWeek();
-  State.save();
+  State.setPending(0);
+  State.setBracketRounds([]);
+  State.setSubs({});
+  State.setCheckIn(null);
 }
@@ -0,0 +1,561 @@
+/**
+ * @module cards
+ * @description Match cards and round rendering — the browser's view of the
+ * engine. Cards are built from match log records and send every result,
+ * override and forfeit through the engine; no league rules live here.
+ */
+import * as State from './state.js';
+import * as UI from './ui.js';
+import * as Engine from './engine.js';
+import { MAX_GAME_POINTS, FORFEIT_LOSER_POINTS, DUAL_ENTRY_SCORES, describeScoringRule } from './config.js';
+import {
+  isValidScore, getScoringRule, validateGames, parseGamesInput,
+  forfeitGames, forfeitWinnerPoints
+} from './match.js';
+import { playoffRoundMatches } from './playoff.js';
+import { requireAdmin } from './admin.js';
+
+// --- Result submission ---
+
+/** Send a result to the engine; a rejected result is shown on the card. */
+function submitToEngine(el, record, games, admin, forfeit = null) {
+  const result = Engine.submitResult(record.id, games, { admin, forfeit });
+  if (result.error) {
+    UI.showMatchError(el, result.error);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Ask which team forfeits a pending match.
+ * @param {HTMLElement} el - Match card (for inline errors)
+ * @param {Object} record - Match record backing the card
+ * @returns {Promise<string|null>} Forfeiting team name, or null if cancelled
+ */
+async function chooseForfeit(el, record) {
+  if (record.status !== 'pending') {
+    UI.showMatchError(el, 'Only a pending match can be forfeited — use ⚙ to correct a result');
+    return null;
+  }
+  const choice = await UI.showChoice(
+    'Record Forfeit',
+    `Which team forfeits or did not show? The other team wins ${forfeitWinnerPoints(record)}-${FORFEIT_LOSER_POINTS}.`,
+    [record.teamA, record.teamB]
+  );
+  // The card may have been submitted while the dialog was open
+  return record.status === 'pending' ? choice : null;
+}
+
+// --- Match Cards ---
+
+/** Pairing note (why this pairing or bye was chosen), if any. */
+function pairingNote(record) {
+  return record.note ? `<div class="match-note">${UI.escapeHtml(record.note)}</div>` : '';
+}
+
+/** Scoring rule label shown in the match header. */
+function ruleLabel(rule) {
+  return `<span class="match-rule">${UI.escapeHtml(describeScoringRule(rule))}</span>`;
+}
+
+/** Result banner for a submitted record. */
+function resultBanner(record) {
+  if (record.forfeit) {
+    return `<div class="match-result--forfeit">🏳 Forfeit — ${UI.escapeHtml(record.forfeit)} did not play</div>`;
+  }
+  return record.admin
+    ? '<div class="match-result--admin">⚙ Admin Override</div>'
+    : '<div class="match-result--success">✓ Match Submitted</div>';
+}
+
+/** Card of the right kind for a record, or null if a team is missing. */
+function makeCard(record) {
+  if (record.status === 'bye') return makeByeCard(record);
+
+  const a = State.findTeamByName(record.teamA);
+  const b = State.findTeamByName(record.teamB);
+  if (!a || !b) {
+    console.error(`Cannot render match ${record.id}: team not found`);
+    return null;
+  }
+  if (DUAL_ENTRY_SCORES) return makeDualEntryMatch(a, b, record);
+  const isSwiss = record.phase === 'swiss';
+  return record.bestOf === 3
+    ? makeBo3Match(a, b, isSwiss, record)
+    : makeMatch(a, b, isSwiss, record);
+}
+
+/**
+ * Build the match card for a logged record (used for new and restored rounds).
+ * The card carries the match id in data-match, so refreshMatch can find it.
+ * @param {Object} record - Match record from the state match log
+ * @returns {HTMLElement|null} The match element, or null if a team is missing
+ */
+export function renderMatch(record) {
+  const el = makeCard(record);
+  if (el) el.dataset.match = record.id;
+  return el;
+}
+
+/**
+ * Redraw one match card from its record, e.g. after a score arrived from a
+ * phone. The other cards keep whatever is being typed into them.
+ * @param {string} matchId - Match record id
+ */
+export function refreshMatch(matchId) {
+  const content = UI.getContentEl();
+  const shown = content && [...content.querySelectorAll('.match')].find(el => el.dataset.match === matchId);
+  const matches = State.getPlayoff() ? State.getPlayoff().matches : State.getWeekMatches(State.getWeek());
+  const record = matches.find(m => m.id === matchId);
+  if (!shown || !record) return;
+  const card = renderMatch(record);
+  if (card) shown.replaceWith(card);
+}
+
+/**
+ * Create a read-only card for a bye.
+ * @param {Object} record - Bye record from the state match log
+ * @returns {HTMLElement}
+ */
+function makeByeCard(record) {
+  const el = document.createElement('div');
+  el.className = 'match match--bye';
+  el.innerHTML = `
+    <div class="match-header">
+      <strong>${UI.escapeHtml(record.teamA)}</strong> <span class="match-vs">— bye</span>
+    </div>
+    ${pairingNote(record)}`;
+  return el;
+}
+
+/**
+ * Create a single-game match DOM element.
+ * @param {Object} a - Team A object
+ * @param {Object} b - Team B object
+ * @param {boolean} isSwiss - Whether this is a Swiss match
+ * @param {Object} record - Match record backing this card
+ * @returns {HTMLElement} The match element to append to the DOM
+ */
+export function makeMatch(a, b, isSwiss, record) {
+  const el = document.createElement('div');
+  el.className = 'match';
+
+  const nameA = UI.escapeHtml(a.name);
+  const nameB = UI.escapeHtml(b.name);
+  const rule = getScoringRule(record);
+  const ruleText = describeScoringRule(rule);
+  const maxPoints = rule.cap ?? MAX_GAME_POINTS;
+
+  el.innerHTML = `
+    <div class="match-header">
+      <strong>${nameA}</strong> <span class="match-vs">vs</span> <strong>${nameB}</strong>
+      ${ruleLabel(rule)}
+    </div>
+    ${pairingNote(record)}
+    <div class="match-inputs">
+      <div class="match-score-box--a">
+        <div class="match-score-label--a">${nameA} - Enter Your Score:</div>
+        <input type="number" class="scoreA" placeholder="Your points" min="0" max="${maxPoints}">
+      </div>
+      <div class="match-score-box--b">
+        <div class="match-score-label--b">${nameB} - Enter Your Score:</div>
+        <input type="number" class="scoreB" placeholder="Your points" min="0" max="${maxPoints}">
+      </div>
+      <button class="match-submit">Submit Match</button>
+      <span class="admin" title="Admin Override">⚙</span>
+      <span class="forfeit" title="Record Forfeit / No-Show">🏳</span>
+    </div>
+    <div class="match-result"></div>`;
+
+  function showResult() {
+    const scoreA = record.games[0].a;
+    const scoreB = record.games[0].b;
+    const resultDiv = el.querySelector('.match-result');
+    resultDiv.style.display = 'block';
+    resultDiv.innerHTML = `
+      ${resultBanner(record)}
+      <div class="match-result-scores">${nameA} scored: <strong>${scoreA}</strong> | ${nameB} scored: <strong>${scoreB}</strong></div>
+      <div class="match-result-winner">Winner: ${scoreA > scoreB ? nameA : nameB}</div>`;
+
+    el.querySelector('.scoreA').value = scoreA;
+    el.querySelector('.scoreB').value = scoreB;
+    el.querySelector('.scoreA').disabled = true;
+    el.querySelector('.scoreB').disabled = true;
+    el.querySelector('.match-submit').disabled = true;
+  }
+
+  function submit(scoreA, scoreB, admin, forfeit = null) {
+    if (submitToEngine(el, record, [{ a: scoreA, b: scoreB }], admin, forfeit)) showResult();
+  }
+
+  el.querySelector('.match-submit').onclick = () => {
+    const scoreA = parseInt(el.querySelector('.scoreA').value);
+    const scoreB = parseInt(el.querySelector('.scoreB').value);
+    if (!isValidScore(scoreA, scoreB, rule)) {
+      return UI.showMatchError(el, `Invalid scores — ${ruleText}`);
+    }
+    submit(scoreA, scoreB, false);
+  };
+
+  el.querySelector('.admin').onclick = async () => {
+    if (State.isWeekComplete() && record.phase !== 'playoff') {
+      return UI.showMatchError(el, 'Week already finalized — see Past Weeks');
+    }
+    if (!(await requireAdmin('An admin override'))) return;
+    const saStr = prompt(`Admin: Correct score for ${a.name}`);
+    if (saStr === null) return;
+    const sbStr = prompt(`Admin: Correct score for ${b.name}`);
+    if (sbStr === null) return;
+
+    const parsedA = parseInt(saStr);
+    const parsedB = parseInt(sbStr);
+
+    if (!isValidScore(parsedA, parsedB, rule)) {
+      return UI.showMatchError(el, `Invalid admin scores — ${ruleText}`);
+    }
+    submit(parsedA, parsedB, true);
+  };
+
+  el.querySelector('.forfeit').onclick = async () => {
+    const forfeiter = await chooseForfeit(el, record);
+    if (!forfeiter) return;
+    const [game] = forfeitGames(record, forfeiter);
+    submit(game.a, game.b, false, forfeiter);
+  };
+
+  if (record.status === 'submitted') showResult();
+
+  return el;
+}
+
+/**
+ * Create a Best-of-3 match DOM element.
+ * @param {Object} a - Team A object
+ * @param {Object} b - Team B object
+ * @param {boolean} isSwiss - Whether this is a Swiss match
+ * @param {Object} record - Match record backing this card
+ * @returns {HTMLElement} The Bo3 match element to append to the DOM
+ */
+export function makeBo3Match(a, b, isSwiss, record) {
+  const el = document.createElement('div');
+  el.className = 'match';
+
+  const nameA = UI.escapeHtml(a.name);
+  const nameB = UI.escapeHtml(b.name);
+  const rule = getScoringRule(record);
+  const ruleText = describeScoringRule(rule);
+  const maxPoints = rule.cap ?? MAX_GAME_POINTS;
+
+  el.innerHTML = `
+    <div class="match-header">
+      <strong>${nameA}</strong> <span class="match-vs">vs</span> <strong>${nameB}</strong>
+      <span class="match-bo3-label">(Best of 3)</span>
+      ${ruleLabel(rule)}
+    </div>
+    ${pairingNote(record)}
+    <div class="match-bo3-inputs">
+      <div class="match-score-box--a bo3">
+        <div class="match-score-label--a bo3">${nameA} - Enter Your Scores:</div>
+        <div class="match-games-list">
+          <div class="match-game-row"><span class="match-game-label">Game 1:</span><input type="number" class="g1a match-game-input" placeholder="Points" min="0" max="${maxPoints}"></div>
+          <div class="match-game-row"><span class="match-game-label">Game 2:</span><input type="number" class="g2a match-game-input" placeholder="Points" min="0" max="${maxPoints}"></div>
+          <div class="match-game-row"><span class="match-game-label">Game 3:</span><input type="number" class="g3a match-game-input" placeholder="If needed" min="0" max="${maxPoints}"></div>
+        </div>
+      </div>
+      <div class="match-score-box--b bo3">
+        <div class="match-score-label--b bo3">${nameB} - Enter Your Scores:</div>
+        <div class="match-games-list">
+          <div class="match-game-row"><span class="match-game-label">Game 1:</span><input type="number" class="g1b match-game-input" placeholder="Points" min="0" max="${maxPoints}"></div>
+          <div class="match-game-row"><span class="match-game-label">Game 2:</span><input type="number" class="g2b match-game-input" placeholder="Points" min="0" max="${maxPoints}"></div>
+          <div class="match-game-row"><span class="match-game-label">Game 3:</span><input type="number" class="g3b match-game-input" placeholder="If needed" min="0" max="${maxPoints}"></div>
+        </div>
+      </div>
+    </div>
+    <div class="match-actions">
+      <button>Submit Match</button>
+      <span class="admin" title="Admin Override">⚙</span>
+      <span class="forfeit" title="Record Forfeit / No-Show">🏳</span>
+      <span class="status"></span>
+    </div>
+    <div class="match-result"></div>`;
+
+  function showResult() {
+    const games = record.games;
+    el.querySelectorAll('input').forEach(inp => inp.value = '');
+    games.forEach((g, i) => {
+      el.querySelector(`.g${i + 1}a`).value = g.a;
+      el.querySelector(`.g${i + 1}b`).value = g.b;
+    });
+    const aWins = games.filter(g => g.a > g.b).length;
+    const bWins = games.length - aWins;
+
+    const resultDiv = el.querySelector('.match-result');
+    resultDiv.style.display = 'block';
+    resultDiv.innerHTML = `
+      ${resultBanner(record)}
+      <div class="match-result-scores">
+        ${games.map((g, i) => `Game ${i + 1}: ${nameA} ${g.a}-${g.b} ${nameB}`).join(' | ')}
+      </div>
+      <div class="match-result-winner">Winner: ${aWins > bWins ? nameA : nameB} (${Math.max(aWins, bWins)}-${Math.min(aWins, bWins)})</div>`;
+
+    el.querySelectorAll('input').forEach(inp => inp.disabled = true);
+    el.querySelector('button').disabled = true;
+  }
+
+  el.querySelector('button').onclick = () => {
+    if (record.status === 'submitted') return;
+
+    const g1a = parseInt(el.querySelector('.g1a').value);
+    const g1b = parseInt(el.querySelector('.g1b').value);
+    const g2a = parseInt(el.querySelector('.g2a').value);
+    const g2b = parseInt(el.querySelector('.g2b').value);
+    const g3a = parseInt(el.querySelector('.g3a').value);
+    const g3b = parseInt(el.querySelector('.g3b').value);
+
+    if (!isValidScore(g1a, g1b, rule) || !isValidScore(g2a, g2b, rule)) {
+      return UI.showMatchError(el, `Games 1 and 2 required — ${ruleText}`);
+    }
+
+    let aWins = 0, bWins = 0;
+    if (g1a > g1b) aWins++; else bWins++;
+    if (g2a > g2b) aWins++; else bWins++;
+
+    const games = [{ a: g1a, b: g1b }, { a: g2a, b: g2b }];
+    if (aWins === 1 && bWins === 1) {
+      if (!isValidScore(g3a, g3b, rule)) return UI.showMatchError(el, `Game 3 required — ${ruleText}`);
+      if (g3a > g3b) aWins++; else bWins++;
+      games.push({ a: g3a, b: g3b });
+    }
+
+    if (aWins < 2 && bWins < 2) return UI.showMatchError(el, 'Match not decided — need a 2-game winner');
+
+    apply(games, false);
+  };
+
+  el.querySelector('.admin').onclick = async () => {
+    if (State.isWeekComplete() && record.phase !== 'playoff') {
+      return UI.showMatchError(el, 'Week already finalized — see Past Weeks');
+    }
+    if (!(await requireAdmin('An admin override'))) return;
+    const current = record.games.map(g => `${g.a}-${g.b}`).join(', ');
+    const input = prompt(
+      `Admin: Correct scores for ${a.name} vs ${b.name}` +
+      ` (${a.name} first, games separated by commas)`,
+      current
+    );
+    if (input === null) return;
+
+    const games = parseGamesInput(input);
+    const error = validateGames(games, 3, rule);
+    if (error) return UI.showMatchError(el, error);
+    apply(games, true);
+  };
+
+  el.querySelector('.forfeit').onclick = async () => {
+    const forfeiter = await chooseForfeit(el, record);
+    if (!forfeiter) return;
+    apply(forfeitGames(record, forfeiter), false, forfeiter);
+  };
+
+  function apply(games, admin, forfeit = null) {
+    if (submitToEngine(el, record, games, admin, forfeit)) showResult();
+  }
+
+  if (record.status === 'submitted') showResult();
+
+  return el;
+}
+
+/**
+ * Create a dual-entry match card: each team reports the full score, and the
+ * result is recorded once both reports agree. A disputed match shows both
+ * reports until an admin resolves it with ⚙.
+ * @param {Object} a - Team A object
+ * @param {Object} b - Team B object
+ * @param {Object} record - Match record backing this card
+ * @returns {HTMLElement} The match element to append to the DOM
+ */
+export function makeDualEntryMatch(a, b, record) {
+  const el = document.createElement('div');
+  el.className = 'match match--dual';
+
+  const names = [a.name, b.name];
+  const nameA = UI.escapeHtml(a.name);
+  const nameB = UI.escapeHtml(b.name);
+  const rule = getScoringRule(record);
+  const example = record.bestOf === 3 ? '11-7, 9-11, 11-5' : '11-7';
+  const scores = games => games.map(g => `${g.a}-${g.b}`).join(', ');
+
+  el.innerHTML = `
+    <div class="match-header">
+      <strong>${nameA}</strong> <span class="match-vs">vs</span> <strong>${nameB}</strong>
+      ${record.bestOf === 3 ? '<span class="match-bo3-label">(Best of 3)</span>' : ''}
+      ${ruleLabel(rule)}
+    </div>
+    ${pairingNote(record)}
+    <div class="match-reports">
+      ${names.map((name, i) => `
+      <div class="match-report match-score-box--${i === 0 ? 'a' : 'b'}">
+        <div class="match-score-label--${i === 0 ? 'a' : 'b'}">${UI.escapeHtml(name)} - Report the Score:</div>
+        <input type="text" class="report-input" placeholder="${nameA} first, e.g. ${example}">
+        <button class="report-submit">Submit Report</button>
+        <div class="report-status"></div>
+      </div>`).join('')}
+    </div>
+    <div class="match-actions">
+      <span class="admin" title="Admin Override">⚙</span>
+      <span class="forfeit" title="Record Forfeit / No-Show">🏳</span>
+    </div>
+    <div class="match-dispute"></div>
+    <div class="match-result"></div>`;
+
+  const reportEls = el.querySelectorAll('.match-report');
+
+  /** Show who has reported, the dispute, or the confirmed result. */
+  function refresh() {
+    const reports = record.reports || {};
+    const submitted = record.status === 'submitted';
+    reportEls.forEach((reportEl, i) => {
+      const reported = reports[names[i]];
+      const waiting = names[1 - i];
+      let status = '';
+      if (record.disputed) status = `Reported ${scores(reported)}`;
+      else if (reported) status = `✓ Reported — waiting for ${UI.escapeHtml(waiting)}`;
+      reportEl.querySelector('.report-status').innerHTML = submitted ? '' : status;
+      reportEl.querySelector('.report-input').disabled = submitted || !!record.disputed;
+      reportEl.querySelector('.report-submit').disabled = submitted || !!record.disputed;
+    });
+
+    const disputeDiv = el.querySelector('.match-dispute');
+    disputeDiv.style.display = record.disputed ? 'block' : 'none';
+    disputeDiv.innerHTML = record.disputed
+      ? `⚠ Disputed — ${nameA} reported ${scores(reports[a.name])}, ${nameB} reported ${scores(reports[b.name])}. An admin resolves it with ⚙.`
+      : '';
+    el.classList.toggle('match--disputed', !!record.disputed);
+
+    if (!submitted) return;
+    const aWins = record.games.filter(g => g.a > g.b).length;
+    const bWins = record.games.length - aWins;
+    const resultDiv = el.querySelector('.match-result');
+    resultDiv.style.display = 'block';
+    resultDiv.innerHTML = `
+      ${resultBanner(record)}
+      <div class="match-result-scores">
+        ${record.games.map((g, i) => `${record.bestOf === 3 ? `Game ${i + 1}: ` : ''}${nameA} ${g.a}-${g.b} ${nameB}`).join(' | ')}
+      </div>
+      <div class="match-result-winner">Winner: ${aWins > bWins ? nameA : nameB}${record.bestOf === 3 ? ` (${Math.max(aWins, bWins)}-${Math.min(aWins, bWins)})` : ''}</div>`;
+  }
+
+  reportEls.forEach((reportEl, i) => {
+    reportEl.querySelector('.report-submit').onclick = () => {
+      const games = parseGamesInput(reportEl.querySelector('.report-input').value);
+      const error = validateGames(games, record.bestOf, rule);
+      if (error) return UI.showMatchError(el, error);
+      const result = Engine.reportScore(record.id, names[i], games);
+      if (result.error) return UI.showMatchError(el, result.error);
+      reportEl.querySelector('.report-input').value = '';
+      refresh();
+    };
+  });
+
+  el.querySelector('.admin').onclick = async () => {
+    if (State.isWeekComplete() && record.phase !== 'playoff') {
+      return UI.showMatchError(el, 'Week already finalized — see Past Weeks');
+    }
+    if (!(await requireAdmin('An admin override'))) return;
+    const current = scores(record.games);
+    const input = prompt(
+      `Admin: ${record.disputed ? 'Resolve the disputed' : 'Correct the'} score for ${a.name} vs ${b.name}` +
+      ` (${a.name} first${record.bestOf === 3 ? ', games separated by commas' : ''})`,
+      current
+    );
+    if (input === null) return;
+
+    const games = parseGamesInput(input);
+    const error = validateGames(games, record.bestOf, rule);
+    if (error) return UI.showMatchError(el, error);
+    if (submitToEngine(el, record, games, true)) refresh();
+  };
+
+  el.querySelector('.forfeit').onclick = async () => {
+    const forfeiter = await chooseForfeit(el, record);
+    if (!forfeiter) return;
+    if (submitToEngine(el, record, forfeitGames(record, forfeiter), false, forfeiter)) refresh();
+  };
+
+  refresh();
+  return el;
+}
+
+// --- Rounds ---
+
+/**
+ * Build a round element with a card for every logged match in it.
+ * @param {number} week - Week number
+ * @param {string} phase - 'swiss', 'bracket' or 'playoff'
+ * @param {number} round - Round number within the phase
+ * @returns {HTMLElement}
+ */
+function renderRound(week, phase, round) {
+  const roundEl = UI.createRoundElement(UI.roundTitle(week, phase, round));
+  const records = phase === 'playoff' ? playoffRoundMatches(round) : State.getRoundMatches(week, phase, round);
+  records.forEach(record => {
+    const matchEl = renderMatch(record);
+    if (matchEl) roundEl.appendChild(matchEl);
+  });
+  return roundEl;
+}
+
+/**
+ * Append a newly generated round and scroll to it.
+ * @param {{week: number, phase: string, round: number}} round - Engine 'roundGenerated' payload
+ */
+export function showRound({ week, phase, round }) {
+  const roundEl = renderRound(week, phase, round);
+  UI.appendRound(roundEl);
+  UI.scrollToElement(roundEl);
+}
+
+/**
+ * Show the season finale — the champion and the playoff standings — below
+ * the playoff rounds, replacing it if an override of the final re-crowned.
+ */
+export function showFinale() {
+  const shown = UI.getContentEl() && UI.getContentEl().querySelector('.season-finale');
+  if (shown) shown.remove();
+  const finaleEl = UI.renderSeasonFinale(Engine.getPlayoff());
+  UI.appendRound(finaleEl);
+  UI.scrollToElement(finaleEl);
+}
+
+/**
+ * Rebuild the current week's round cards from the match log after a reload,
+ * undo or backup import — or, once it has started, the season playoff's.
+ * Submitted matches come back locked, pending ones editable. The engine
+ * first finishes anything a reload interrupted.
+ */
+export function restoreRounds() {
+  Engine.resume();
+  UI.clearContent();
+  const week = State.getWeek();
+  const playoff = Engine.getPlayoff();
+  if (playoff) {
+    playoff.rounds.forEach(({ round }) => UI.appendRound(renderRound(week, 'playoff', round)));
+    if (playoff.champion) UI.appendRound(UI.renderSeasonFinale(playoff));
+    UI.updateButtonStates();
+    UI.updateStatus();
+    return;
+  }
+  for (let round = 1; round <= State.getSwissRound(); round++) {
+    if (State.getRoundMatches(week, 'swiss', round).length > 0) {
+      UI.appendRound(renderRound(week, 'swiss', round));
+    }
+  }
+  for (let round = 1; round <= State.getBracketRoundCount(); round++) {
+    if (State.getRoundMatches(week, 'bracket', round).length === 0) break;
+    UI.appendRound(renderRound(week, 'bracket', round));
+  }
+  UI.updateButtonStates();
+  UI.updateStatus();
+}
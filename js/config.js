@@ -2,31 +2,210 @@
  * @module config
  * @description All constants and configuration values for the league.
  * Change these values to adjust league rules without touching business logic.
+ * Round counts and placement points scale from the number of teams, so the
+ * helpers below are the single source of truth for those rules.
  */
 
 /** Total number of weeks in the league season. */
 export const TOTAL_WEEKS = 15;
 
-/** Number of Swiss rounds per week. */
-export const SWISS_ROUNDS = 4;
-
-/** Number of teams in the league. */
+/** Default number of teams offered on the setup screen. */
 export const TEAM_COUNT = 8;
 
-/** Number of players per team. */
-export const PLAYERS_PER_TEAM = 2;
+/** Smallest supported league. */
+export const MIN_TEAMS = 4;
 
-/** Number of bracket rounds after Swiss phase. */
-export const BRACKET_ROUND_COUNT = 3;
+/** Largest supported league. Odd counts give one Swiss bye per round. */
+export const MAX_TEAMS = 16;
 
-/**
- * Points awarded in finalizeWeek based on bracket placement.
- * Index 0 = 1st/2nd place match, Index 3 = 7th/8th place match.
- */
-export const BRACKET_BASE_POINTS = [10, 8, 6, 4];
+/** Number of undo steps kept (and saved with the league). */
+export const HISTORY_LIMIT = 20;
+
+/** Seconds each panel of the projector display stays up before the next one. */
+export const DISPLAY_PANEL_SECONDS = 12;
+
+/** Seconds between the league page's checks for scores sent from phones (bin/server.js). */
+export const PHONE_POLL_SECONDS = 3;
+
+/** Number of players per team. */
+export const PLAYERS_PER_TEAM = 2;
 
 /** Bonus points for winning the 1st place match. */
 export const FIRST_PLACE_BONUS = 5;
 
 /** Points subtracted from base for the loser of each bracket match. */
 export const LOSER_POINT_PENALTY = 2;
+
+/** Whether a Swiss bye is credited as a win. */
+export const BYE_COUNTS_AS_WIN = true;
+
+/** Point differential credited for a Swiss bye. */
+export const BYE_POINT_DIFFERENTIAL = 0;
+
+/**
+ * Game score recorded for the team that shows up when the other forfeits.
+ * null uses the match's target score (11 under standard scoring).
+ */
+export const FORFEIT_WINNER_POINTS = null;
+
+/** Game score recorded for the team that forfeits. */
+export const FORFEIT_LOSER_POINTS = 0;
+
+/**
+ * Dual-entry scoring: each team reports the full score of its match, and the
+ * result is recorded only when both reports agree. A mismatch leaves the
+ * match pending and disputed until an admin override resolves it.
+ */
+export const DUAL_ENTRY_SCORES = false;
+
+/** Highest score accepted for any game that has no hard cap. */
+export const MAX_GAME_POINTS = 99;
+
+/**
+ * Game scoring rules, by name.
+ * - target: points needed to win
+ * - winBy: required winning margin
+ * - cap: hard cap — the first team to reach it wins by any margin (null = none)
+ * - timeCap: time-capped games — when time runs out, any 1-point leader wins
+ */
+export const SCORING_RULES = {
+  standard: { target: 11, winBy: 2, cap: null, timeCap: false },
+  to15: { target: 15, winBy: 2, cap: null, timeCap: false },
+  to21: { target: 21, winBy: 2, cap: null, timeCap: false },
+  to11cap15: { target: 11, winBy: 2, cap: 15, timeCap: false },
+  timed: { target: 11, winBy: 2, cap: null, timeCap: true },
+};
+
+/** Scoring rule played in each phase (keys of SCORING_RULES). */
+export const PHASE_SCORING = {
+  swiss: 'standard',
+  bo3: 'standard',     // Best-of-3 matches: the Swiss decider round and the playoff final
+  bracket: 'standard',
+  playoff: 'standard', // Season playoff rounds before the final
+};
+
+/**
+ * Swiss tiebreakers applied in order after wins (keys of SWISS_TIEBREAKERS in
+ * sorting.js): 'h2h', 'buchholz', 'medianBuchholz', 'sonnebornBerger',
+ * 'opponentsPd', 'pd', 'coinFlip'. Team name always breaks the last tie.
+ */
+export const SWISS_TIEBREAK_ORDER = ['h2h', 'buchholz', 'pd'];
+
+/** Seed for the 'coinFlip' tiebreaker — the same seed and week always flip the same way. */
+export const TIEBREAK_SEED = 'KPL';
+
+/**
+ * League points for each week a player checks in present (or plays as a
+ * substitute). 0 turns attendance points off; weeks without a check-in
+ * never award them.
+ */
+export const ATTENDANCE_POINTS = 0;
+
+/**
+ * Teams in the season playoff after the last week — a single-elimination
+ * bracket that crowns the champion. Fewer than 2 ends the season without one.
+ */
+export const PLAYOFF_TEAMS = 4;
+
+/**
+ * How playoff teams are ranked, both with the league comparator:
+ * - 'teams': by the combined league totals of each team's roster
+ * - 'players': by each team's best-placed player in the league table
+ */
+export const PLAYOFF_SEEDING = 'teams';
+
+/** Best-of for the championship final (1 or 3); earlier playoff rounds are single games. */
+export const PLAYOFF_FINAL_BEST_OF = 3;
+
+/** Base points for the last placement match (7th/8th with 8 teams). */
+export const LAST_PLACEMENT_BASE_POINTS = 4;
+
+/** Base points added per placement match moving up the standings. */
+export const PLACEMENT_POINT_STEP = 2;
+
+/**
+ * Whether a league of this size is supported.
+ * @param {number} teamCount - Number of teams
+ * @returns {boolean}
+ */
+export function isValidTeamCount(teamCount) {
+  return Number.isInteger(teamCount) && teamCount >= MIN_TEAMS && teamCount <= MAX_TEAMS;
+}
+
+/**
+ * Number of Swiss rounds per week.
+ * Opening rounds are played until an undefeated pool is small, then a Best-of-3
+ * decider round, then a final round for teams that played single games in the
+ * decider. Four teams skip the final round. 8 teams → 4 rounds.
+ * @param {number} teamCount - Number of teams
+ * @returns {number}
+ */
+export function swissRoundsFor(teamCount) {
+  if (teamCount <= 4) return 2;
+  return Math.ceil(Math.log2(teamCount)) + 1;
+}
+
+/**
+ * The Swiss round in which unbeaten-vs-unbeaten and winless-vs-winless
+ * pairings are played as Best-of-3. 8 teams → Round 3.
+ * @param {number} teamCount - Number of teams
+ * @returns {number}
+ */
+export function swissDeciderRound(teamCount) {
+  if (teamCount <= 4) return 2;
+  return swissRoundsFor(teamCount) - 1;
+}
+
+/**
+ * Number of placement bracket rounds. Non-power-of-two leagues (including
+ * odd counts) are padded with byes up to the next power of two. 8 teams → 3 rounds.
+ * @param {number} teamCount - Number of teams
+ * @returns {number}
+ */
+export function bracketRoundsFor(teamCount) {
+  return Math.ceil(Math.log2(teamCount));
+}
+
+/**
+ * Base points for each final-round placement match, best match first.
+ * Index 0 = 1st/2nd place match. 8 teams → [10, 8, 6, 4].
+ * @param {number} teamCount - Number of teams
+ * @returns {number[]}
+ */
+export function bracketBasePoints(teamCount) {
+  const matches = Math.ceil(teamCount / 2);
+  return Array.from({ length: matches },
+    (_, i) => LAST_PLACEMENT_BASE_POINTS + PLACEMENT_POINT_STEP * (matches - 1 - i));
+}
+
+/**
+ * Name of the scoring rule for a match.
+ * @param {string} phase - 'swiss', 'bracket' or 'playoff'
+ * @param {number} [bestOf=1] - 3 selects the Best-of-3 rule
+ * @returns {string} Key of SCORING_RULES
+ */
+export function scoringRuleFor(phase, bestOf = 1) {
+  const key = bestOf === 3 ? PHASE_SCORING.bo3 : PHASE_SCORING[phase];
+  return SCORING_RULES[key] ? key : 'standard';
+}
+
+/**
+ * Short description of a scoring rule, e.g. "First to 11, win by 2".
+ * @param {Object} rule - Entry of SCORING_RULES
+ * @returns {string}
+ */
+export function describeScoringRule(rule) {
+  let text = `First to ${rule.target}, win by ${rule.winBy}`;
+  if (rule.cap) text += `, cap ${rule.cap}`;
+  if (rule.timeCap) text += ' — time cap: leader wins';
+  return text;
+}
+
+/**
+ * Coin-flip seed for a given week.
+ * @param {number} week - Week number
+ * @returns {string}
+ */
+export function tiebreakSeed(week) {
+  return `${TIEBREAK_SEED}-w${week}`;
+}
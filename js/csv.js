@@ -1,40 +1,45 @@
 /**
  * @module csv
- * @description Data import/export — full JSON backup with version validation,
- * league standings CSV, and Swiss standings CSV. All file I/O uses FileReader
- * for imports and Blob URLs for downloads.
+ * @description Data import/export — full JSON backup with schema migration and validation,
+ * league standings CSV, Swiss standings CSV, archived week results CSV, round
+ * score sheets (blank sheet download, checked bulk import), team rosters
+ * (CSV or JSON, filled into the setup inputs), and the audit log export.
+ * All file I/O uses FileReader for imports and Blob URLs for downloads.
+ * Every import is admin-only, and standings imports are audit-logged.
  */
+import { DUAL_ENTRY_SCORES } from './config.js';
 import * as State from './state.js';
-import { TOTAL_WEEKS, SWISS_ROUNDS, TEAM_COUNT } from './config.js';
-import { comparePlayersByLeague } from './sorting.js';
-import { buchholz, sortTeamsBySwiss } from './swiss.js';
+import * as Engine from './engine.js';
+import { readBackup } from './backup.js';
+import { leagueCSV, swissCSV, weekCSV, auditCSV } from './reports.js';
+import { parseCSV, readCell } from './csvformat.js';
+import { scoreSheetCSV, previewScoreSheet } from './scoresheet.js';
+import { rosterCSV, readRoster, validateRoster } from './roster.js';
+import { restoreRounds } from './cards.js';
 import * as UI from './ui.js';
+import { requireAdmin } from './admin.js';
+
+/** The file chosen for an import, once the user is confirmed as admin; null otherwise. */
+async function adminImportFile(event, action) {
+  const file = event.target.files[0];
+  if (file && await requireAdmin(action)) return file;
+  event.target.value = '';
+  return null;
+}
 
 // --- Full Backup (JSON) ---
 export function exportFullBackup() {
   if (!State.hasTeams()) { UI.showNotification('No league data to export'); return; }
 
-  const backup = {
-    version: '1.1',
-    exportDate: new Date().toISOString(),
-    week: State.getWeek(),
-    swissRound: State.getSwissRound(),
-    pending: State.getPending(),
-    teams: State.getTeams(),
-    players: State.getPlayers(),
-    bracketRounds: State.getBracketRounds(),
-    constants: { TOTAL_WEEKS, SWISS_ROUNDS },
-  };
-
-  const json = JSON.stringify(backup, null, 2);
+  const json = JSON.stringify(Engine.exportBackup(), null, 2);
   const week = State.getWeek();
   const date = new Date().toISOString().split('T')[0];
   UI.downloadCSV(`kpl_league_backup_week${week}_${date}.json`, json);
   UI.showNotification('Complete league backup exported!');
 }
 
-export function importFullBackup(event) {
-  const file = event.target.files[0];
+export async function importFullBackup(event) {
+  const file = await adminImportFile(event, 'Importing a league');
   if (!file) return;
 
   const reader = new FileReader();
@@ -42,41 +47,25 @@ export function importFullBackup(event) {
     try {
       const backup = JSON.parse(e.target.result);
 
-      // Validate backup structure
-      if (!backup.version || !backup.teams || !Array.isArray(backup.teams)) {
-        return alert('Invalid backup file format');
-      }
-      if (backup.teams.length !== TEAM_COUNT) {
-        return alert(`Backup contains ${backup.teams.length} teams. Expected ${TEAM_COUNT} teams.`);
-      }
-
-      // Handle version 1.1
-      if (backup.version === '1.1' && backup.players) {
-        for (const t of backup.teams) {
-          if (!t.name || !t.swiss || !t.bracket || !t.players) {
-            return alert('Invalid team data structure in backup');
-          }
-        }
+      const { error } = readBackup(backup);
+      if (error) return alert(error);
 
-        if (State.hasTeams()) {
-          if (!confirm('This will replace your current league data. Continue?')) {
-            event.target.value = '';
-            return;
-          }
+      if (State.hasTeams()) {
+        if (!confirm('This will replace your current league data. Continue?')) {
+          event.target.value = '';
+          return;
         }
-
-        State.restoreState(backup);
-      } else {
-        return alert('This backup is from an older version. Please export a new backup with the current version.');
       }
 
+      const { upgradedFrom } = Engine.importBackup(backup);
+
       // Update UI
-      UI.clearContent();
       UI.updateLeagueTable();
       UI.updateSwissTable();
-      UI.updateButtonStates();
-      State.save();
-      UI.showNotification(`League restored! Week ${State.getWeek()}, ${State.getPlayers().length} players`);
+      UI.updatePastWeeks();
+      restoreRounds();
+      const upgraded = upgradedFrom ? ` (upgraded from version ${upgradedFrom})` : '';
+      UI.showNotification(`League restored! Week ${State.getWeek()}, ${State.getPlayers().length} players${upgraded}`, 4000);
     } catch (err) {
       alert('Error reading backup file: ' + err.message);
     }
@@ -85,69 +74,80 @@ export function importFullBackup(event) {
   event.target.value = '';
 }
 
+// --- Reading a standings CSV ---
+
+/**
+ * Parse a standings CSV and pick out columns by header name (in any order,
+ * any case). Cells are whole numbers unless the column is text.
+ * @param {string} text - File contents
+ * @param {Array<{key: string, headers: string[], text?: boolean}>} columns -
+ *   Needed columns; headers lists the accepted header names, the first one
+ *   used in messages
+ * @returns {{records: Array<Object>}|{error: string}} One record per data row
+ *   ({ line, [key]: value }), or the first problem with its line number
+ */
+function readStandingsCSV(text, columns) {
+  const parsed = parseCSV(text);
+  if (parsed.error) return { error: parsed.error };
+  const { rows, lines } = parsed;
+  if (rows.length < 2) return { error: 'CSV file is empty or invalid' };
+
+  const header = rows[0].map(h => readCell(h).trim().toLowerCase());
+  const index = {};
+  for (const col of columns) {
+    index[col.key] = header.findIndex(h => col.headers.some(name => name.toLowerCase() === h));
+    if (index[col.key] === -1) {
+      return { error: `Line ${lines[0]}: missing column "${col.headers[0]}". Found: ${rows[0].join(', ')}` };
+    }
+  }
+
+  const records = [];
+  for (let r = 1; r < rows.length; r++) {
+    const record = { line: lines[r] };
+    for (const col of columns) {
+      const cell = readCell((rows[r][index[col.key]] ?? '').trim());
+      if (col.text) {
+        if (!cell) return { error: `Line ${lines[r]}: "${col.headers[0]}" is empty` };
+        record[col.key] = cell;
+      } else {
+        if (!/^[-+]?\d+$/.test(cell)) {
+          return { error: `Line ${lines[r]}: "${col.headers[0]}" must be a whole number (found "${cell}")` };
+        }
+        record[col.key] = parseInt(cell, 10);
+      }
+    }
+    records.push(record);
+  }
+  return { records };
+}
+
 // --- League CSV Export/Import ---
 export function exportLeagueCSV() {
   if (!State.hasPlayers()) { UI.showNotification('No league data to export'); return; }
 
-  const players = State.getPlayers();
-  let csv = 'Rank,Player,Team,Points,Wins,Losses,Point Differential\n';
-  const sorted = [...players].sort(comparePlayersByLeague);
-
-  sorted.forEach((p, i) => {
-    csv += `${i + 1},"${p.name}","${p.team}",${p.league.pts},${p.league.w},${p.league.l},${p.league.pd}\n`;
-  });
-
-  UI.downloadCSV(`league_standings_week${State.getWeek()}.csv`, csv);
+  UI.downloadCSV(`league_standings_week${State.getWeek()}.csv`, leagueCSV());
   UI.showNotification('League standings exported!');
 }
 
-export function importLeagueCSV(event) {
-  const file = event.target.files[0];
+export async function importLeagueCSV(event) {
+  const file = await adminImportFile(event, 'Importing league standings');
   if (!file) return;
 
   const reader = new FileReader();
   reader.onload = function (e) {
     try {
-      const lines = e.target.result.split('\n').filter(l => l.trim());
-      if (lines.length < 2) return alert('CSV file is empty or invalid');
+      const { records: imported, error } = readStandingsCSV(e.target.result, [
+        { key: 'name', headers: ['Player'], text: true },
+        { key: 'pts', headers: ['Points', 'Pts'] },
+        { key: 'w', headers: ['Wins', 'W'] },
+        { key: 'l', headers: ['Losses', 'L'] },
+        { key: 'pd', headers: ['Point Differential', 'PD'] },
+      ]);
+      if (error) return alert(`Invalid league CSV — ${error}`);
 
-      const header = lines[0].toLowerCase();
-      if (!header.includes('player') || !header.includes('points')) {
-        return alert('Invalid CSV format. Expected columns: Rank,Player,Team,Points,Wins,Losses,Point Differential');
-      }
-
-      const imported = [];
-      for (let i = 1; i < lines.length; i++) {
-        const cols = lines[i].match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g);
-        if (!cols || cols.length < 7) continue;
-        const playerName = cols[1].replace(/^"|"$/g, '').trim();
-        imported.push({
-          name: playerName,
-          pts: parseInt(cols[3]) || 0,
-          w: parseInt(cols[4]) || 0,
-          l: parseInt(cols[5]) || 0,
-          pd: parseInt(cols[6]) || 0,
-        });
-      }
+      const result = Engine.importStandings('league', imported, { source: ` from ${file.name}` });
+      if (result.error) return alert(`League CSV not imported — ${result.error}`);
 
-      const players = State.getPlayers();
-      if (imported.length !== players.length) {
-        return alert(`CSV has ${imported.length} players but league has ${players.length} players. Import cancelled.`);
-      }
-
-      players.forEach(p => {
-        const imp = imported.find(i => i.name === p.name);
-        if (imp) {
-          p.league.pts = imp.pts;
-          p.league.w = imp.w;
-          p.league.l = imp.l;
-          p.league.pd = imp.pd;
-        }
-      });
-
-      UI.updateLeagueTable();
-      UI.updateStatus();
-      State.save();
       UI.showNotification('League standings imported!');
     } catch (err) {
       alert('Error parsing CSV: ' + err.message);
@@ -161,61 +161,90 @@ export function importLeagueCSV(event) {
 export function exportSwissCSV() {
   if (!State.hasTeams()) { UI.showNotification('No Swiss data to export'); return; }
 
-  const sorted = sortTeamsBySwiss(State.getTeams());
-  let csv = 'Seed,Team,Wins,Losses,Point Differential,Buchholz\n';
-  sorted.forEach((t, i) => {
-    csv += `${i + 1},"${t.name}",${t.swiss.w},${t.swiss.l},${t.swiss.pd},${buchholz(t)}\n`;
-  });
-
-  UI.downloadCSV(`swiss_standings_week${State.getWeek()}.csv`, csv);
+  UI.downloadCSV(`swiss_standings_week${State.getWeek()}.csv`, swissCSV());
   UI.showNotification('Swiss standings exported!');
 }
 
-export function importSwissCSV(event) {
-  const file = event.target.files[0];
+export async function importSwissCSV(event) {
+  const file = await adminImportFile(event, 'Importing Swiss standings');
   if (!file) return;
 
   const reader = new FileReader();
   reader.onload = function (e) {
     try {
-      const lines = e.target.result.split('\n').filter(l => l.trim());
-      if (lines.length < 2) return alert('CSV file is empty or invalid');
+      const { records: imported, error } = readStandingsCSV(e.target.result, [
+        { key: 'name', headers: ['Team'], text: true },
+        { key: 'w', headers: ['Wins', 'W'] },
+        { key: 'l', headers: ['Losses', 'L'] },
+        { key: 'pd', headers: ['Point Differential', 'PD'] },
+      ]);
+      if (error) return alert(`Invalid Swiss CSV — ${error}`);
 
-      const header = lines[0].toLowerCase();
-      if (!header.includes('team') || !header.includes('wins')) {
-        return alert('Invalid CSV format. Expected columns: Seed,Team,Wins,Losses,Point Differential,Buchholz');
-      }
+      const result = Engine.importStandings('swiss', imported, { source: ` from ${file.name}` });
+      if (result.error) return alert(`Swiss CSV not imported — ${result.error}`);
 
-      const imported = [];
-      for (let i = 1; i < lines.length; i++) {
-        const cols = lines[i].match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g);
-        if (!cols || cols.length < 5) continue;
-        const teamName = cols[1].replace(/^"|"$/g, '').trim();
-        imported.push({
-          name: teamName,
-          w: parseInt(cols[2]) || 0,
-          l: parseInt(cols[3]) || 0,
-          pd: parseInt(cols[4]) || 0,
-        });
-      }
+      UI.showNotification('Swiss standings imported!');
+    } catch (err) {
+      alert('Error parsing CSV: ' + err.message);
+    }
+  };
+  reader.readAsText(file);
+  event.target.value = '';
+}
 
-      const teams = State.getTeams();
-      if (imported.length !== teams.length) {
-        return alert(`CSV has ${imported.length} teams but league has ${teams.length} teams. Import cancelled.`);
-      }
+// --- Past Week CSV Export ---
+export function exportWeekCSV() {
+  const week = UI.getSelectedPastWeek();
+  const entry = week == null ? null : State.findArchivedWeek(week);
+  if (!entry) { UI.showNotification('No finished week selected'); return; }
 
-      teams.forEach(t => {
-        const imp = imported.find(i => i.name === t.name);
-        if (imp) {
-          t.swiss.w = imp.w;
-          t.swiss.l = imp.l;
-          t.swiss.pd = imp.pd;
-        }
-      });
+  UI.downloadCSV(`week${entry.week}_results.csv`, weekCSV(entry));
+  UI.showNotification(`Week ${entry.week} results exported!`);
+}
 
-      UI.updateSwissTable();
-      State.save();
-      UI.showNotification('Swiss standings imported!');
+// --- Audit Log Export ---
+export function exportAuditCSV() {
+  const entries = Engine.getAudit(UI.readAuditFilters());
+  if (entries.length === 0) { UI.showNotification('No audit entries to export'); return; }
+
+  const date = new Date().toISOString().split('T')[0];
+  UI.downloadCSV(`kpl_audit_log_${date}.csv`, auditCSV(entries));
+  UI.showNotification(`${entries.length} audit entr${entries.length === 1 ? 'y' : 'ies'} exported!`);
+}
+
+// --- Round Score Sheet Export/Import ---
+export function exportScoreSheet() {
+  const round = Engine.getRound();
+  // A finalized week's rounds are over, but the season playoff is played after the last one
+  if (!round.round || (State.isWeekComplete() && !State.getPlayoff())) { UI.showNotification('No round in progress'); return; }
+
+  UI.downloadCSV(`week${round.week}_${round.phase}_round${round.round}_scores.csv`, scoreSheetCSV(round));
+  UI.showNotification('Score sheet downloaded!');
+}
+
+export async function importScoreSheet(event) {
+  const file = await adminImportFile(event, 'Importing a score sheet');
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = async function (e) {
+    try {
+      const round = Engine.getRound();
+      if (State.isWeekComplete() && !State.getPlayoff()) return alert('Week already finalized — see Past Weeks');
+      const preview = previewScoreSheet(e.target.result, round);
+      if (preview.error) return alert(`Invalid score sheet — ${preview.error}`);
+
+      const title = round.phase === 'playoff'
+        ? `Season Playoff – Round ${round.round}`
+        : `Week ${round.week} – ${round.phase === 'swiss' ? 'Swiss' : 'Bracket'} Round ${round.round}`;
+      // With dual-entry scoring the sheet replaces the teams' reports; the import is admin-only already
+      if (!(await UI.showScoreSheetPreview(title, preview, { override: DUAL_ENTRY_SCORES }))) return;
+
+      const result = Engine.submitResults(preview.results, { admin: DUAL_ENTRY_SCORES });
+      if (result.error) return alert(`Score sheet not imported — ${result.error}`);
+
+      restoreRounds();
+      UI.showNotification(`${result.matches.length} result${result.matches.length === 1 ? '' : 's'} submitted from the score sheet`);
     } catch (err) {
       alert('Error parsing CSV: ' + err.message);
     }
@@ -223,3 +252,37 @@ export function importSwissCSV(event) {
   reader.readAsText(file);
   event.target.value = '';
 }
+
+// --- Roster Export/Import ---
+export function exportRoster() {
+  // The running league's teams, or the names typed in before a league starts
+  const roster = State.hasTeams()
+    ? State.getTeams().map(t => ({ name: t.name, players: t.players }))
+    : UI.readTeamInputs();
+  const error = validateRoster(roster);
+  if (error) { UI.showNotification(`Roster not exported — ${error}`, 4000); return; }
+
+  UI.downloadCSV('kpl_roster.csv', rosterCSV(roster));
+  UI.showNotification('Roster exported!');
+}
+
+export async function importRoster(event) {
+  const file = await adminImportFile(event, 'Importing a roster');
+  if (!file) return;
+
+  const reader = new FileReader();
+  reader.onload = function (e) {
+    try {
+      const { roster, error } = readRoster(e.target.result);
+      if (error) return alert(`Invalid roster — ${error}`);
+
+      UI.fillTeamInputs(roster);
+      const note = State.hasTeams() ? ' — Start / Reset League replaces the current league' : ' — press Start to begin';
+      UI.showNotification(`Roster loaded: ${roster.length} teams${note}`, 4000);
+    } catch (err) {
+      alert('Error reading roster file: ' + err.message);
+    }
+  };
+  reader.readAsText(file);
+  event.target.value = '';
+}
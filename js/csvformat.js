@@ -0,0 +1,144 @@
+/**
+ * @module csvformat
+ * @description RFC 4180 CSV reading and writing. The reader handles quoted
+ * fields (with "" escapes, delimiters and line breaks inside quotes), CRLF,
+ * LF or CR line endings, a UTF-8 byte order mark, and comma or semicolon
+ * delimiters, and reports problems by line number. The writer quotes only
+ * where needed and neutralizes text that a spreadsheet would run as a
+ * formula. Pure functions only: no state, no DOM.
+ */
+
+/** Delimiters recognised when reading. */
+const DELIMITERS = [',', ';'];
+
+/** Leading characters that make a spreadsheet treat a cell as a formula. */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/** Plain numbers are safe even when they start with - or +. */
+const PLAIN_NUMBER = /^[-+]?\d+(\.\d+)?$/;
+
+/**
+ * Guess the delimiter from the first line: whichever of comma or semicolon
+ * appears more often outside quotes (comma on a tie).
+ * @param {string} text - CSV text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const counts = Object.fromEntries(DELIMITERS.map(d => [d, 0]));
+  let quoted = false;
+  for (const ch of text.replace(/^\uFEFF/, '')) {
+    if (ch === '"') quoted = !quoted;
+    else if (!quoted && (ch === '\n' || ch === '\r')) break;
+    else if (!quoted && ch in counts) counts[ch]++;
+  }
+  return counts[';'] > counts[','] ? ';' : ',';
+}
+
+/**
+ * Parse CSV text into rows of strings. Blank rows (all cells empty) are skipped.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Force a delimiter instead of detecting one
+ * @returns {{rows: string[][], lines: number[], delimiter: string}|{error: string}}
+ *   lines[i] is the line number row i starts on (1-based), for error messages
+ */
+export function parseCSV(text, { delimiter } = {}) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const sep = delimiter || detectDelimiter(src);
+  const rows = [];
+  const lines = [];
+
+  let row = [];
+  let field = '';
+  let quoted = false;      // inside a quoted field
+  let wasQuoted = false;   // current field was quoted (only the delimiter or a line end may follow)
+  let line = 1;
+  let rowLine = 1;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+    wasQuoted = false;
+  };
+  const endRow = () => {
+    endField();
+    if (row.some(f => f.trim() !== '')) {
+      rows.push(row);
+      lines.push(rowLine);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i++; }
+        else { quoted = false; wasQuoted = true; }
+      } else {
+        if (ch === '\n' || (ch === '\r' && src[i + 1] !== '\n')) line++;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === sep) {
+      endField();
+    } else if (ch === '\r' || ch === '\n') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      endRow();
+      line++;
+      rowLine = line;
+    } else if (wasQuoted) {
+      return { error: `Line ${line}: unexpected text after a closing quote` };
+    } else if (ch === '"') {
+      if (field !== '') return { error: `Line ${line}: a quote inside an unquoted field must be escaped as ""` };
+      quoted = true;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (quoted) return { error: `Line ${rowLine}: quoted field is never closed` };
+  endRow();
+  return { rows, lines, delimiter: sep };
+}
+
+/**
+ * Make one cell safe for spreadsheets and RFC 4180: text starting with
+ * = + - @ (or a tab/CR) gets a leading apostrophe so it is never run as a
+ * formula, and cells holding a delimiter, quote or line break are quoted.
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @param {string} [delimiter=','] - Delimiter the row is joined with
+ * @returns {string}
+ */
+export function formatCell(value, delimiter = ',') {
+  if (value == null) return '';
+  let text = String(value);
+  if (typeof value === 'string' && FORMULA_START.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return /["\r\n]/.test(text) || text.includes(delimiter)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+}
+
+/**
+ * Undo formatCell's formula guard on a cell read back from our own export.
+ * @param {string} text - Cell text from parseCSV
+ * @returns {string}
+ */
+export function readCell(text) {
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Join rows into CSV text with CRLF line endings. An empty row gives a blank line.
+ * @param {Array<Array<*>>} rows - Rows of cell values
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] - Field delimiter
+ * @returns {string}
+ */
+export function toCSV(rows, { delimiter = ',' } = {}) {
+  return rows.map(row => row.map(cell => formatCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,70 @@
+/**
+ * @module display
+ * @description Entry point of the projector scoreboard (display.html) — a
+ * read-only view of the current round, the Swiss table and the league table,
+ * plus the champion once crowned, rotating between panels every
+ * DISPLAY_PANEL_SECONDS. It never saves or runs an engine action: whenever
+ * the admin tab saves, the league is reloaded from localStorage and every
+ * panel is redrawn; a newly generated round is shown at once. Arrow keys
+ * switch panels by hand.
+ */
+import { DISPLAY_PANEL_SECONDS } from './config.js';
+import * as State from './state.js';
+import * as Engine from './engine.js';
+import * as UI from './ui.js';
+
+let panels = []; // panel names with something to show, in rotation order
+let current = null;
+let timer = null;
+let shownRound = null; // "week-phase-round" on the round panel, to spot a new round
+
+/** Show a panel and restart the rotation clock from it. */
+function showPanel(name) {
+  current = name;
+  UI.showDisplayPanel(name);
+  clearInterval(timer);
+  timer = panels.length > 1 ? setInterval(() => step(1), DISPLAY_PANEL_SECONDS * 1000) : null;
+}
+
+/** Move the given number of panels forward (or back), wrapping around. */
+function step(by) {
+  if (panels.length === 0) return;
+  const index = panels.indexOf(current);
+  showPanel(panels[(index + by + panels.length) % panels.length]);
+}
+
+/**
+ * Reload the saved league and redraw, staying on the same panel if it is
+ * still there — or jumping to the round panel when a new round was paired.
+ */
+function refresh() {
+  const loaded = State.load();
+  const round = loaded ? Engine.getRound() : null;
+  panels = UI.renderDisplay(round, loaded ? Engine.getPlayoff() : null);
+  const roundKey = round && round.matches.length > 0 ? `${round.week}-${round.phase}-${round.round}` : null;
+  const newRound = roundKey !== null && roundKey !== shownRound;
+  shownRound = roundKey;
+
+  if (panels.length === 0) {
+    clearInterval(timer);
+    current = null;
+    UI.showDisplayPanel(null);
+  } else if (newRound) {
+    showPanel('round');
+  } else if (!panels.includes(current)) {
+    showPanel(panels[0]);
+  } else {
+    UI.showDisplayPanel(current);
+  }
+}
+
+function initializeDisplay() {
+  State.onSavedElsewhere(refresh);
+  document.addEventListener('keydown', e => {
+    if (e.key === 'ArrowRight') step(1);
+    else if (e.key === 'ArrowLeft') step(-1);
+  });
+  refresh();
+}
+
+initializeDisplay();
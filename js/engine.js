@@ -0,0 +1,941 @@
+/**
+ * @module engine
+ * @description Headless league engine — the public API for running a league.
+ * Every league action goes through here: create a league, check in the
+ * week, generate a Swiss round, submit or report a result, start the
+ * bracket, finalize and advance the week, play the season playoff, and read
+ * standings and the audit log. Every change to scores or standings is
+ * written to the audit log as it happens. Functions return plain data (copies, never live state) and emit
+ * events; nothing here touches the DOM, so the same rules run in the browser
+ * and under Node. The browser UI is one
+ * consumer: it calls these functions and re-renders from the events.
+ *
+ * Failed actions return `{ error }` instead of throwing.
+ *
+ * Events (payloads are plain data):
+ * - 'leagueCreated'   { week, teams }
+ * - 'checkedIn'       { week, attendance, forfeits }
+ * - 'roundGenerated'  { week, phase, round, matches } — phase 'playoff' for the season playoff
+ * - 'resultSubmitted' { match, firstSubmit }
+ * - 'scoreReported'   { match, team, confirmed, disputed } — dual-entry scoring
+ * - 'matchDisputed'   { match } — the two teams' reports disagree
+ * - 'roundComplete'   { week, phase, round }
+ * - 'weekFinalized'   { week, entry }
+ * - 'weekAdvanced'    { week }
+ * - 'weekCorrected'   { week, matchId }
+ * - 'rosterChanged'   { change, team, ... } — substitute, replace or rename
+ * - 'playoffStarted'  { seeds }
+ * - 'championCrowned' { champion, standings }
+ * - 'backupImported'  { week, teams }
+ * - 'standingsImported' { kind, count } — league or Swiss standings replaced
+ * - 'warning'         { message }
+ * - 'change'          { action } — after every successful action
+ */
+import * as State from './state.js';
+import { TOTAL_WEEKS, DUAL_ENTRY_SCORES, SWISS_TIEBREAK_ORDER, isValidTeamCount } from './config.js';
+import { createSwissRound, swissStandingsTable } from './swiss.js';
+import { seedBracket, currentBracketRound, createNextBracketRound, finalizeWeek as archiveWeek, advanceWeek } from './bracket.js';
+import {
+  validateGames, getScoringRule, applyResult, forfeitGames, addScoreReport, disputedMatches
+} from './match.js';
+import { sortPlayersByLeague, editArchivedMatch, setLeagueTotals } from './standings.js';
+import { unknownTiebreakers } from './sorting.js';
+import { createBackup, readBackup } from './backup.js';
+import {
+  validateRoster, lineupFor, setSubstitute as substitute, replacePlayer as replace,
+  renameTeam as renameTeamEverywhere, renamePlayer as renamePlayerEverywhere
+} from './roster.js';
+import { checkIn as checkInPlayers, statusOf, shortTeams, weekAttendance, attendanceRecord } from './attendance.js';
+import {
+  playoffSize, playoffRoundCount, playoffRoundName, seedPlayoff, playoffRoundMatches,
+  currentPlayoffRound, checkPlayoffResult, applyPlayoffResult, playoffStandings
+} from './playoff.js';
+import { snapshotStandings, describeScore, describeMatch, logAudit, filterAudit } from './audit.js';
+
+// --- Events ---
+const listeners = new Map(); // event name → Set of handlers
+
+/**
+ * Subscribe to an engine event.
+ * @param {string} event - Event name (see module description)
+ * @param {Function} handler - Called with the event payload
+ * @returns {Function} Unsubscribe function
+ */
+export function on(event, handler) {
+  if (!listeners.has(event)) listeners.set(event, new Set());
+  listeners.get(event).add(handler);
+  return () => off(event, handler);
+}
+
+export function off(event, handler) {
+  const handlers = listeners.get(event);
+  if (handlers) handlers.delete(handler);
+}
+
+// A failing listener must not leave the league half-updated
+function emit(event, payload) {
+  const handlers = listeners.get(event);
+  if (!handlers) return;
+  [...handlers].forEach(handler => {
+    try {
+      handler(payload);
+    } catch (err) {
+      console.error(`Engine "${event}" listener failed:`, err);
+    }
+  });
+}
+
+const copy = data => JSON.parse(JSON.stringify(data));
+
+/** Save and announce a finished action. */
+function commit(action) {
+  State.save();
+  emit('change', { action });
+}
+
+function roundMatches(phase, round) {
+  if (phase === 'playoff') return copy(playoffRoundMatches(round));
+  return copy(State.getRoundMatches(State.getWeek(), phase, round));
+}
+
+/** A match this week, or of the season playoff once it has started. */
+function findCurrentMatch(matchId) {
+  const matches = State.getPlayoff() ? State.getPlayoff().matches : State.getWeekMatches(State.getWeek());
+  return matches.find(m => m.id === matchId);
+}
+
+// --- League ---
+
+/**
+ * Start a new league, replacing any current one (undoable).
+ * @param {Array<{name: string, players: string[]}>} roster - Teams in entry order
+ * @returns {{week: number, teams: string[]}|{error: string}}
+ */
+export function createLeague(roster) {
+  const error = validateRoster(roster);
+  if (error) return { error };
+
+  // The audit log outlives the league it recorded
+  const replaced = State.hasTeams();
+  const before = replaced ? snapshotStandings() : null;
+  if (replaced) State.recordHistory('Reset league');
+  State.clearSaved();
+
+  const teams = roster.map(team => ({
+    name: team.name.trim(),
+    players: team.players.map(p => p.trim()),
+    swiss: { w: 0, l: 0, pd: 0, opps: [], h2h: {} },
+    bracket: { w: 0, l: 0, pd: 0 },
+  }));
+  const players = teams.flatMap(team => team.players.map(name => ({
+    name,
+    team: team.name,
+    league: { pts: 0, w: 0, l: 0, pd: 0 },
+  })));
+
+  State.setTeams(teams);
+  State.setPlayers(players);
+  State.setMatches([]);
+  State.setArchive([]);
+  State.setLeagueBaseline({});
+  State.setSubs({});
+  State.setCheckIn(null);
+  State.setPlayoff(null);
+  State.setBracketRounds([]);
+  State.setWeek(1);
+  State.setSwissRound(0);
+  State.setPending(0);
+
+  const result = { week: 1, teams: teams.map(t => t.name) };
+  logAudit('reset', `${replaced ? 'League reset' : 'League created'}: ${teams.length} teams`, { before });
+  emit('leagueCreated', result);
+  commit('createLeague');
+  return result;
+}
+
+// --- Check-In ---
+
+/**
+ * Check in the current week before Swiss Round 1 (undoable): mark each
+ * rostered player present, absent or subbed. Players left out are present.
+ * Teams left without a full lineup forfeit their matches this week.
+ * @param {Array<{player: string, status: string, sub?: string}>} entries
+ *   status: 'present', 'absent' or 'subbed' (sub names the substitute)
+ * @returns {{week: number, attendance: Object, forfeits: string[]}|{error: string}}
+ *   attendance: name → status, substitutes as 'sub'
+ */
+export function checkIn(entries) {
+  const error = checkInPlayers(entries);
+  if (error) return { error };
+  const result = { week: State.getWeek(), attendance: weekAttendance(), forfeits: shortTeams() };
+  emit('checkedIn', result);
+  commit('checkIn');
+  return result;
+}
+
+/**
+ * This week's check-in, team by team.
+ * @returns {{week: number, checkedIn: boolean, open: boolean, teams: Object[], forfeits: string[]}}
+ *   open: check-in can still be taken or changed (before Swiss Round 1);
+ *   teams: [{ name, players: [{ name, status, sub }] }]
+ */
+export function getAttendance() {
+  const subs = State.getSubs();
+  return {
+    week: State.getWeek(),
+    checkedIn: State.getCheckIn() !== null,
+    open: State.hasTeams() && State.getSwissRound() === 0 && !State.isWeekComplete(),
+    teams: State.getTeams().map(t => ({
+      name: t.name,
+      players: t.players.map(p => ({
+        name: p,
+        status: statusOf(t.name, p),
+        sub: (subs[t.name] && subs[t.name][p]) || null,
+      })),
+    })),
+    forfeits: shortTeams(),
+  };
+}
+
+/**
+ * Forfeit the new round's matches of teams that cannot field a lineup this
+ * week. When both teams are short, team B forfeits.
+ */
+function forfeitShortTeams(phase, round) {
+  const short = shortTeams();
+  if (short.length === 0) return;
+  State.getRoundMatches(State.getWeek(), phase, round)
+    .filter(m => m.status === 'pending' && (short.includes(m.teamA) || short.includes(m.teamB)))
+    .forEach(record => {
+      const forfeit = short.includes(record.teamB) ? record.teamB : record.teamA;
+      const before = snapshotStandings();
+      applyResult(record, forfeitGames(record, forfeit), false, forfeit);
+      auditResult(record, 'pending', before, false, forfeit, ' (short at check-in)');
+      emit('resultSubmitted', { match: copy(record), firstSubmit: true });
+    });
+}
+
+// --- Swiss ---
+
+/**
+ * Pair and log the next Swiss round (undoable).
+ * @returns {{week: number, phase: string, round: number, matches: Object[]}|{error: string}}
+ */
+export function generateRound() {
+  if (!State.hasTeams()) return { error: 'No league — create one first' };
+  if (State.isWeekComplete()) return { error: 'Week already finalized — advance to the next week' };
+  if (State.hasBracketStarted()) return { error: 'The placement bracket has already started' };
+  if (State.isSwissComplete()) return { error: 'All Swiss rounds are played — start the bracket' };
+  if (State.getPending() > 0) return { error: `${State.getPending()} match(es) still pending` };
+
+  State.recordHistory(`Generate Swiss Round ${State.getSwissRound() + 1}`);
+  const { round, rematches } = createSwissRound();
+  if (rematches.length > 0) {
+    emit('warning', { message: `Unavoidable rematch: ${rematches.join(', ')}` });
+  }
+  const unknown = unknownTiebreakers(SWISS_TIEBREAK_ORDER);
+  if (unknown.length > 0) {
+    emit('warning', { message: `Unknown Swiss tiebreaker${unknown.length === 1 ? '' : 's'} ignored: ${unknown.join(', ')}` });
+  }
+  forfeitShortTeams('swiss', round);
+
+  const result = { week: State.getWeek(), phase: 'swiss', round, matches: roundMatches('swiss', round) };
+  emit('roundGenerated', result);
+  if (State.getPending() === 0) emit('roundComplete', { week: result.week, phase: 'swiss', round });
+  commit('generateRound');
+  return result;
+}
+
+// --- Results ---
+
+/**
+ * Log a result that was just applied: the match's old and new score, and
+ * the standings it moved.
+ * @param {string} previous - describeScore of the match before the result
+ * @param {Object} before - snapshotStandings() from before the result
+ * @param {string} source - Appended to the summary, e.g. ' (score sheet)'
+ */
+function auditResult(record, previous, before, admin, forfeit, source = '') {
+  const action = forfeit ? 'forfeit' : (admin ? 'override' : 'result');
+  logAudit(action, `${describeMatch(record)}${source}`, {
+    before,
+    week: record.week,
+    changes: [{ item: `Match ${record.id}`, before: previous, after: describeScore(record) }],
+  });
+}
+
+/**
+ * Why a result cannot be submitted to a match, if anything.
+ * @returns {string|null} Error message, or null if the result may be applied
+ */
+function checkResult(record, matchId, games, admin, forfeit) {
+  if (!record) return `Match ${matchId} not found this week`;
+  if (record.status === 'bye') return 'A bye has no result';
+  if (State.isWeekComplete()) return 'Week already finalized — see Past Weeks';
+  if (record.status === 'submitted' && !admin) {
+    return 'Match already submitted — use an admin override to correct it';
+  }
+  if (forfeit && forfeit !== record.teamA && forfeit !== record.teamB) {
+    return `"${forfeit}" is not playing in this match`;
+  }
+  const error = validateGames(games, record.bestOf, getScoringRule(record));
+  if (error) return error;
+  if (!State.findTeamByName(record.teamA) || !State.findTeamByName(record.teamB)) {
+    return `Match ${matchId}: team not found`;
+  }
+  return null;
+}
+
+/**
+ * Apply a checked result and move the week on: a result that completes a
+ * bracket round generates the next round, or finalizes the week.
+ * @returns {{match: Object, finalized: boolean}|{error: string}}
+ */
+function applyCheckedResult(record, games, admin, forfeit, source) {
+  const firstSubmit = record.status !== 'submitted';
+  const previous = describeScore(record);
+  const before = snapshotStandings();
+  const applyError = applyResult(record, games.map(g => ({ a: g.a, b: g.b })), admin, forfeit);
+  if (applyError) return { error: applyError };
+  auditResult(record, previous, before, admin, forfeit, source);
+
+  const match = copy(record);
+  emit('resultSubmitted', { match, firstSubmit });
+  let finalized = false;
+  if (firstSubmit && State.getPending() === 0) {
+    emit('roundComplete', { week: record.week, phase: record.phase, round: record.round });
+    finalized = record.phase === 'bracket' && advanceBracket();
+  }
+  return { match, finalized };
+}
+
+/** checkResult for the round being played — the season playoff's, once it has started. */
+function checkCurrentResult(record, matchId, games, admin, forfeit) {
+  return State.getPlayoff()
+    ? checkPlayoffResult(record, matchId, games, admin, forfeit)
+    : checkResult(record, matchId, games, admin, forfeit);
+}
+
+/**
+ * Apply a checked result to the round being played.
+ * @param {string} [source=''] - Where the result came from, for the audit log
+ * @returns {{match: Object, note: string}|{error: string}} note: what the
+ *   result set off, for the history label ('' if nothing)
+ */
+function applyCurrentResult(record, games, admin, forfeit, source = '') {
+  if (State.getPlayoff()) {
+    const { match, crowned } = applyCheckedPlayoffResult(record, games, admin, forfeit, source);
+    return { match, note: crowned ? ` (${State.getPlayoff().champion.team} crowned champion)` : '' };
+  }
+  const result = applyCheckedResult(record, games, admin, forfeit, source);
+  if (result.error) return result;
+  return { match: result.match, note: result.finalized ? ` (Week ${record.week} finalized)` : '' };
+}
+
+/**
+ * Submit, override or forfeit a match result (undoable). A result that
+ * completes a bracket round generates the next round, or finalizes the week
+ * after the last one. Once the season playoff starts, results go to its
+ * matches. With DUAL_ENTRY_SCORES on, teams report scores with reportScore
+ * and only admin overrides and forfeits are submitted here.
+ * @param {string} matchId - Match record id
+ * @param {Array<{a: number, b: number}>} games - Game scores, team A first
+ * @param {Object} [options]
+ * @param {boolean} [options.admin=false] - Admin override (may change a submitted result)
+ * @param {string|null} [options.forfeit=null] - Name of the team that forfeits
+ * @param {string} [options.source=''] - Where the result came from, appended
+ *   to the history label and audit entry, e.g. ' (from a phone)'
+ * @returns {{match: Object}|{error: string}}
+ */
+export function submitResult(matchId, games, { admin = false, forfeit = null, source = '' } = {}) {
+  if (DUAL_ENTRY_SCORES && !admin && !forfeit) {
+    return { error: 'Both teams report the score — or use an admin override' };
+  }
+  const record = findCurrentMatch(matchId);
+  const error = checkCurrentResult(record, matchId, games, admin, forfeit);
+  if (error) return { error };
+
+  const action = forfeit ? `Forfeit by ${forfeit}` : (admin ? 'Admin override' : 'Result');
+  State.recordHistory(`${record.phase === 'playoff' ? 'Playoff ' : ''}${action}: ${record.teamA} vs ${record.teamB}${source}`);
+  const result = applyCurrentResult(record, games, admin, forfeit, source);
+  if (result.error) {
+    State.rollback();
+    return { error: result.error };
+  }
+  // Finalizing (or crowning) follows the last result, so it is undone with it
+  if (result.note) State.amendHistoryLabel(result.note);
+  commit('submitResult');
+  return { match: result.match };
+}
+
+/**
+ * Submit several pending matches' results as one undoable step, e.g. from a
+ * score sheet. Every result is checked first; if any is rejected, none are
+ * applied. With DUAL_ENTRY_SCORES on, the results skip the teams' reports,
+ * so they are only taken as admin overrides: any reports on the matches are
+ * settled, disputed or not.
+ * @param {Array<{matchId: string, games: Array<{a: number, b: number}>}>} results
+ * @param {Object} [options]
+ * @param {boolean} [options.admin=false] - Admin override (still pending matches only)
+ * @returns {{matches: Object[]}|{error: string}}
+ */
+export function submitResults(results, { admin = false } = {}) {
+  if (DUAL_ENTRY_SCORES && !admin) {
+    return { error: 'Both teams report the score — or submit the score sheet as an admin override' };
+  }
+  if (!Array.isArray(results) || results.length === 0) return { error: 'No results to submit' };
+  const seen = new Set();
+  const records = [];
+  for (const { matchId, games } of results) {
+    const record = findCurrentMatch(matchId);
+    const error = checkCurrentResult(record, matchId, games, false, null);
+    if (error) return { error: `${matchId}: ${error}` };
+    if (seen.has(matchId)) return { error: `${matchId}: listed more than once` };
+    seen.add(matchId);
+    records.push(record);
+  }
+
+  const action = admin ? 'Score sheet admin override' : 'Score sheet';
+  State.recordHistory(`${action}: ${results.length} result${results.length === 1 ? '' : 's'}`);
+  const matches = [];
+  let note = '';
+  for (let i = 0; i < results.length; i++) {
+    const result = applyCurrentResult(records[i], results[i].games, admin, null, ' (score sheet)');
+    if (result.error) {
+      State.rollback(); // results applied before this one go too
+      return { error: result.error };
+    }
+    matches.push(result.match);
+    note = note || result.note;
+  }
+  if (note) State.amendHistoryLabel(note);
+  commit('submitResults');
+  return { matches };
+}
+
+/**
+ * Report one team's view of a pending match's full score, team A first
+ * (dual-entry scoring, undoable). The result is recorded when both teams'
+ * reports agree; if they differ, the match stays pending and is disputed
+ * until an admin override resolves it.
+ * @param {string} matchId - Match record id
+ * @param {string} team - Reporting team
+ * @param {Array<{a: number, b: number}>} games - Game scores, team A first
+ * @param {Object} [options]
+ * @param {string} [options.source=''] - Where the report came from, appended
+ *   to the history label and audit entry, e.g. ' (from a phone)'
+ * @returns {{match: Object, confirmed: boolean, disputed: boolean}|{error: string}}
+ */
+export function reportScore(matchId, team, games, { source = '' } = {}) {
+  if (!DUAL_ENTRY_SCORES) return { error: 'Dual-entry scoring is off — submit the result instead' };
+  const record = findCurrentMatch(matchId);
+  const error = checkCurrentResult(record, matchId, games, false, null);
+  if (error) return { error };
+  if (team !== record.teamA && team !== record.teamB) return { error: `"${team}" is not playing in this match` };
+  if (record.disputed) return { error: 'Scores disputed — an admin resolves this match with an override' };
+
+  State.recordHistory(`Score report by ${team}: ${record.teamA} vs ${record.teamB}${source}`);
+  const agreed = addScoreReport(record, team, games.map(g => ({ a: g.a, b: g.b })));
+  const disputed = !!record.disputed;
+  if (agreed) {
+    const result = applyCurrentResult(record, agreed, false, null, ` (confirmed by both teams)${source}`);
+    if (result.error) {
+      State.rollback();
+      return { error: result.error };
+    }
+    State.amendHistoryLabel(` (confirmed)${result.note}`);
+  } else if (disputed) {
+    State.amendHistoryLabel(' (disputed)');
+    logAudit('dispute', `${describeMatch(record)}: the reported scores differ${source}`, {
+      changes: Object.entries(record.reports).map(([reporter, reported]) => ({
+        item: `Report by ${reporter}`,
+        before: null,
+        after: reported.map(g => `${g.a}-${g.b}`).join(', '),
+      })),
+    });
+  }
+  const match = copy(record);
+  emit('scoreReported', { match, team, confirmed: !!agreed, disputed });
+  if (disputed) emit('matchDisputed', { match });
+  commit('reportScore');
+  return { match, confirmed: !!agreed, disputed };
+}
+
+/**
+ * Record a forfeit: the other team wins by the configured forfeit score.
+ * Only a pending match can be forfeited.
+ * @param {string} matchId - Match record id
+ * @param {string} forfeitingTeam - Name of the team that forfeits
+ * @returns {{match: Object}|{error: string}}
+ */
+export function forfeitMatch(matchId, forfeitingTeam) {
+  const record = findCurrentMatch(matchId);
+  if (!record) return { error: `Match ${matchId} not found` };
+  if (record.status !== 'pending') {
+    return { error: 'Only a pending match can be forfeited — use an admin override to correct a result' };
+  }
+  return submitResult(matchId, forfeitGames(record, forfeitingTeam), { forfeit: forfeitingTeam });
+}
+
+// --- Bracket ---
+
+/**
+ * Seed the placement bracket from the Swiss standings and log Round 1
+ * (undoable).
+ * @returns {{week: number, phase: string, round: number, matches: Object[]}|{error: string}}
+ */
+export function startBracket() {
+  if (!isValidTeamCount(State.getTeamCount())) {
+    return { error: `Cannot start bracket: unsupported team count ${State.getTeamCount()}` };
+  }
+  if (State.hasBracketStarted()) return { error: 'The placement bracket has already started' };
+  if (!State.isSwissComplete() || State.getPending() > 0) {
+    return { error: 'Finish every Swiss round before starting the bracket' };
+  }
+
+  State.recordHistory('Start placement bracket');
+  seedBracket();
+  forfeitShortTeams('bracket', 1);
+  const result = { week: State.getWeek(), phase: 'bracket', round: 1, matches: roundMatches('bracket', 1) };
+  emit('roundGenerated', result);
+  advanceBracket();
+  commit('startBracket');
+  return result;
+}
+
+/**
+ * Move past finished bracket rounds: log each next round (a round of only
+ * byes finishes at once) and finalize the week after the last one.
+ * @returns {boolean} True if the week was finalized
+ */
+function advanceBracket() {
+  let round = currentBracketRound();
+  while (round > 0 && State.getPending() === 0 && !State.isWeekComplete()) {
+    if (round >= State.getBracketRoundCount()) return archiveFinishedWeek();
+    createNextBracketRound(round);
+    round++;
+    forfeitShortTeams('bracket', round);
+    emit('roundGenerated', { week: State.getWeek(), phase: 'bracket', round, matches: roundMatches('bracket', round) });
+  }
+  return false;
+}
+
+function archiveFinishedWeek() {
+  const before = snapshotStandings();
+  const entry = archiveWeek();
+  if (!entry) return false;
+  logAudit('finalize', `Week ${entry.week} finalized`, { before });
+  emit('weekFinalized', { week: entry.week, entry: copy(entry) });
+  return true;
+}
+
+/**
+ * Award points from the finished bracket and archive the week. This happens
+ * by itself after the last bracket result; calling it finishes a week whose
+ * finalization was interrupted.
+ * @returns {{week: number, entry: Object}|{error: string}}
+ */
+export function finalizeWeek() {
+  const week = State.getWeek();
+  if (!State.isWeekComplete()) {
+    if (!State.hasBracketStarted()) return { error: 'The placement bracket has not started' };
+    advanceBracket();
+    if (!State.isWeekComplete()) return { error: `${State.getPending()} bracket match(es) still pending` };
+    commit('finalizeWeek');
+  }
+  return { week, entry: copy(State.findArchivedWeek(week)) };
+}
+
+/**
+ * Finish anything a reload interrupted — recount the current round's pending
+ * matches and, if the bracket round is done, generate the next round or
+ * finalize the week. Safe to call at any time.
+ * @returns {{week: number, phase: string}} Where the week stands
+ */
+export function resume() {
+  const week = State.getWeek();
+  if (State.getPlayoff()) {
+    State.setPending(playoffRoundMatches(currentPlayoffRound()).filter(m => m.status === 'pending').length);
+    return { week, phase: 'playoff' };
+  }
+  const bracketRound = currentBracketRound();
+  const phase = bracketRound > 0 ? 'bracket' : 'swiss';
+  const round = bracketRound > 0 ? bracketRound : State.getSwissRound();
+  State.setPending(State.getRoundMatches(week, phase, round).filter(m => m.status === 'pending').length);
+  if (phase === 'bracket' && !State.isWeekComplete() && State.getPending() === 0) {
+    advanceBracket();
+    commit('resume');
+  }
+  return { week: State.getWeek(), phase };
+}
+
+// --- Weeks ---
+
+/**
+ * Advance to the next week after the current one is finalized (undoable).
+ * @returns {{week: number}|{error: string}}
+ */
+export function nextWeek() {
+  if (State.isLeagueComplete()) {
+    const hint = playoffSize() >= 2 && !State.getPlayoff() ? ' Start the season playoff to crown a champion.' : '';
+    return { error: `League complete! All ${TOTAL_WEEKS} weeks finished.${hint}` };
+  }
+  if (!State.isWeekComplete()) return { error: `Week ${State.getWeek()} is not finalized yet` };
+
+  State.recordHistory(`Advance to Week ${State.getWeek() + 1}`);
+  advanceWeek();
+  const result = { week: State.getWeek() };
+  emit('weekAdvanced', result);
+  commit('nextWeek');
+  return result;
+}
+
+/**
+ * Correct the score of a finished week's match and recompute all standings
+ * (undoable).
+ * @param {number} week - Archived week number
+ * @param {string} matchId - Match record id
+ * @param {Array<{a: number, b: number}>} games - Corrected game scores
+ * @returns {{week: number, matchId: string}|{error: string}}
+ */
+export function correctArchivedMatch(week, matchId, games) {
+  const entry = State.findArchivedWeek(week);
+  const record = entry && entry.matches.find(m => m.id === matchId);
+  const previous = record ? describeScore(record) : null;
+  const before = snapshotStandings();
+  const error = editArchivedMatch(week, matchId, games);
+  if (error) return { error };
+  logAudit('correction', describeMatch(record), {
+    before,
+    week,
+    changes: [{ item: `Match ${matchId}`, before: previous, after: describeScore(record) }],
+  });
+  const result = { week, matchId };
+  emit('weekCorrected', result);
+  commit('correctArchivedMatch');
+  return result;
+}
+
+// --- Season Playoff ---
+
+/**
+ * Seed the top league teams into the season playoff and log its first round
+ * (undoable). Only after the last week is finalized.
+ * @returns {{week: number, phase: string, round: number, matches: Object[], seeds: Object[]}|{error: string}}
+ *   seeds: [{ seed, team, players, pts }]
+ */
+export function startPlayoff() {
+  if (!State.hasTeams()) return { error: 'No league — create one first' };
+  if (State.getPlayoff()) return { error: 'The season playoff has already started' };
+  if (!State.isLeagueComplete() || !State.isWeekComplete()) {
+    return { error: `The season playoff starts once Week ${TOTAL_WEEKS} is finalized` };
+  }
+  if (playoffSize() < 2) return { error: 'This league has no season playoff (PLAYOFF_TEAMS is below 2)' };
+
+  State.recordHistory('Start season playoff');
+  seedPlayoff();
+  const seeds = copy(State.getPlayoff().seeds);
+  const round = { week: State.getWeek(), phase: 'playoff', round: 1, matches: roundMatches('playoff', 1) };
+  emit('playoffStarted', { seeds });
+  emit('roundGenerated', round);
+  commit('startPlayoff');
+  return { ...round, seeds };
+}
+
+/**
+ * Apply a checked playoff result: completing a round logs the next one, and
+ * the final crowns the champion.
+ * @returns {{match: Object, crowned: boolean}}
+ */
+function applyCheckedPlayoffResult(record, games, admin, forfeit, source) {
+  const firstSubmit = record.status !== 'submitted';
+  const previous = describeScore(record);
+  const before = snapshotStandings();
+  const { roundComplete, crowned } = applyPlayoffResult(record, games, admin, forfeit);
+  auditResult(record, previous, before, admin, forfeit, source);
+
+  const match = copy(record);
+  emit('resultSubmitted', { match, firstSubmit });
+  if (roundComplete) {
+    emit('roundComplete', { week: record.week, phase: 'playoff', round: record.round });
+    if (!crowned) {
+      const next = record.round + 1;
+      emit('roundGenerated', { week: record.week, phase: 'playoff', round: next, matches: roundMatches('playoff', next) });
+    }
+  }
+  if (crowned) {
+    const { champion } = State.getPlayoff();
+    emit('championCrowned', { champion: copy(champion), standings: playoffStandings() });
+  }
+  return { match, crowned };
+}
+
+/**
+ * The season playoff: seeds, every round, standings and the champion.
+ * @returns {Object|null} null before the playoff starts, otherwise
+ *   { seeds, rounds: [{ round, name, matches }], standings, champion }
+ *   standings: [{ place, seed, team, players, result }]; champion: { team, players, seed, crownedAt } or null
+ */
+export function getPlayoff() {
+  const playoff = State.getPlayoff();
+  if (!playoff) return null;
+  const count = playoffRoundCount(playoff.seeds.length);
+  const rounds = [];
+  for (let round = 1; round <= currentPlayoffRound(); round++) {
+    rounds.push({ round, name: playoffRoundName(round, count), matches: roundMatches('playoff', round) });
+  }
+  return {
+    seeds: copy(playoff.seeds),
+    rounds,
+    standings: playoffStandings(),
+    champion: copy(playoff.champion),
+  };
+}
+
+// --- Roster Changes ---
+
+function rosterChanged(result) {
+  emit('rosterChanged', result);
+  commit(result.change);
+  return result;
+}
+
+/**
+ * Put a substitute in for a player this week, or clear it with subName null
+ * (undoable). The substitute is credited with the week's points and W/L.
+ * @param {string} team - Team name
+ * @param {string} player - Rostered player who is out this week
+ * @param {string|null} subName - Substitute, or null to clear
+ * @returns {{change: string, team: string, lineup: string[]}|{error: string}}
+ */
+export function setSubstitute(team, player, subName) {
+  const error = substitute(team, player, subName);
+  if (error) return { error };
+  return rosterChanged({ change: 'substitute', team, lineup: lineupFor(State.findTeamByName(team)) });
+}
+
+/**
+ * Replace a rostered player from this week on (undoable). Points already
+ * earned stay with the outgoing player.
+ * @param {string} team - Team name
+ * @param {string} playerOut - Player leaving the team
+ * @param {string} playerIn - Player joining it
+ * @returns {{change: string, team: string, players: string[]}|{error: string}}
+ */
+export function replacePlayer(team, playerOut, playerIn) {
+  const error = replace(team, playerOut, playerIn);
+  if (error) return { error };
+  return rosterChanged({ change: 'replacePlayer', team, players: [...State.findTeamByName(team).players] });
+}
+
+/**
+ * Rename a team everywhere, past weeks included (undoable).
+ * @returns {{change: string, team: string, from: string}|{error: string}}
+ */
+export function renameTeam(oldName, newName) {
+  const error = renameTeamEverywhere(oldName, newName);
+  if (error) return { error };
+  return rosterChanged({ change: 'renameTeam', team: newName.trim(), from: oldName });
+}
+
+/**
+ * Rename a player everywhere, past weeks included (undoable).
+ * @returns {{change: string, team: string, player: string, from: string}|{error: string}}
+ */
+export function renamePlayer(oldName, newName) {
+  const error = renamePlayerEverywhere(oldName, newName);
+  if (error) return { error };
+  const player = State.findPlayerByName(newName.trim());
+  return rosterChanged({ change: 'renamePlayer', team: player.team, player: player.name, from: oldName });
+}
+
+/**
+ * Every team's roster and this week's lineup.
+ * @returns {Array<{name: string, players: string[], lineup: string[], subs: Object}>}
+ *   subs: rostered player → substitute this week
+ */
+export function getRosters() {
+  return State.getTeams().map(t => ({
+    name: t.name,
+    players: [...t.players],
+    lineup: lineupFor(t),
+    subs: { ...(State.getSubs()[t.name] || {}) },
+  }));
+}
+
+// --- Backups ---
+
+/**
+ * The whole league as a backup object — the same file the browser exports.
+ * @returns {Object}
+ */
+export function exportBackup() {
+  return copy(createBackup());
+}
+
+/**
+ * Replace the league with a backup (undoable), then finish anything the
+ * backup was saved in the middle of. Older backups are upgraded first. The
+ * backup's audit log is merged into the current one.
+ * @param {Object} raw - Parsed backup JSON
+ * @param {Object} [options]
+ * @param {boolean} [options.audit=true] - Log the import; false just opens
+ *   the league's own file (the CLI does this on every command)
+ * @returns {{week: number, teams: string[], upgradedFrom: string|null}|{error: string}}
+ *   upgradedFrom names the version an older backup was migrated from
+ */
+export function importBackup(raw, { audit = true } = {}) {
+  const { backup, from, error } = readBackup(raw);
+  if (error) return { error };
+
+  const before = snapshotStandings();
+  State.recordHistory('Import league backup');
+  State.restoreState(backup);
+  State.mergeAudit(backup.audit);
+  if (audit) {
+    const upgraded = from === backup.version ? '' : ` (upgraded from version ${from})`;
+    logAudit('import', `League backup imported: Week ${State.getWeek()}, ${State.getTeamCount()} teams${upgraded}`, { before });
+  }
+  resume();
+  const result = {
+    week: State.getWeek(),
+    teams: State.getTeams().map(t => t.name),
+    upgradedFrom: from === backup.version ? null : from,
+  };
+  emit('backupImported', result);
+  commit('importBackup');
+  return result;
+}
+
+/** What importStandings replaces: whose rows, and which totals they carry. */
+const STANDINGS_KINDS = {
+  league: {
+    label: 'League',
+    noun: 'player',
+    keys: ['pts', 'w', 'l', 'pd'],
+    find: name => State.findPlayerByName(name),
+    count: () => State.getPlayers().length,
+  },
+  swiss: {
+    label: 'Swiss',
+    noun: 'team',
+    keys: ['w', 'l', 'pd'],
+    find: name => State.findTeamByName(name),
+    count: () => State.getTeamCount(),
+  },
+};
+
+/**
+ * Replace the league or Swiss standings with imported totals, e.g. from a
+ * standings CSV (undoable). Every player (league) or team (Swiss) must be
+ * listed exactly once. Imported league totals are kept when standings are
+ * recomputed after a past-week correction.
+ * @param {string} kind - 'league' (rows: name, pts, w, l, pd) or 'swiss' (rows: name, w, l, pd)
+ * @param {Array<Object>} rows - { name, ...totals, line } — line (optional) is named in errors
+ * @param {Object} [options]
+ * @param {string} [options.source=''] - Where the standings came from, appended
+ *   to the history label and audit entry, e.g. ' from week3.csv'
+ * @returns {{kind: string, count: number}|{error: string}}
+ */
+export function importStandings(kind, rows, { source = '' } = {}) {
+  const spec = STANDINGS_KINDS[kind];
+  if (!spec) return { error: `Unknown standings "${kind}" — expected league or swiss` };
+  if (!State.hasTeams()) return { error: 'No league — create one first' };
+  if (!Array.isArray(rows) || rows.length !== spec.count()) {
+    return { error: `${rows ? rows.length : 0} ${spec.noun}s listed but the league has ${spec.count()} ${spec.noun}s` };
+  }
+  const seen = new Set();
+  for (const row of rows) {
+    const at = row.line ? `Line ${row.line}: ` : '';
+    if (!spec.find(row.name)) return { error: `${at}unknown ${spec.noun} "${row.name}"` };
+    if (seen.has(row.name)) return { error: `${at}"${row.name}" is listed twice` };
+    seen.add(row.name);
+    const bad = spec.keys.find(key => !Number.isInteger(row[key]));
+    if (bad) return { error: `${at}${bad} for "${row.name}" must be a whole number` };
+  }
+
+  const before = snapshotStandings();
+  State.recordHistory(`Import ${spec.label.toLowerCase()} standings${source}`);
+  if (kind === 'league') {
+    setLeagueTotals(Object.fromEntries(rows.map(r => [r.name, { pts: r.pts, w: r.w, l: r.l, pd: r.pd }])));
+  } else {
+    rows.forEach(r => Object.assign(State.findTeamByName(r.name).swiss, { w: r.w, l: r.l, pd: r.pd }));
+  }
+  logAudit('import', `${spec.label} standings imported${source}`, { before });
+  const result = { kind, count: rows.length };
+  emit('standingsImported', result);
+  commit('importStandings');
+  return result;
+}
+
+// --- Reading ---
+
+/**
+ * Current Swiss and league standings as plain rows.
+ * @returns {{week: number, phase: string, swiss: Object[], league: Object[]}}
+ *   swiss: [{ seed, team, players, w, l, pd, tiebreaks: {key: value}, decidedBy }]
+ *   league: [{ rank, name, team, pts, w, l, pd, attendance: { attended, weeks } }]
+ */
+export function getStandings() {
+  const { columns, rows } = swissStandingsTable();
+  const swiss = rows.map((row, i) => ({
+    seed: i + 1,
+    team: row.team.name,
+    players: [...row.team.players],
+    w: row.team.swiss.w,
+    l: row.team.swiss.l,
+    pd: row.team.swiss.pd,
+    tiebreaks: Object.fromEntries(columns.map((c, j) => [c.key, row.values[j]])),
+    decidedBy: row.decidedBy,
+  }));
+  const attendance = attendanceRecord(State.getArchive());
+  const league = sortPlayersByLeague(State.getPlayers()).map((p, i) => ({
+    rank: i + 1,
+    name: p.name,
+    team: p.team,
+    ...p.league,
+    attendance: attendance[p.name] || { attended: 0, weeks: 0 },
+  }));
+  return { week: State.getWeek(), phase: State.getCurrentPhase(), swiss, league };
+}
+
+/**
+ * Disputed matches waiting for an admin override, this week or in the
+ * season playoff.
+ * @returns {Object[]} Match records, each with both teams' reports
+ */
+export function getDisputes() {
+  return copy(disputedMatches());
+}
+
+/**
+ * The audit log, newest first, narrowed by any of the filters.
+ * @param {Object} [filters]
+ * @param {string} [filters.action] - 'result', 'override', 'forfeit', 'dispute',
+ *   'correction', 'import', 'finalize', 'reset', 'undo' or 'redo'
+ * @param {number} [filters.week] - Week the entry concerns
+ * @param {string} [filters.text] - Found in the summary or a changed item
+ * @returns {Object[]} [{ id, at, action, week, summary, changes: [{ item, before, after }] }]
+ */
+export function getAudit(filters) {
+  return copy(filterAudit(filters));
+}
+
+/**
+ * Matches of a round this week; defaults to the round being played (the
+ * season playoff's, once it has started).
+ * @param {string} [phase] - 'swiss', 'bracket' or 'playoff'
+ * @param {number} [round] - Round number within the phase
+ * @returns {{week: number, phase: string, round: number, matches: Object[]}}
+ */
+export function getRound(phase, round) {
+  if (!phase && State.getPlayoff()) {
+    phase = 'playoff';
+    round = currentPlayoffRound();
+  } else if (!phase) {
+    const bracketRound = currentBracketRound();
+    phase = bracketRound > 0 ? 'bracket' : 'swiss';
+    round = bracketRound > 0 ? bracketRound : State.getSwissRound();
+  }
+  return { week: State.getWeek(), phase, round, matches: roundMatches(phase, round) };
+}
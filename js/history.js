@@ -0,0 +1,50 @@
+/**
+ * @module history
+ * @description Undo/Redo for league actions. State snapshots live in state.js;
+ * this module restores one and rebuilds every table and round card from it.
+ * Both are admin-only, and both are written to the audit log with the
+ * standings they changed.
+ */
+import * as State from './state.js';
+import * as UI from './ui.js';
+import { restoreRounds } from './cards.js';
+import { requireAdmin } from './admin.js';
+import { snapshotStandings, logAudit } from './audit.js';
+
+/** Redraw the whole app from the current state after it was swapped out. */
+function rerender() {
+  UI.updateLeagueTable();
+  UI.updateSwissTable();
+  UI.updatePastWeeks();
+  UI.updateRosterNotes();
+  UI.updateAuditLog();
+  if (State.hasTeams()) UI.fillTeamInputs(State.getTeams());
+  restoreRounds();
+  State.save();
+}
+
+export async function undoAction() {
+  if (!(await requireAdmin('Undo'))) return;
+  const before = snapshotStandings();
+  const label = State.undo();
+  if (!label) {
+    UI.showNotification('Nothing to undo');
+    return;
+  }
+  logAudit('undo', `Undo: ${label}`, { before });
+  rerender();
+  UI.showNotification(`Undone: ${label}`);
+}
+
+export async function redoAction() {
+  if (!(await requireAdmin('Redo'))) return;
+  const before = snapshotStandings();
+  const label = State.redo();
+  if (!label) {
+    UI.showNotification('Nothing to redo');
+    return;
+  }
+  logAudit('redo', `Redo: ${label}`, { before });
+  rerender();
+  UI.showNotification(`Redone: ${label}`);
+}
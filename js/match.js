@@ -1,309 +1,310 @@
 /**
  * @module match
- * @description Match and Best-of-3 match creation, score validation, and score application.
- * Handles both Swiss and Bracket match types with admin override support.
+ * @description Match records, score validation, and score application for
+ * single games and Best-of-3, including admin overrides, forfeits and
+ * dual-entry score reports.
+ * Every match is a plain record in the state match log; no DOM here — the
+ * cards that display them live in cards.js.
  */
 import * as State from './state.js';
-import { SWISS_ROUNDS } from './config.js';
-import * as UI from './ui.js';
+import {
+  FORFEIT_WINNER_POINTS, FORFEIT_LOSER_POINTS, MAX_GAME_POINTS,
+  SCORING_RULES, scoringRuleFor, describeScoringRule
+} from './config.js';
 
 /**
- * Validate a pickleball score pair.
- * Rules: first to 11, win by 2.
+ * Validate a pickleball score pair against a scoring rule.
+ * Default rule: first to 11, win by 2.
  * @param {number} scoreA - Score for team A
  * @param {number} scoreB - Score for team B
+ * @param {Object} [rule=SCORING_RULES.standard] - Entry of SCORING_RULES
  * @returns {boolean} True if the scores represent a valid completed game
  */
-export function isValidScore(scoreA, scoreB) {
+export function isValidScore(scoreA, scoreB, rule = SCORING_RULES.standard) {
   if (typeof scoreA !== 'number' || typeof scoreB !== 'number') return false;
   if (isNaN(scoreA) || isNaN(scoreB)) return false;
-  if (scoreA < 0 || scoreB < 0 || scoreA > 99 || scoreB > 99) return false;
+  const ceiling = rule.cap ?? MAX_GAME_POINTS;
+  if (scoreA < 0 || scoreB < 0 || scoreA > ceiling || scoreB > ceiling) return false;
   const max = Math.max(scoreA, scoreB);
   const min = Math.min(scoreA, scoreB);
-  return max >= 11 && (max - min) >= 2;
+  if (max === min) return false;
+  if (rule.cap && max === rule.cap) return true;
+  if (max >= rule.target && (max - min) >= rule.winBy) return true;
+  // Time-capped games end with whoever leads when time runs out
+  return rule.timeCap === true;
 }
 
 /**
- * Apply score to team stats, with undo support for re-submission.
+ * Scoring rule a match is played under. Records keep the rule they were
+ * created with, so changing PHASE_SCORING never invalidates past scores.
+ * @param {Object} record - Match record
+ * @returns {Object} Entry of SCORING_RULES
+ */
+export function getScoringRule(record) {
+  return SCORING_RULES[record.scoring] || SCORING_RULES[scoringRuleFor(record.phase, record.bestOf)];
+}
+
+/**
+ * Validate a full match result against its format.
+ * @param {Array<{a: number, b: number}>} games - Game scores in play order
+ * @param {number} bestOf - 1 for a single game, 3 for Best-of-3
+ * @param {Object} [rule=SCORING_RULES.standard] - Entry of SCORING_RULES
+ * @returns {string|null} Error message, or null if the result is valid
+ */
+export function validateGames(games, bestOf, rule = SCORING_RULES.standard) {
+  const ruleText = describeScoringRule(rule);
+  if (!Array.isArray(games) || games.length === 0) return 'Scores required';
+  if (games.some(g => !isValidScore(g.a, g.b, rule))) return `Invalid scores — ${ruleText}`;
+  if (bestOf !== 3) return games.length === 1 ? null : 'Single-game match takes one score';
+  if (games.length < 2 || games.length > 3) return 'Best of 3 needs 2 or 3 games';
+  const split = (games[0].a > games[0].b) !== (games[1].a > games[1].b);
+  if (split && games.length !== 3) return `Game 3 required — ${ruleText}`;
+  if (!split && games.length === 3) return 'Match already decided after 2 games';
+  return null;
+}
+
+/**
+ * Name of the team that won a submitted match record.
+ * @param {Object} record - Match record with game scores
+ * @returns {string} teamA or teamB
+ */
+export function getMatchWinner(record) {
+  if (record.status === 'bye') return record.teamA;
+  const aWins = record.games.filter(g => g.a > g.b).length;
+  return aWins > record.games.length - aWins ? record.teamA : record.teamB;
+}
+
+/**
+ * Apply a match result to team stats, with undo support for re-submission.
+ * The previous result is reversed exactly before the new one is added.
  * @param {Object} a - Team A object
  * @param {Object} b - Team B object
- * @param {number} scoreA - Team A's score
- * @param {number} scoreB - Team B's score
+ * @param {Array<{a: number, b: number}>} games - New game scores
  * @param {boolean} isSwiss - Whether this is a Swiss match (vs bracket)
- * @param {Object|null} lastResult - Previous result to undo, or null
- * @returns {Object} The new result record {sa, sb}
+ * @param {Array<{a: number, b: number}>|null} previousGames - Result to undo, or null
+ * @returns {boolean} False if a team stats object is missing
  */
-function applyScore(a, b, scoreA, scoreB, isSwiss, lastResult) {
+function applyScore(a, b, games, isSwiss, previousGames) {
   const teamA = isSwiss ? a.swiss : a.bracket;
   const teamB = isSwiss ? b.swiss : b.bracket;
 
   if (!teamA || !teamB) {
     console.error('Cannot apply score: team stats object missing');
-    return lastResult;
+    return false;
   }
 
-  if (lastResult) {
-    teamA.w -= (lastResult.sa > lastResult.sb) ? 1 : 0;
-    teamA.l -= (lastResult.sb > lastResult.sa) ? 1 : 0;
-    teamB.w -= (lastResult.sb > lastResult.sa) ? 1 : 0;
-    teamB.l -= (lastResult.sa > lastResult.sb) ? 1 : 0;
-    teamA.pd -= (lastResult.sa - lastResult.sb);
-    teamB.pd -= (lastResult.sb - lastResult.sa);
+  if (previousGames) addResult(teamA, teamB, previousGames, -1);
+  addResult(teamA, teamB, games, 1);
+  if (isSwiss) {
+    if (previousGames) addHeadToHead(a, b, previousGames, -1);
+    addHeadToHead(a, b, games, 1);
   }
+  return true;
+}
 
-  teamA.pd += scoreA - scoreB;
-  teamB.pd += scoreB - scoreA;
-  if (scoreA > scoreB) { teamA.w++; teamB.l++; }
-  else { teamB.w++; teamA.l++; }
-
-  return { sa: scoreA, sb: scoreB };
+/** Add (sign 1) or remove (sign -1) one result's W/L and point differential. */
+function addResult(teamA, teamB, games, sign) {
+  const pdA = games.reduce((sum, g) => sum + (g.a - g.b), 0);
+  const aWins = games.filter(g => g.a > g.b).length;
+  teamA.pd += sign * pdA;
+  teamB.pd -= sign * pdA;
+  if (aWins > games.length - aWins) { teamA.w += sign; teamB.l += sign; }
+  else { teamB.w += sign; teamA.l += sign; }
 }
 
-/** Check if all pending matches are done and update button states. */
-function checkPendingComplete(isSwiss) {
-  if (State.getPending() === 0) {
-    const swissRound = State.getSwissRound();
-    if (isSwiss && swissRound < SWISS_ROUNDS) UI.enableNextSwiss();
-    if (isSwiss && swissRound === SWISS_ROUNDS) UI.enableStartBracket();
-  }
+/** Add (sign 1) or remove (sign -1) one result from both teams' Swiss head-to-head records. */
+function addHeadToHead(a, b, games, sign) {
+  const pointsA = games.reduce((sum, g) => sum + g.a, 0);
+  const pointsB = games.reduce((sum, g) => sum + g.b, 0);
+  const aWins = games.filter(g => g.a > g.b).length > games.length / 2;
+  const recordFor = (team, opp) => {
+    const h2h = team.swiss.h2h || (team.swiss.h2h = {});
+    return h2h[opp.name] || (h2h[opp.name] = { w: 0, l: 0, pf: 0, pa: 0 });
+  };
+  const vsB = recordFor(a, b);
+  const vsA = recordFor(b, a);
+  vsB.w += sign * (aWins ? 1 : 0);
+  vsB.l += sign * (aWins ? 0 : 1);
+  vsB.pf += sign * pointsA;
+  vsB.pa += sign * pointsB;
+  vsA.w += sign * (aWins ? 0 : 1);
+  vsA.l += sign * (aWins ? 1 : 0);
+  vsA.pf += sign * pointsB;
+  vsA.pa += sign * pointsA;
 }
 
-// --- Event-driven bracket completion callback ---
-let onAllMatchesComplete = null;
+// --- Match Records ---
 
 /**
- * Register a callback to fire when all bracket matches in a round complete.
- * Replaces the old setInterval polling approach.
- * @param {Function} callback - Called when pending reaches 0 for bracket matches
+ * Create a pending match record in the state match log.
+ * @param {Object} a - Team A object
+ * @param {Object} b - Team B object
+ * @param {string} phase - 'swiss' or 'bracket'
+ * @param {number} round - Round number within the phase
+ * @param {number} [bestOf=1] - 1 for a single game, 3 for Best-of-3
+ * @returns {Object} The logged match record
  */
-export function setOnAllMatchesComplete(callback) {
-  onAllMatchesComplete = callback;
+export function createMatchRecord(a, b, phase, round, bestOf = 1) {
+  const week = State.getWeek();
+  const index = State.getRoundMatches(week, phase, round).length + 1;
+  return State.addMatch({
+    id: `w${week}-${phase}-r${round}-m${index}`,
+    week,
+    phase,
+    round,
+    teamA: a.name,
+    teamB: b.name,
+    bestOf,
+    scoring: scoringRuleFor(phase, bestOf),
+    games: [],
+    status: 'pending',
+    admin: false,
+    submittedAt: null,
+  });
 }
 
-function notifyCompletion(isSwiss) {
-  checkPendingComplete(isSwiss);
-  if (!isSwiss && State.getPending() === 0 && typeof onAllMatchesComplete === 'function') {
-    const cb = onAllMatchesComplete;
-    onAllMatchesComplete = null;
-    Promise.resolve().then(cb);
-  }
+/**
+ * Log a bye: the team advances without playing. Byes are never pending.
+ * @param {Object} team - The team receiving the bye
+ * @param {string} phase - 'swiss' or 'bracket'
+ * @param {number} round - Round number within the phase
+ * @returns {Object} The logged bye record (teamB is null)
+ */
+export function createByeRecord(team, phase, round) {
+  const week = State.getWeek();
+  const index = State.getRoundMatches(week, phase, round).length + 1;
+  return State.addMatch({
+    id: `w${week}-${phase}-r${round}-m${index}`,
+    week,
+    phase,
+    round,
+    teamA: team.name,
+    teamB: null,
+    bestOf: 1,
+    games: [],
+    status: 'bye',
+    admin: false,
+    submittedAt: null,
+  });
 }
 
 /**
- * Create a single-game match DOM element.
- * @param {Object} a - Team A object
- * @param {Object} b - Team B object
- * @param {boolean} isSwiss - Whether this is a Swiss match
- * @returns {HTMLElement} The match element to append to the DOM
+ * Parse admin score input like "11-7, 9-11, 11-5" (team A first).
+ * @param {string} str - Comma-separated game scores
+ * @returns {Array<{a: number, b: number}>}
  */
-export function makeMatch(a, b, isSwiss) {
-  const el = document.createElement('div');
-  el.className = 'match';
-  let done = false;
-  let lastResult = null;
-  let oppsRecorded = false;
-
-  const nameA = UI.escapeHtml(a.name);
-  const nameB = UI.escapeHtml(b.name);
-
-  el.innerHTML = `
-    <div class="match-header">
-      <strong>${nameA}</strong> <span class="match-vs">vs</span> <strong>${nameB}</strong>
-    </div>
-    <div class="match-inputs">
-      <div class="match-score-box--a">
-        <div class="match-score-label--a">${nameA} - Enter Your Score:</div>
-        <input type="number" class="scoreA" placeholder="Your points" min="0" max="99">
-      </div>
-      <div class="match-score-box--b">
-        <div class="match-score-label--b">${nameB} - Enter Your Score:</div>
-        <input type="number" class="scoreB" placeholder="Your points" min="0" max="99">
-      </div>
-      <button class="match-submit">Submit Match</button>
-      <span class="admin" title="Admin Override">⚙</span>
-    </div>
-    <div class="match-result"></div>`;
-
-  el.querySelector('.match-submit').onclick = () => {
-    const scoreA = parseInt(el.querySelector('.scoreA').value);
-    const scoreB = parseInt(el.querySelector('.scoreB').value);
-    if (!isValidScore(scoreA, scoreB)) {
-      return UI.showMatchError(el, 'Invalid scores — First to 11, win by 2');
-    }
-
-    if (!done) { State.decrementPending(); done = true; }
-    lastResult = applyScore(a, b, scoreA, scoreB, isSwiss, lastResult);
-
-    if (isSwiss && !oppsRecorded) {
-      a.swiss.opps.push(b.name);
-      b.swiss.opps.push(a.name);
-      oppsRecorded = true;
-    }
-
-    const resultDiv = el.querySelector('.match-result');
-    resultDiv.style.display = 'block';
-    resultDiv.innerHTML = `
-      <div class="match-result--success">✓ Match Submitted</div>
-      <div class="match-result-scores">${nameA} scored: <strong>${scoreA}</strong> | ${nameB} scored: <strong>${scoreB}</strong></div>
-      <div class="match-result-winner">Winner: ${scoreA > scoreB ? nameA : nameB}</div>`;
-
-    el.querySelector('.scoreA').disabled = true;
-    el.querySelector('.scoreB').disabled = true;
-    el.querySelector('.match-submit').disabled = true;
-
-    UI.updateSwissTable();
-    State.save();
-    notifyCompletion(isSwiss);
-  };
-
-  el.querySelector('.admin').onclick = () => {
-    const saStr = prompt(`Admin: Correct score for ${a.name}`);
-    if (saStr === null) return;
-    const sbStr = prompt(`Admin: Correct score for ${b.name}`);
-    if (sbStr === null) return;
-
-    const parsedA = parseInt(saStr);
-    const parsedB = parseInt(sbStr);
-
-    if (!isValidScore(parsedA, parsedB)) {
-      return UI.showMatchError(el, 'Invalid admin scores — First to 11, win by 2');
-    }
-
-    if (!done) { State.decrementPending(); done = true; }
-    lastResult = applyScore(a, b, parsedA, parsedB, isSwiss, lastResult);
-
-    const resultDiv = el.querySelector('.match-result');
-    resultDiv.style.display = 'block';
-    resultDiv.innerHTML = `
-      <div class="match-result--admin">⚙ Admin Override</div>
-      <div class="match-result-scores">${nameA} scored: <strong>${parsedA}</strong> | ${nameB} scored: <strong>${parsedB}</strong></div>
-      <div class="match-result-winner">Winner: ${parsedA > parsedB ? nameA : nameB}</div>`;
-
-    el.querySelector('.scoreA').disabled = true;
-    el.querySelector('.scoreB').disabled = true;
-    el.querySelector('.match-submit').disabled = true;
-
-    UI.updateSwissTable();
-    State.save();
-    notifyCompletion(isSwiss);
-  };
-
-  return el;
+export function parseGamesInput(str) {
+  return str.split(',').map(part => {
+    const [a, b] = part.trim().split('-').map(n => parseInt(n, 10));
+    return { a, b };
+  });
 }
 
 /**
- * Create a Best-of-3 match DOM element.
- * @param {Object} a - Team A object
- * @param {Object} b - Team B object
- * @param {boolean} isSwiss - Whether this is a Swiss match
- * @returns {HTMLElement} The Bo3 match element to append to the DOM
+ * Mark a record as submitted with the given game scores. Team stats are
+ * left alone — applyResult updates those for weekly matches.
+ * @param {Object} record - Match record
+ * @param {Array<{a: number, b: number}>} games - Validated game scores
+ * @param {boolean} admin - Whether this is an admin override
+ * @param {string|null} [forfeit=null] - Name of the forfeiting team
  */
-export function makeBo3Match(a, b, isSwiss) {
-  const el = document.createElement('div');
-  el.className = 'match';
-  let done = false;
-  let oppsRecorded = false;
-
-  const nameA = UI.escapeHtml(a.name);
-  const nameB = UI.escapeHtml(b.name);
-
-  el.innerHTML = `
-    <div class="match-header">
-      <strong>${nameA}</strong> <span class="match-vs">vs</span> <strong>${nameB}</strong>
-      <span class="match-bo3-label">(Best of 3)</span>
-    </div>
-    <div class="match-bo3-inputs">
-      <div class="match-score-box--a bo3">
-        <div class="match-score-label--a bo3">${nameA} - Enter Your Scores:</div>
-        <div class="match-games-list">
-          <div class="match-game-row"><span class="match-game-label">Game 1:</span><input type="number" class="g1a match-game-input" placeholder="Points" min="0" max="99"></div>
-          <div class="match-game-row"><span class="match-game-label">Game 2:</span><input type="number" class="g2a match-game-input" placeholder="Points" min="0" max="99"></div>
-          <div class="match-game-row"><span class="match-game-label">Game 3:</span><input type="number" class="g3a match-game-input" placeholder="If needed" min="0" max="99"></div>
-        </div>
-      </div>
-      <div class="match-score-box--b bo3">
-        <div class="match-score-label--b bo3">${nameB} - Enter Your Scores:</div>
-        <div class="match-games-list">
-          <div class="match-game-row"><span class="match-game-label">Game 1:</span><input type="number" class="g1b match-game-input" placeholder="Points" min="0" max="99"></div>
-          <div class="match-game-row"><span class="match-game-label">Game 2:</span><input type="number" class="g2b match-game-input" placeholder="Points" min="0" max="99"></div>
-          <div class="match-game-row"><span class="match-game-label">Game 3:</span><input type="number" class="g3b match-game-input" placeholder="If needed" min="0" max="99"></div>
-        </div>
-      </div>
-    </div>
-    <div class="match-actions">
-      <button>Submit Match</button>
-      <span class="status"></span>
-    </div>
-    <div class="match-result"></div>`;
-
-  el.querySelector('button').onclick = () => {
-    const g1a = parseInt(el.querySelector('.g1a').value);
-    const g1b = parseInt(el.querySelector('.g1b').value);
-    const g2a = parseInt(el.querySelector('.g2a').value);
-    const g2b = parseInt(el.querySelector('.g2b').value);
-    const g3a = parseInt(el.querySelector('.g3a').value);
-    const g3b = parseInt(el.querySelector('.g3b').value);
-
-    if (!isValidScore(g1a, g1b) || !isValidScore(g2a, g2b)) {
-      return UI.showMatchError(el, 'Games 1 and 2 required — First to 11, win by 2');
-    }
-
-    let aWins = 0, bWins = 0;
-    if (g1a > g1b) aWins++; else bWins++;
-    if (g2a > g2b) aWins++; else bWins++;
+export function recordResult(record, games, admin, forfeit = null) {
+  record.games = games;
+  record.status = 'submitted';
+  record.admin = admin;
+  record.submittedAt = new Date().toISOString();
+  if (forfeit) record.forfeit = forfeit;
+  else delete record.forfeit;
+  // A recorded result settles any score reports, disputed or not
+  delete record.reports;
+  delete record.disputed;
+}
 
-    if (aWins === 1 && bWins === 1) {
-      if (!isValidScore(g3a, g3b)) return UI.showMatchError(el, 'Game 3 required — First to 11, win by 2');
-      if (g3a > g3b) aWins++; else bWins++;
-    }
+// --- Dual-Entry Reports ---
 
-    if (aWins < 2 && bWins < 2) return UI.showMatchError(el, 'Match not decided — need a 2-game winner');
+const sameGames = (x, y) => x.length === y.length && x.every((g, i) => g.a === y[i].a && g.b === y[i].b);
 
-    if (!done) { State.decrementPending(); done = true; }
+/**
+ * Store one team's report of a pending match's full score, team A first.
+ * A team may report again until the other team has reported. Once both
+ * have, the reports either agree or the match is marked disputed.
+ * @param {Object} record - Pending match record
+ * @param {string} team - Reporting team (teamA or teamB)
+ * @param {Array<{a: number, b: number}>} games - Validated game scores
+ * @returns {Array<{a: number, b: number}>|null} The agreed games once both
+ *   reports match, otherwise null
+ */
+export function addScoreReport(record, team, games) {
+  record.reports = { ...record.reports, [team]: games };
+  const other = record.reports[team === record.teamA ? record.teamB : record.teamA];
+  if (!other) return null;
+  if (sameGames(games, other)) return games;
+  record.disputed = true;
+  return null;
+}
 
-    const teamA = isSwiss ? a.swiss : a.bracket;
-    const teamB = isSwiss ? b.swiss : b.bracket;
+/**
+ * Disputed matches of the round being played — this week's, or the season
+ * playoff's once it has started — waiting for an admin.
+ * @returns {Object[]} Live match records
+ */
+export function disputedMatches() {
+  const playoff = State.getPlayoff();
+  const matches = playoff ? playoff.matches : State.getWeekMatches(State.getWeek());
+  return matches.filter(m => m.disputed);
+}
 
-    if (!teamA || !teamB) {
-      console.error('Cannot apply Bo3 score: team stats object missing');
-      return;
-    }
+/**
+ * Game scores recorded when a team forfeits: the configured forfeit score
+ * for every game needed to win the match (one, or two for Best-of-3).
+ * @param {Object} record - Match record
+ * @param {string} forfeitingTeam - Name of the team that forfeits
+ * @returns {Array<{a: number, b: number}>}
+ */
+export function forfeitGames(record, forfeitingTeam) {
+  const winnerPoints = forfeitWinnerPoints(record);
+  const game = forfeitingTeam === record.teamA
+    ? { a: FORFEIT_LOSER_POINTS, b: winnerPoints }
+    : { a: winnerPoints, b: FORFEIT_LOSER_POINTS };
+  return Array.from({ length: record.bestOf === 3 ? 2 : 1 }, () => ({ ...game }));
+}
 
-    let pdA = (g1a - g1b) + (g2a - g2b);
-    let pdB = (g1b - g1a) + (g2b - g2a);
-    if (aWins === 1 && bWins === 1) {
-      pdA += (g3a - g3b);
-      pdB += (g3b - g3a);
-    }
+/**
+ * Game score credited to the team that shows up when the other forfeits.
+ * @param {Object} record - Match record
+ * @returns {number}
+ */
+export function forfeitWinnerPoints(record) {
+  return FORFEIT_WINNER_POINTS ?? getScoringRule(record).target;
+}
 
-    teamA.pd += pdA;
-    teamB.pd += pdB;
-    if (aWins > bWins) { teamA.w++; teamB.l++; }
-    else { teamB.w++; teamA.l++; }
+/**
+ * Apply a submitted, overridden or forfeited result to team stats and the
+ * match log. Opponents and the pending count only change on the first submit.
+ * @param {Object} record - Match record from the state match log
+ * @param {Array<{a: number, b: number}>} games - Validated game scores
+ * @param {boolean} admin - Whether this is an admin override
+ * @param {string|null} [forfeit=null] - Name of the forfeiting team
+ * @returns {string|null} Error message, or null if the result was applied
+ */
+export function applyResult(record, games, admin, forfeit = null) {
+  const a = State.findTeamByName(record.teamA);
+  const b = State.findTeamByName(record.teamB);
+  if (!a || !b) return `Match ${record.id}: team not found`;
+
+  const isSwiss = record.phase === 'swiss';
+  const firstSubmit = record.status !== 'submitted';
+  if (!applyScore(a, b, games, isSwiss, firstSubmit ? null : record.games)) {
+    return `Match ${record.id}: team stats missing`;
+  }
 
-    if (isSwiss && !oppsRecorded) {
+  if (firstSubmit) {
+    State.decrementPending();
+    if (isSwiss) {
       a.swiss.opps.push(b.name);
       b.swiss.opps.push(a.name);
-      oppsRecorded = true;
     }
-
-    const resultDiv = el.querySelector('.match-result');
-    resultDiv.style.display = 'block';
-    const g3Text = (aWins === 1 && bWins === 1) ? ` | Game 3: ${nameA} ${g3a}-${g3b} ${nameB}` : '';
-    resultDiv.innerHTML = `
-      <div class="match-result--success">✓ Match Submitted</div>
-      <div class="match-result-scores">
-        Game 1: ${nameA} ${g1a}-${g1b} ${nameB} | Game 2: ${nameA} ${g2a}-${g2b} ${nameB}${g3Text}
-      </div>
-      <div class="match-result-winner">Winner: ${aWins > bWins ? nameA : nameB} (${Math.max(aWins, bWins)}-${Math.min(aWins, bWins)})</div>`;
-
-    el.querySelectorAll('input').forEach(inp => inp.disabled = true);
-    el.querySelector('button').disabled = true;
-
-    UI.updateSwissTable();
-    State.save();
-    notifyCompletion(isSwiss);
-  };
-
-  return el;
+  }
+  recordResult(record, games, admin, forfeit);
+  return null;
 }
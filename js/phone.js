@@ -0,0 +1,134 @@
+/**
+ * @module phone
+ * @description Entry point of the phone score page (phone.html), served on
+ * the local network by bin/server.js. Players tap their match in the current
+ * round and send its score; it is checked here and on the server, then waits
+ * for the league page on the server laptop to submit it through the engine.
+ * The page follows a sent score until it is recorded or turned down, and
+ * reloads the round every PHONE_POLL_SECONDS. It never touches localStorage.
+ */
+import { PHONE_POLL_SECONDS } from './config.js';
+import { getScoringRule, validateGames } from './match.js';
+import * as UI from './ui.js';
+
+let round = null;   // last /api/league answer
+let chosen = null;  // id of the match whose score form is open
+let sending = false;
+let offline = false; // the round could not be loaded last time
+
+/** Call the server's API; a refused request throws with the server's message and status. */
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+  const res = await fetch(path, { method, headers, body });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw Object.assign(new Error((data && data.error) || `Server answered ${res.status}`), { status: res.status });
+  return data;
+}
+
+function findMatch(matchId) {
+  return round ? round.matches.find(m => m.id === matchId) : null;
+}
+
+function closeForm() {
+  chosen = null;
+  UI.renderPhoneForm(null);
+}
+
+function openForm(matchId) {
+  const match = findMatch(matchId);
+  if (!match || match.status !== 'pending' || match.disputed || sending) return;
+  chosen = matchId;
+  UI.showPhoneMessage('');
+  UI.renderPhoneForm(match, round.dualEntry);
+}
+
+/** Reload the round; close the form if its match was scored meanwhile. */
+async function refresh() {
+  try {
+    round = await api('/api/league');
+  } catch (err) {
+    round = null;
+    offline = true;
+    UI.renderPhoneRound(null);
+    UI.showPhoneMessage(err.status ? err.message : 'Cannot reach the league laptop — check you are on the venue Wi-Fi', 'error');
+    return;
+  }
+  if (offline) UI.showPhoneMessage('');
+  offline = false;
+  UI.renderPhoneRound(round);
+  const match = chosen && findMatch(chosen);
+  if (chosen && !sending && (!match || match.status !== 'pending')) {
+    closeForm();
+    UI.showPhoneMessage('That match was just scored', 'info');
+  }
+}
+
+/**
+ * Check on a sent score until the league page has answered. Lost
+ * connections are retried; a score the server no longer knows is given up on.
+ */
+function follow(id, match) {
+  const pairing = `${match.teamA} vs ${match.teamB}`;
+  const timer = setInterval(async () => {
+    let submission;
+    try {
+      submission = await api(`/api/scores/${id}`);
+    } catch (err) {
+      if (err.status !== 404) return;
+      clearInterval(timer);
+      UI.showPhoneMessage(`${pairing}: ${err.message}`, 'error');
+      return;
+    }
+    if (submission.status === 'queued') return;
+    clearInterval(timer);
+    if (submission.status === 'accepted') UI.showPhoneMessage(`✓ ${pairing}: score recorded`, 'success');
+    else UI.showPhoneMessage(`✗ ${pairing}: ${submission.error}`, 'error');
+    refresh();
+  }, PHONE_POLL_SECONDS * 1000);
+}
+
+/** Check the typed score and send it to the server. */
+async function sendScore(e) {
+  e.preventDefault();
+  const match = findMatch(chosen);
+  if (!match || sending) return;
+  const { team, code, games } = UI.readPhoneScore(match);
+  if (round.dualEntry && !team) return UI.showPhoneMessage('Choose your team first', 'error');
+  if (round.dualEntry && !code) return UI.showPhoneMessage('Enter your team code — the organizer has it', 'error');
+  const error = validateGames(games, match.bestOf, getScoringRule(match));
+  if (error) return UI.showPhoneMessage(error, 'error');
+
+  sending = true;
+  UI.setPhoneFormBusy(true);
+  try {
+    const submission = await api('/api/scores', {
+      method: 'POST',
+      body: JSON.stringify({ matchId: match.id, team, code, games }),
+    });
+    closeForm();
+    UI.showPhoneMessage(`⏳ ${match.teamA} vs ${match.teamB}: score sent — waiting for the scorer's table`, 'info');
+    follow(submission.id, match);
+  } catch (err) {
+    UI.setPhoneFormBusy(false);
+    UI.showPhoneMessage(err.status ? err.message : 'Score not sent — cannot reach the league laptop', 'error');
+  } finally {
+    sending = false;
+  }
+  refresh();
+}
+
+function initializePhone() {
+  document.getElementById('phoneMatches').addEventListener('click', e => {
+    const button = e.target.closest('[data-match]');
+    if (button) openForm(button.dataset.match);
+  });
+  const form = document.getElementById('phoneForm');
+  form.addEventListener('submit', sendScore);
+  form.addEventListener('click', e => {
+    if (e.target.closest('.phone-cancel')) closeForm();
+  });
+  refresh();
+  setInterval(refresh, PHONE_POLL_SECONDS * 1000);
+}
+
+initializePhone();
@@ -0,0 +1,233 @@
+/**
+ * @module playoff
+ * @description Season playoff — after the last week, the top PLAYOFF_TEAMS
+ * teams in the league standings play a single-elimination bracket (top seeds
+ * get byes when the field is not a power of two) ending in a Best-of-3
+ * final, and the winner is crowned champion. The seeds, matches and champion
+ * live in state.playoff, apart from the weekly match log, and never change
+ * league points. Round-by-round progress is driven by the engine.
+ */
+import * as State from './state.js';
+import { PLAYOFF_TEAMS, PLAYOFF_SEEDING, PLAYOFF_FINAL_BEST_OF, scoringRuleFor } from './config.js';
+import { comparePlayersByLeague } from './sorting.js';
+import { sortPlayersByLeague } from './standings.js';
+import { seedOrder } from './bracket.js';
+import { validateGames, getScoringRule, getMatchWinner, recordResult } from './match.js';
+
+/**
+ * Teams the playoff takes: PLAYOFF_TEAMS, capped at the league size.
+ * @returns {number}
+ */
+export function playoffSize() {
+  return Math.min(PLAYOFF_TEAMS, State.getTeamCount());
+}
+
+/**
+ * Rounds in a playoff of this many teams; the last one is the final.
+ * @param {number} size - Number of playoff teams
+ * @returns {number}
+ */
+export function playoffRoundCount(size) {
+  return Math.ceil(Math.log2(size));
+}
+
+/**
+ * Display name of a playoff round, e.g. "Semifinal".
+ * @param {number} round - Round number
+ * @param {number} rounds - Rounds in the playoff
+ * @returns {string}
+ */
+export function playoffRoundName(round, rounds) {
+  const fromEnd = rounds - round;
+  if (fromEnd === 0) return 'Final';
+  if (fromEnd === 1) return 'Semifinal';
+  if (fromEnd === 2) return 'Quarterfinal';
+  return `Round ${round}`;
+}
+
+// --- Seeding ---
+
+/** A team's roster with its players' league totals added together. */
+function combinedStanding(team) {
+  const league = { pts: 0, w: 0, l: 0, pd: 0 };
+  team.players.forEach(name => {
+    const player = State.findPlayerByName(name);
+    if (player) Object.keys(league).forEach(k => { league[k] += player.league[k]; });
+  });
+  return { name: team.name, league, team };
+}
+
+/**
+ * The teams that make the playoff, best first, ranked as PLAYOFF_SEEDING says.
+ * @returns {Array<{seed: number, team: string, players: string[], pts: number}>}
+ *   pts: the combined points, or the best player's points, the seed rests on
+ */
+export function rankPlayoffTeams() {
+  let ranked;
+  if (PLAYOFF_SEEDING === 'players') {
+    // Each team is placed where its best player stands in the league table
+    ranked = [];
+    sortPlayersByLeague(State.getPlayers()).forEach(p => {
+      const team = State.getTeams().find(t => t.players.includes(p.name));
+      if (team && !ranked.some(r => r.team === team)) ranked.push({ team, pts: p.league.pts });
+    });
+  } else {
+    ranked = State.getTeams().map(combinedStanding)
+      .sort(comparePlayersByLeague)
+      .map(({ team, league }) => ({ team, pts: league.pts }));
+  }
+  return ranked.slice(0, playoffSize()).map(({ team, pts }, i) => ({
+    seed: i + 1,
+    team: team.name,
+    players: [...team.players],
+    pts,
+  }));
+}
+
+/**
+ * Seed the playoff from the league standings and log its first round.
+ * The caller checks that the season is over.
+ */
+export function seedPlayoff() {
+  const seeds = rankPlayoffTeams();
+  const size = 2 ** playoffRoundCount(seeds.length);
+  const slots = seedOrder(size).map(s => (seeds[s - 1] ? seeds[s - 1].team : null));
+  const pairs = [];
+  for (let i = 0; i < slots.length; i += 2) pairs.push([slots[i], slots[i + 1]]);
+
+  State.setPlayoff({ seeds, matches: [], champion: null });
+  logPlayoffRound(1, pairs);
+}
+
+/** Log a round's matches (a pair with one team is a bye) and reset the pending count. */
+function logPlayoffRound(round, pairs) {
+  const playoff = State.getPlayoff();
+  const isFinal = round === playoffRoundCount(playoff.seeds.length);
+  State.setPending(0);
+  pairs.forEach(([a, b], slot) => {
+    const record = {
+      id: `playoff-r${round}-m${slot + 1}`,
+      week: State.getWeek(),
+      phase: 'playoff',
+      round,
+      slot,
+      teamA: a || b,
+      teamB: a && b ? b : null,
+      bestOf: 1,
+      games: [],
+      status: a && b ? 'pending' : 'bye',
+      admin: false,
+      submittedAt: null,
+    };
+    if (record.status === 'pending') {
+      record.bestOf = isFinal ? PLAYOFF_FINAL_BEST_OF : 1;
+      record.scoring = scoringRuleFor('playoff', record.bestOf);
+      State.incrementPending();
+    }
+    playoff.matches.push(record);
+  });
+}
+
+// --- Rounds and Results ---
+
+/**
+ * Matches of one playoff round, in slot order.
+ * @param {number} round - Round number
+ * @returns {Object[]} Live match records
+ */
+export function playoffRoundMatches(round) {
+  const playoff = State.getPlayoff();
+  return playoff ? playoff.matches.filter(m => m.round === round).sort((x, y) => x.slot - y.slot) : [];
+}
+
+/**
+ * Last playoff round logged (0 before the playoff starts).
+ * @returns {number}
+ */
+export function currentPlayoffRound() {
+  const playoff = State.getPlayoff();
+  return playoff ? Math.max(0, ...playoff.matches.map(m => m.round)) : 0;
+}
+
+/**
+ * Why a result cannot be submitted to a playoff match, if anything.
+ * @returns {string|null} Error message, or null if the result may be applied
+ */
+export function checkPlayoffResult(record, matchId, games, admin, forfeit) {
+  if (!record) return `Match ${matchId} not found in the playoff`;
+  if (record.status === 'bye') return 'A bye has no result';
+  if (record.status === 'submitted' && !admin) {
+    return 'Match already submitted — use an admin override to correct it';
+  }
+  if (forfeit && forfeit !== record.teamA && forfeit !== record.teamB) {
+    return `"${forfeit}" is not playing in this match`;
+  }
+  const error = validateGames(games, record.bestOf, getScoringRule(record));
+  if (error) return error;
+  // The winners of earlier rounds are already playing each other
+  if (record.status === 'submitted' && record.round < currentPlayoffRound() &&
+    getMatchWinner({ ...record, games }) !== getMatchWinner(record)) {
+    return 'Cannot change the winner of an earlier playoff round — later pairings depend on it';
+  }
+  return null;
+}
+
+/**
+ * Record a checked playoff result. Completing a round logs the next one;
+ * the final (or an override of it) crowns the champion.
+ * @returns {{roundComplete: boolean, crowned: boolean}}
+ */
+export function applyPlayoffResult(record, games, admin, forfeit) {
+  const firstSubmit = record.status !== 'submitted';
+  recordResult(record, games.map(g => ({ a: g.a, b: g.b })), admin, forfeit);
+  if (firstSubmit) State.decrementPending();
+
+  const playoff = State.getPlayoff();
+  if (record.round === playoffRoundCount(playoff.seeds.length)) {
+    const winner = getMatchWinner(record);
+    const team = State.findTeamByName(winner);
+    playoff.champion = {
+      team: winner,
+      players: team ? [...team.players] : [],
+      seed: playoff.seeds.find(s => s.team === winner).seed,
+      crownedAt: new Date().toISOString(),
+    };
+    return { roundComplete: firstSubmit, crowned: true };
+  }
+  if (!firstSubmit || State.getPending() > 0) return { roundComplete: false, crowned: false };
+
+  const winners = playoffRoundMatches(record.round).map(getMatchWinner);
+  const pairs = [];
+  for (let i = 0; i < winners.length; i += 2) pairs.push([winners[i], winners[i + 1]]);
+  logPlayoffRound(record.round + 1, pairs);
+  return { roundComplete: true, crowned: false };
+}
+
+/**
+ * Final standings of the playoff: the champion, then every other team by the
+ * round it went out in (teams out in the same round share the place), best
+ * seed first. Teams still playing have no place yet.
+ * @returns {Array<{place: number|null, seed: number, team: string, players: string[], result: string}>}
+ */
+export function playoffStandings() {
+  const playoff = State.getPlayoff();
+  if (!playoff) return [];
+  const rounds = playoffRoundCount(playoff.seeds.length);
+  const lostIn = new Map(); // team → round it lost
+  playoff.matches.filter(m => m.status === 'submitted').forEach(m => {
+    lostIn.set(getMatchWinner(m) === m.teamA ? m.teamB : m.teamA, m.round);
+  });
+
+  return playoff.seeds.map(s => {
+    const row = { place: null, seed: s.seed, team: s.team, players: [...s.players], result: 'Still playing' };
+    if (playoff.champion && playoff.champion.team === s.team) {
+      row.place = 1;
+      row.result = 'Champion';
+    } else if (lostIn.has(s.team)) {
+      const round = lostIn.get(s.team);
+      row.place = 2 ** (rounds - round) + 1;
+      row.result = round === rounds ? 'Runner-up' : `Out in the ${playoffRoundName(round, rounds)}`;
+    }
+    return row;
+  }).sort((x, y) => (x.place ?? 1) - (y.place ?? 1) || x.seed - y.seed);
+}
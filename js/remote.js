@@ -0,0 +1,112 @@
+/**
+ * @module remote
+ * @description Phone scoring on the league page. When the app is served by
+ * bin/server.js and opened on the laptop running it, every save is sent to
+ * the server for the phone page to read, and the scores players send from
+ * their phones are picked up every PHONE_POLL_SECONDS and submitted through
+ * the engine — checked, counted against the round's pending matches and
+ * audit-logged as from a phone, like a score typed on the match card. The
+ * outcome goes back to the phone. With dual-entry scoring it also lists the
+ * teams' codes for reporting from a phone. Served any other way, this does
+ * nothing.
+ */
+import { DUAL_ENTRY_SCORES, PHONE_POLL_SECONDS } from './config.js';
+import * as Engine from './engine.js';
+import * as UI from './ui.js';
+import { refreshMatch } from './cards.js';
+
+const PHONE_SOURCE = ' (from a phone)';
+
+let sent = null; // league JSON the server last accepted
+let shownCodes = null; // team codes JSON on the page
+let busy = false;
+let again = false; // the league changed during a sync, so run another
+
+/** Call the server's API; a refused request throws with the server's message. */
+async function api(path, { method = 'GET', body } = {}) {
+  const headers = body === undefined ? {} : { 'Content-Type': 'application/json' };
+  const res = await fetch(path, { method, headers, body });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw new Error((data && data.error) || `Server answered ${res.status}`);
+  return data;
+}
+
+/** Send the league to the server if it changed since last time. */
+async function sendLeague() {
+  const backup = Engine.exportBackup();
+  if (backup.teams.length === 0) return;
+  const league = JSON.stringify({ ...backup, exportDate: null });
+  if (league === sent) return;
+  await api('/api/league', { method: 'PUT', body: JSON.stringify(backup) });
+  sent = league;
+}
+
+/** Show the teams' codes for the current round if they changed. */
+async function showCodes() {
+  const codes = await api('/api/codes');
+  const json = JSON.stringify(codes);
+  if (json === shownCodes) return;
+  UI.updatePhoneCodes(codes);
+  shownCodes = json;
+}
+
+/**
+ * Submit a score sent from a phone and tell the server how it went. A score
+ * the engine rejects (e.g. the match was scored on the card meanwhile) goes
+ * back to the phone with the reason.
+ * @param {{id: string, matchId: string, team: string|null, games: Array<{a: number, b: number}>}} submission
+ */
+async function applySubmission({ id, matchId, team, games }) {
+  const result = DUAL_ENTRY_SCORES
+    ? Engine.reportScore(matchId, team, games, { source: PHONE_SOURCE })
+    : Engine.submitResult(matchId, games, { source: PHONE_SOURCE });
+  await api(`/api/submissions/${id}`, { method: 'POST', body: JSON.stringify({ error: result.error || null }) });
+  if (result.error) return;
+  refreshMatch(matchId);
+  const { teamA, teamB } = result.match;
+  const what = DUAL_ENTRY_SCORES ? `${team} reported the score` : 'score received';
+  UI.showNotification(`📱 ${teamA} vs ${teamB}: ${what} from a phone`, 4000);
+}
+
+/** Send the league, then submit any scores waiting on the server. */
+async function sync() {
+  if (busy) {
+    again = true;
+    return;
+  }
+  busy = true;
+  try {
+    await sendLeague();
+    if (DUAL_ENTRY_SCORES) await showCodes();
+    const queued = await api('/api/submissions');
+    for (const submission of queued) await applySubmission(submission);
+  } catch (err) {
+    console.error('Phone scoring:', err);
+  } finally {
+    busy = false;
+  }
+  // Scores just submitted changed the league too, so this also sends them
+  if (again) {
+    again = false;
+    sync();
+  }
+}
+
+/**
+ * Turn on phone scoring if the page was served by bin/server.js. Only the
+ * laptop running the server takes phone scores; a league page opened on
+ * another device just says where they go.
+ */
+export async function initPhoneScoring() {
+  let server;
+  try {
+    server = await api('/api/ping');
+  } catch (err) {
+    return; // not served by bin/server.js
+  }
+  UI.updatePhoneScoring(server);
+  if (!server.local) return;
+  Engine.on('change', sync);
+  setInterval(sync, PHONE_POLL_SECONDS * 1000);
+  sync();
+}
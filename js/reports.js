@@ -0,0 +1,69 @@
+/**
+ * @module reports
+ * @description CSV text for the league standings, the Swiss standings, an
+ * archived week's results and the audit log, written through csvformat.js so
+ * names are quoted and formula-safe. No DOM — the export buttons download these and the CLI
+ * prints or writes them.
+ */
+import * as State from './state.js';
+import { swissStandingsTable } from './swiss.js';
+import { getMatchWinner } from './match.js';
+import { sortPlayersByLeague } from './standings.js';
+import { AUDIT_ACTIONS } from './audit.js';
+import { toCSV } from './csvformat.js';
+
+/** League standings, best player first. */
+export function leagueCSV() {
+  const rows = [['Rank', 'Player', 'Team', 'Points', 'Wins', 'Losses', 'Point Differential']];
+  sortPlayersByLeague(State.getPlayers()).forEach((p, i) => {
+    rows.push([i + 1, p.name, p.team, p.league.pts, p.league.w, p.league.l, p.league.pd]);
+  });
+  return toCSV(rows);
+}
+
+/** Swiss standings in seed order, with the tiebreak chain's columns. */
+export function swissCSV() {
+  const { columns, rows } = swissStandingsTable();
+  const out = [['Seed', 'Team', 'Wins', 'Losses', 'Point Differential', ...columns.map(c => c.label), 'Decided By']];
+  rows.forEach(({ team: t, values, decidedBy }, i) => {
+    const cells = values.map(v => (v === '—' ? '' : v));
+    out.push([i + 1, t.name, t.swiss.w, t.swiss.l, t.swiss.pd, ...cells, decidedBy || '']);
+  });
+  return toCSV(out);
+}
+
+/**
+ * Placements and every match of an archived week.
+ * @param {Object} entry - Archive entry
+ * @returns {string}
+ */
+export function weekCSV(entry) {
+  const rows = [['Place', 'Team', 'Players', 'Wins', 'Losses', 'Point Differential', 'Points']];
+  entry.placements.forEach(p => {
+    rows.push([p.place, p.team, p.players.join(' / '), p.w, p.l, p.pd, p.pts]);
+  });
+
+  rows.push([], ['Phase', 'Round', 'Team A', 'Team B', 'Scores', 'Winner', 'Note']);
+  entry.matches.forEach(m => {
+    const scores = m.games.map(g => `${g.a}-${g.b}`).join(' ');
+    const note = m.status === 'bye' ? 'bye' : (m.forfeit ? `forfeit by ${m.forfeit}` : '');
+    rows.push([m.phase, m.round, m.teamA, m.teamB ?? '', scores, getMatchWinner(m), note]);
+  });
+  return toCSV(rows);
+}
+
+/**
+ * Audit log entries, one row per change (an entry without changes still
+ * gets a row).
+ * @param {Object[]} entries - Entries to export, e.g. from filterAudit
+ * @returns {string}
+ */
+export function auditCSV(entries) {
+  const rows = [['Time', 'Action', 'Week', 'Summary', 'Item', 'Before', 'After']];
+  entries.forEach(e => {
+    const head = [e.at, AUDIT_ACTIONS[e.action] || e.action, e.week, e.summary];
+    if (e.changes.length === 0) rows.push([...head, '', '', '']);
+    e.changes.forEach(c => rows.push([...head, c.item, c.before ?? '', c.after ?? '']));
+  });
+  return toCSV(rows);
+}
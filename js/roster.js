@@ -0,0 +1,377 @@
+/**
+ * @module roster
+ * @description Team rosters — the `[{ name, players }]` list a league starts
+ * from. Validates a roster with the same rules the league is created under,
+ * and reads and writes roster files: CSV (`Team, Player 1, Player 2`) or JSON
+ * (a roster array, or any object with a `teams` array such as a full backup).
+ * Also changes rosters mid-season: substitutes for one week, permanent
+ * replacements, and team and player renames that rewrite every name
+ * reference, past weeks included. No DOM, so the setup screen and the CLI
+ * share it.
+ */
+import * as State from './state.js';
+import { MIN_TEAMS, MAX_TEAMS, PLAYERS_PER_TEAM, isValidTeamCount } from './config.js';
+import { parseCSV, readCell, toCSV } from './csvformat.js';
+
+const PLAYER_COLUMNS = Array.from({ length: PLAYERS_PER_TEAM }, (_, i) => `Player ${i + 1}`);
+
+/**
+ * Check a roster: a supported team count, PLAYERS_PER_TEAM players per team,
+ * and unique, non-empty team and player names (case-insensitive).
+ * @param {Array<{name: string, players: string[]}>} roster - Teams in entry order
+ * @returns {string|null} Error message, or null if the league can start from it
+ */
+export function validateRoster(roster) {
+  if (!Array.isArray(roster) || !isValidTeamCount(roster.length)) {
+    return `Choose a number of teams from ${MIN_TEAMS} to ${MAX_TEAMS}`;
+  }
+  const seen = new Set();
+  for (const team of roster) {
+    const players = Array.isArray(team.players) ? team.players : [];
+    if (players.length !== PLAYERS_PER_TEAM) {
+      return `Team "${team.name}" needs ${PLAYERS_PER_TEAM} players`;
+    }
+    for (const name of [team.name, ...players]) {
+      const key = typeof name === 'string' ? name.trim().toLowerCase() : '';
+      if (!key) return 'Please enter unique, non-empty names for all teams and players';
+      if (seen.has(key)) return `"${name.trim()}" is used twice — team and player names must be unique`;
+      seen.add(key);
+    }
+  }
+  return null;
+}
+
+/**
+ * Roster as CSV text, one team per row.
+ * @param {Array<{name: string, players: string[]}>} roster
+ * @returns {string}
+ */
+export function rosterCSV(roster) {
+  return toCSV([['Team', ...PLAYER_COLUMNS], ...roster.map(t => [t.name, ...t.players])]);
+}
+
+/** Roster from a CSV with a Team column and one column per player. */
+function readRosterCSV(text) {
+  const parsed = parseCSV(text);
+  if (parsed.error) return { error: parsed.error };
+  const { rows, lines } = parsed;
+  if (rows.length < 2) return { error: 'Roster file is empty' };
+
+  const header = rows[0].map(h => readCell(h).trim().toLowerCase());
+  const index = {};
+  for (const name of ['Team', ...PLAYER_COLUMNS]) {
+    index[name] = header.indexOf(name.toLowerCase());
+    if (index[name] === -1) return { error: `Line ${lines[0]}: missing column "${name}". Found: ${rows[0].join(', ')}` };
+  }
+
+  const roster = rows.slice(1).map(row => {
+    const cell = name => readCell((row[index[name]] ?? '').trim());
+    return { name: cell('Team'), players: PLAYER_COLUMNS.map(cell) };
+  });
+  const blank = roster.findIndex(t => !t.name || t.players.some(p => !p));
+  if (blank !== -1) return { error: `Line ${lines[blank + 1]}: every team needs a name and ${PLAYERS_PER_TEAM} players` };
+  return { roster };
+}
+
+/** Roster from JSON: a `[{ name, players }]` array, or an object with a `teams` array. */
+function readRosterJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { error: `Not valid JSON: ${err.message}` };
+  }
+  const teams = Array.isArray(data) ? data : (data && Array.isArray(data.teams) ? data.teams : null);
+  if (!teams) return { error: 'JSON roster must be a list of teams, or an object with a "teams" list' };
+
+  const roster = [];
+  for (const [i, team] of teams.entries()) {
+    const name = team && (team.name ?? team.team);
+    if (typeof name !== 'string' || !Array.isArray(team.players) || team.players.some(p => typeof p !== 'string')) {
+      return { error: `teams[${i}]: expected { "name": "...", "players": ["...", "..."] }` };
+    }
+    roster.push({ name: name.trim(), players: team.players.map(p => p.trim()) });
+  }
+  return { roster };
+}
+
+/**
+ * Read a roster file (JSON if it starts with [ or {, CSV otherwise) and
+ * validate it with validateRoster.
+ * @param {string} text - File contents
+ * @returns {{roster: Array<{name: string, players: string[]}>}|{error: string}}
+ */
+export function readRoster(text) {
+  const trimmed = String(text).replace(/^\uFEFF/, '').trim();
+  const result = /^[[{]/.test(trimmed) ? readRosterJSON(trimmed) : readRosterCSV(trimmed);
+  if (result.error) return result;
+  const error = validateRoster(result.roster);
+  return error ? { error } : result;
+}
+
+// --- Lineups ---
+
+/**
+ * Players who play for a team this week: its roster with this week's
+ * substitutes swapped in and players checked in absent left out. Finalizing
+ * a week credits these names.
+ * @param {Object} team - Team object
+ * @returns {string[]}
+ */
+export function lineupFor(team) {
+  const subs = State.getSubs()[team.name] || {};
+  const absent = State.getCheckIn() ? State.getCheckIn().absent : [];
+  return team.players.filter(p => subs[p] || !absent.includes(p)).map(p => subs[p] || p);
+}
+
+/** Team whose roster lists a player, or null (substitutes and replaced players). */
+function rosterTeamOf(name) {
+  return State.getTeams().find(t => t.players.includes(name)) || null;
+}
+
+/** Team a name is substituting for this week, or null. */
+function subbingFor(name) {
+  for (const [team, slots] of Object.entries(State.getSubs())) {
+    const player = Object.keys(slots).find(p => slots[p] === name);
+    if (player) return { team, player };
+  }
+  return null;
+}
+
+/** Teams and players share one namespace; `except` may keep its own name in another case. */
+function nameTaken(name, except = null) {
+  const key = name.toLowerCase();
+  const same = n => n.toLowerCase() === key && n !== except;
+  return State.getTeams().some(t => same(t.name)) || State.getPlayers().some(p => same(p.name));
+}
+
+/** Player entry for a name joining a team, reusing an off-roster entry so earlier points are kept. */
+function enlist(name, teamName) {
+  const existing = State.findPlayerByName(name);
+  if (existing) existing.team = teamName;
+  else State.getPlayers().push({ name, team: teamName, league: { pts: 0, w: 0, l: 0, pd: 0 } });
+}
+
+/** Drop the entry of a player who is off every roster, not subbing and never played a finished week. */
+function dropIfUnused(name) {
+  if (rosterTeamOf(name) || subbingFor(name)) return;
+  const played = State.getArchive().some(entry => entry.placements.some(p => p.players.includes(name))) ||
+    !!State.getLeagueBaseline()[name];
+  if (!played) State.setPlayers(State.getPlayers().filter(p => p.name !== name));
+}
+
+/** Check a new name: non-empty and not used by any team or player. */
+function checkNewName(name, except = null) {
+  if (!name) return 'Name cannot be empty';
+  if (nameTaken(name, except)) return `"${name}" is already a team or player name`;
+  return null;
+}
+
+// --- Roster Changes ---
+
+/**
+ * Put a substitute in for a rostered player for the current week only, or
+ * take the substitute out again. The substitute gets the week's points and
+ * W/L instead of the player; the roster itself is unchanged.
+ * @param {string} teamName - Team name
+ * @param {string} playerName - Rostered player who is out this week
+ * @param {string|null} subName - Substitute, or null to clear
+ * @returns {string|null} Error message, or null on success
+ */
+export function setSubstitute(teamName, playerName, subName) {
+  const team = State.findTeamByName(teamName);
+  if (!team) return `Team "${teamName}" not found`;
+  if (!team.players.includes(playerName)) return `"${playerName}" is not on the roster of ${teamName}`;
+  if (State.isWeekComplete()) return 'Week already finalized — advance to the next week first';
+
+  const subs = State.getSubs();
+  const current = subs[teamName] && subs[teamName][playerName];
+  const sub = subName ? subName.trim() : '';
+  if (!sub) {
+    if (!current) return `${playerName} has no substitute this week`;
+    State.recordHistory(`Clear substitute for ${playerName} (${teamName})`);
+    assignSubstitute(teamName, playerName, null);
+    return null;
+  }
+
+  if (sub === current) return null;
+  const error = substituteNameError(sub);
+  if (error) return error;
+  const elsewhere = subbingFor(sub);
+  if (elsewhere) return `${sub} is already substituting for ${elsewhere.player} (${elsewhere.team})`;
+
+  State.recordHistory(`Substitute ${sub} for ${playerName} (${teamName}, Week ${State.getWeek()})`);
+  assignSubstitute(teamName, playerName, sub);
+  return null;
+}
+
+/**
+ * Why a name cannot substitute this week, or null if it can. Whether the
+ * name is already substituting for someone else is left to the caller.
+ * @param {string} sub - Trimmed substitute name
+ * @returns {string|null}
+ */
+export function substituteNameError(sub) {
+  if (State.findTeamByName(sub)) return `"${sub}" is a team name`;
+  const rosterTeam = rosterTeamOf(sub);
+  if (rosterTeam) return `${sub} plays for ${rosterTeam.name} — a substitute cannot be on a roster`;
+  if (!State.findPlayerByName(sub) && nameTaken(sub)) return `"${sub}" is already a team or player name`;
+  return null;
+}
+
+/**
+ * Fill or clear a player's substitute slot without checks or history; the
+ * caller validates and records the step.
+ * @param {string} teamName - Team name
+ * @param {string} playerName - Rostered player
+ * @param {string|null} sub - Substitute, or null to clear
+ */
+export function assignSubstitute(teamName, playerName, sub) {
+  const subs = State.getSubs();
+  const current = subs[teamName] && subs[teamName][playerName];
+  if (current === (sub || undefined)) return;
+  if (sub) {
+    (subs[teamName] || (subs[teamName] = {}))[playerName] = sub;
+    enlist(sub, teamName);
+  } else {
+    delete subs[teamName][playerName];
+    if (Object.keys(subs[teamName]).length === 0) delete subs[teamName];
+  }
+  if (current) dropIfUnused(current);
+}
+
+/**
+ * Replace a rostered player for the rest of the season, starting with the
+ * current week. The outgoing player keeps the points already earned.
+ * @param {string} teamName - Team name
+ * @param {string} playerOut - Rostered player leaving the team
+ * @param {string} playerIn - New, substitute or replaced player joining it
+ * @returns {string|null} Error message, or null on success
+ */
+export function replacePlayer(teamName, playerOut, playerIn) {
+  const team = State.findTeamByName(teamName);
+  if (!team) return `Team "${teamName}" not found`;
+  const index = team.players.indexOf(playerOut);
+  if (index === -1) return `"${playerOut}" is not on the roster of ${teamName}`;
+
+  const name = playerIn ? playerIn.trim() : '';
+  if (!name) return 'Name cannot be empty';
+  if (State.findTeamByName(name)) return `"${name}" is a team name`;
+  const rosterTeam = rosterTeamOf(name);
+  if (rosterTeam) return `${name} already plays for ${rosterTeam.name}`;
+  if (!State.findPlayerByName(name) && nameTaken(name)) return `"${name}" is already a team or player name`;
+
+  const subs = State.getSubs();
+  const slots = subs[teamName] || {};
+  const elsewhere = subbingFor(name);
+  if (elsewhere && !(elsewhere.team === teamName && elsewhere.player === playerOut)) {
+    return `${name} is substituting for ${elsewhere.player} (${elsewhere.team}) this week — clear that first`;
+  }
+  if (slots[playerOut] && slots[playerOut] !== name) {
+    return `${playerOut} has a substitute this week (${slots[playerOut]}) — clear it first`;
+  }
+
+  State.recordHistory(`Replace ${playerOut} with ${name} (${teamName})`);
+  // A substitute who joins the team for good no longer needs the slot
+  if (slots[playerOut]) {
+    delete slots[playerOut];
+    if (Object.keys(slots).length === 0) delete subs[teamName];
+  }
+  team.players[index] = name;
+  enlist(name, teamName);
+  dropIfUnused(playerOut);
+  // The new player is here this week even if the one they replace was not
+  const checkIn = State.getCheckIn();
+  if (checkIn) checkIn.absent = checkIn.absent.filter(p => p !== playerOut);
+  return null;
+}
+
+/**
+ * Rename a team everywhere its name is used — players, opponents,
+ * head-to-head records, this week's matches, substitutes, past weeks and
+ * the season playoff.
+ * @param {string} oldName - Current team name
+ * @param {string} newName - New team name
+ * @returns {string|null} Error message, or null on success
+ */
+export function renameTeam(oldName, newName) {
+  const team = State.findTeamByName(oldName);
+  if (!team) return `Team "${oldName}" not found`;
+  const name = newName ? newName.trim() : '';
+  if (name === oldName) return null;
+  const error = checkNewName(name, oldName);
+  if (error) return error;
+
+  State.recordHistory(`Rename team ${oldName} → ${name}`);
+  const rename = n => (n === oldName ? name : n);
+  const renameKeys = obj => Object.fromEntries(Object.entries(obj).map(([k, v]) => [rename(k), v]));
+  const renameMatch = m => {
+    m.teamA = rename(m.teamA);
+    if (m.teamB) m.teamB = rename(m.teamB);
+    if (m.forfeit) m.forfeit = rename(m.forfeit);
+    if (m.reports) m.reports = renameKeys(m.reports);
+  };
+
+  // Bracket pairs hold the team objects themselves, so they follow this
+  team.name = name;
+  State.getPlayers().forEach(p => { p.team = rename(p.team); });
+  State.getTeams().forEach(t => {
+    t.swiss.opps = t.swiss.opps.map(rename);
+    t.swiss.h2h = renameKeys(t.swiss.h2h);
+  });
+  State.getMatches().forEach(renameMatch);
+  State.setSubs(renameKeys(State.getSubs()));
+  State.getArchive().forEach(entry => {
+    entry.swiss.forEach(row => { row.team = rename(row.team); });
+    entry.placements.forEach(p => { p.team = rename(p.team); });
+    entry.matches.forEach(renameMatch);
+  });
+  const playoff = State.getPlayoff();
+  if (playoff) {
+    playoff.seeds.forEach(s => { s.team = rename(s.team); });
+    playoff.matches.forEach(renameMatch);
+    if (playoff.champion) playoff.champion.team = rename(playoff.champion.team);
+  }
+  return null;
+}
+
+/**
+ * Rename a player everywhere — rosters, substitutes, check-in, past weeks
+ * and the season playoff — keeping their points.
+ * @param {string} oldName - Current player name
+ * @param {string} newName - New player name
+ * @returns {string|null} Error message, or null on success
+ */
+export function renamePlayer(oldName, newName) {
+  const player = State.findPlayerByName(oldName);
+  if (!player) return `Player "${oldName}" not found`;
+  const name = newName ? newName.trim() : '';
+  if (name === oldName) return null;
+  const error = checkNewName(name, oldName);
+  if (error) return error;
+
+  State.recordHistory(`Rename player ${oldName} → ${name}`);
+  const rename = n => (n === oldName ? name : n);
+  player.name = name;
+  State.getTeams().forEach(t => { t.players = t.players.map(rename); });
+  State.setSubs(Object.fromEntries(Object.entries(State.getSubs()).map(([team, slots]) => [
+    team,
+    Object.fromEntries(Object.entries(slots).map(([p, sub]) => [rename(p), rename(sub)])),
+  ])));
+  const checkIn = State.getCheckIn();
+  if (checkIn) checkIn.absent = checkIn.absent.map(rename);
+  State.getArchive().forEach(entry => {
+    entry.placements.forEach(p => { p.players = p.players.map(rename); });
+    if (entry.attendance) {
+      entry.attendance = Object.fromEntries(Object.entries(entry.attendance).map(([p, status]) => [rename(p), status]));
+    }
+  });
+  State.setLeagueBaseline(Object.fromEntries(Object.entries(State.getLeagueBaseline())
+    .map(([p, totals]) => [rename(p), totals])));
+  const playoff = State.getPlayoff();
+  if (playoff) {
+    playoff.seeds.forEach(s => { s.players = s.players.map(rename); });
+    if (playoff.champion) playoff.champion.players = playoff.champion.players.map(rename);
+  }
+  return null;
+}
@@ -0,0 +1,488 @@
+/**
+ * @module schema
+ * @description Versioned shape of the saved league — the same for full
+ * backups and the localStorage save. Older data is upgraded one version at a
+ * time through MIGRATIONS, then checked field by field so a bad file names
+ * exactly what is wrong (e.g. `teams[3].players[1]: expected a non-empty string`).
+ * Pure functions only: no state, no DOM.
+ */
+import {
+  TOTAL_WEEKS, MIN_TEAMS, MAX_TEAMS, PLAYERS_PER_TEAM, SCORING_RULES, ATTENDANCE_POINTS,
+  isValidTeamCount, swissRoundsFor, scoringRuleFor
+} from './config.js';
+
+/** Current schema version, written into every save and backup. */
+export const SCHEMA_VERSION = '1.7';
+
+/** Version assumed for data saved before versions were recorded (localStorage). */
+const UNVERSIONED = '1.1';
+
+/**
+ * Each player's league totals less what the archived weeks awarded them —
+ * the part of the totals the archive cannot re-derive. Players with nothing
+ * left over are left out.
+ */
+function unarchivedTotals(players, archive) {
+  const totals = Object.fromEntries(players.map(p => {
+    const { pts = 0, w = 0, l = 0, pd = 0 } = p.league || {};
+    return [p.name, { pts, w, l, pd }];
+  }));
+  archive.forEach(entry => {
+    (entry.placements || []).forEach(place => (place.players || []).forEach(name => {
+      const t = totals[name];
+      if (!t) return;
+      t.pts -= place.pts || 0;
+      t.w -= place.w || 0;
+      t.l -= place.l || 0;
+      t.pd -= place.pd || 0;
+    }));
+    // Present, or a substitute who played (attendance.js)
+    Object.entries(entry.attendance || {}).forEach(([name, status]) => {
+      if (totals[name] && (status === 'present' || status === 'sub')) totals[name].pts -= ATTENDANCE_POINTS;
+    });
+  });
+  return Object.fromEntries(Object.entries(totals).filter(([, t]) => t.pts || t.w || t.l || t.pd));
+}
+
+// --- Migrations ---
+// Each step upgrades data from one version to the next. Add a step here (and
+// bump SCHEMA_VERSION) whenever the saved shape changes; never edit old steps.
+const MIGRATIONS = {
+  '1.1': {
+    to: '1.2',
+    // 1.1 saves predate the match log, the weekly archive, head-to-head
+    // records and per-match scoring rules
+    migrate(data) {
+      const teams = (data.teams || []).map(t => ({
+        ...t,
+        swiss: { w: 0, l: 0, pd: 0, ...t.swiss, opps: t.swiss?.opps || [], h2h: t.swiss?.h2h || {} },
+        bracket: { w: 0, l: 0, pd: 0, ...t.bracket },
+      }));
+      const withScoring = m => (m.status === 'bye' || m.scoring)
+        ? m
+        : { ...m, scoring: scoringRuleFor(m.phase, m.bestOf) };
+      const matches = data.matches || [];
+      const week = data.week || 1;
+      let swissRound = data.swissRound || 0;
+      let bracketRounds = data.bracketRounds || [];
+      let pending = data.pending || 0;
+      // Saves without a match log kept every week's bracket pairings, since
+      // advancing a week never cleared them; with no logged bracket match to
+      // back them they only block the next round. A bracket cut short is
+      // replayed from the Swiss standings, and a finished one (its points
+      // awarded, Swiss records reset) moves on to the next week.
+      if (bracketRounds.length > 0 && !matches.some(m => m.week === week && m.phase === 'bracket')) {
+        const finished = bracketRounds.every(r => r && r.length > 0) &&
+          teams.every(t => t.swiss.w === 0 && t.swiss.l === 0);
+        if (finished && swissRound > 0 && week < TOTAL_WEEKS) {
+          return MIGRATIONS['1.1'].migrate({ ...data, week: week + 1, swissRound: 0, pending: 0, bracketRounds: [] });
+        }
+        teams.forEach(t => { t.bracket = { w: 0, l: 0, pd: 0 }; });
+        bracketRounds = [];
+        pending = 0;
+      }
+      // Weeks played under 1.1 survive only in the players' league totals,
+      // so they become the baseline later standings are re-derived on top of
+      const players = data.players || [];
+      return {
+        ...data,
+        week,
+        swissRound,
+        pending,
+        teams,
+        players,
+        leagueBaseline: data.leagueBaseline || unarchivedTotals(players, data.archive || []),
+        bracketRounds,
+        matches: matches.map(withScoring),
+        archive: (data.archive || []).map(entry => ({
+          ...entry,
+          matches: (entry.matches || []).map(withScoring),
+        })),
+      };
+    },
+  },
+  '1.2': {
+    to: '1.3',
+    // 1.3 adds this week's substitutes; every player was on a roster before
+    migrate(data) {
+      return { ...data, subs: data.subs || {} };
+    },
+  },
+  '1.3': {
+    to: '1.4',
+    // 1.4 adds the weekly check-in; earlier weeks were never checked in
+    migrate(data) {
+      return { ...data, checkIn: data.checkIn || null };
+    },
+  },
+  '1.4': {
+    to: '1.5',
+    // 1.5 adds the season playoff, which older seasons never played
+    migrate(data) {
+      return { ...data, playoff: data.playoff || null };
+    },
+  },
+  '1.5': {
+    to: '1.6',
+    // 1.6 adds the audit log; nothing before it was logged
+    migrate(data) {
+      return { ...data, audit: data.audit || [] };
+    },
+  },
+  '1.6': {
+    to: '1.7',
+    // 1.7 adds the league baseline: totals from weeks before the archive
+    // began and from league CSV imports, which recomputing used to erase
+    migrate(data) {
+      return { ...data, leagueBaseline: data.leagueBaseline || unarchivedTotals(data.players || [], data.archive || []) };
+    },
+  },
+};
+
+/** Compare dotted version strings numerically: -1, 0 or 1. */
+function compareVersions(x, y) {
+  const a = String(x).split('.').map(Number);
+  const b = String(y).split('.').map(Number);
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] || 0) - (b[i] || 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+/**
+ * Upgrade saved data to SCHEMA_VERSION. The input is not modified.
+ * @param {Object} data - Parsed backup or localStorage save
+ * @returns {{data: Object, from: string}|{error: string}} Upgraded copy and
+ *   the version it started from, or an error for versions this app can't read
+ */
+export function migrate(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return { error: 'Invalid backup file format' };
+
+  const from = data.version == null ? UNVERSIONED : String(data.version);
+  if (compareVersions(from, SCHEMA_VERSION) > 0) {
+    return { error: `Backup version ${from} is newer than this app (${SCHEMA_VERSION}) — update the app to open it` };
+  }
+
+  let version = from;
+  let out = JSON.parse(JSON.stringify(data));
+  while (version !== SCHEMA_VERSION) {
+    const step = MIGRATIONS[version];
+    if (!step) return { error: `Backup version ${version} is not supported` };
+    out = step.migrate(out);
+    version = step.to;
+    out.version = version;
+  }
+  return { data: out, from };
+}
+
+// --- Validation ---
+
+/** Statuses a week's archived attendance may record ('sub' = played as a substitute). */
+const ATTENDANCE_STATUSES = ['present', 'absent', 'subbed', 'sub'];
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isName = v => typeof v === 'string' && v.trim() !== '';
+const isCount = v => Number.isInteger(v) && v >= 0;
+
+/**
+ * Check the structure of current-version data and every name reference
+ * between teams, players, bracket rounds and matches.
+ * @param {Object} data - Data at SCHEMA_VERSION (run migrate first)
+ * @returns {string[]} Problems as "path: message", empty if the data is valid
+ */
+export function validateLeague(data) {
+  const errors = [];
+  const fail = (path, message) => errors.push(`${path}: ${message}`);
+  const number = (obj, path, keys) => keys.forEach(k => {
+    if (typeof obj[k] !== 'number' || !Number.isFinite(obj[k])) fail(`${path}.${k}`, 'expected a number');
+  });
+
+  if (!isObject(data)) return ['backup: expected an object'];
+  if (!Array.isArray(data.teams)) return ['teams: expected an array'];
+  if (!isValidTeamCount(data.teams.length)) {
+    return [`teams: ${data.teams.length} teams — expected a number from ${MIN_TEAMS} to ${MAX_TEAMS}`];
+  }
+
+  if (!Number.isInteger(data.week) || data.week < 1 || data.week > TOTAL_WEEKS) {
+    fail('week', `expected a whole number from 1 to ${TOTAL_WEEKS}`);
+  }
+  const swissRounds = swissRoundsFor(data.teams.length);
+  if (!Number.isInteger(data.swissRound) || data.swissRound < 0 || data.swissRound > swissRounds) {
+    fail('swissRound', `expected a whole number from 0 to ${swissRounds}`);
+  }
+  if (!isCount(data.pending)) fail('pending', 'expected a whole number of 0 or more');
+
+  // Team and player names share one namespace, as on the setup screen
+  const names = new Map(); // lower-cased name → path of first use
+  const claim = (name, path) => {
+    const key = name.trim().toLowerCase();
+    if (names.has(key)) fail(path, `duplicate name "${name}" (also ${names.get(key)})`);
+    else names.set(key, path);
+  };
+
+  const teamNames = new Set();
+  data.teams.forEach((t, i) => {
+    const path = `teams[${i}]`;
+    if (!isObject(t)) return fail(path, 'expected an object');
+    if (!isName(t.name)) fail(`${path}.name`, 'expected a non-empty string');
+    else { claim(t.name, `${path}.name`); teamNames.add(t.name); }
+    if (!Array.isArray(t.players) || t.players.length !== PLAYERS_PER_TEAM) {
+      fail(`${path}.players`, `expected ${PLAYERS_PER_TEAM} player names`);
+    } else {
+      t.players.forEach((p, j) => {
+        if (!isName(p)) fail(`${path}.players[${j}]`, 'expected a non-empty string');
+        else claim(p, `${path}.players[${j}]`);
+      });
+    }
+    if (!isObject(t.swiss)) fail(`${path}.swiss`, 'expected an object');
+    else {
+      number(t.swiss, `${path}.swiss`, ['w', 'l', 'pd']);
+      if (!Array.isArray(t.swiss.opps)) fail(`${path}.swiss.opps`, 'expected an array');
+      if (!isObject(t.swiss.h2h)) fail(`${path}.swiss.h2h`, 'expected an object');
+    }
+    if (!isObject(t.bracket)) fail(`${path}.bracket`, 'expected an object');
+    else number(t.bracket, `${path}.bracket`, ['w', 'l', 'pd']);
+  });
+
+  const isTeam = name => teamNames.has(name);
+  data.teams.forEach((t, i) => {
+    if (!isObject(t) || !isObject(t.swiss)) return;
+    (Array.isArray(t.swiss.opps) ? t.swiss.opps : []).forEach((opp, j) => {
+      if (!isTeam(opp)) fail(`teams[${i}].swiss.opps[${j}]`, `unknown team "${opp}"`);
+    });
+    Object.entries(isObject(t.swiss.h2h) ? t.swiss.h2h : {}).forEach(([opp, rec]) => {
+      const path = `teams[${i}].swiss.h2h["${opp}"]`;
+      if (!isTeam(opp)) fail(path, `unknown team "${opp}"`);
+      else if (!isObject(rec)) fail(path, 'expected an object');
+      else number(rec, path, ['w', 'l', 'pf', 'pa']);
+    });
+  });
+
+  // Players: one entry per rostered player, pointing back at their team, plus
+  // substitutes and replaced players (off every roster, listed under the team
+  // they last played for)
+  const rostered = new Map(); // player name → team whose roster lists them
+  data.teams.forEach(t => {
+    if (isObject(t) && Array.isArray(t.players)) t.players.forEach(p => rostered.set(p, t.name));
+  });
+  const listed = new Set();
+  if (!Array.isArray(data.players)) fail('players', 'expected an array');
+  else {
+    data.players.forEach((p, i) => {
+      const path = `players[${i}]`;
+      if (!isObject(p)) return fail(path, 'expected an object');
+      if (!isName(p.name)) return fail(`${path}.name`, 'expected a non-empty string');
+      if (listed.has(p.name)) fail(`${path}.name`, `duplicate player "${p.name}"`);
+      listed.add(p.name);
+      if (!isTeam(p.team)) fail(`${path}.team`, `unknown team "${p.team}"`);
+      else if (rostered.has(p.name) && rostered.get(p.name) !== p.team) {
+        fail(`${path}.team`, `"${p.name}" is on the roster of "${rostered.get(p.name)}", not "${p.team}"`);
+      }
+      if (!rostered.has(p.name)) claim(p.name, `${path}.name`);
+      if (!isObject(p.league)) fail(`${path}.league`, 'expected an object');
+      else number(p.league, `${path}.league`, ['pts', 'w', 'l', 'pd']);
+    });
+    data.teams.forEach((t, i) => {
+      if (!t || !Array.isArray(t.players)) return;
+      t.players.forEach((name, j) => {
+        if (isName(name) && !listed.has(name)) fail(`teams[${i}].players[${j}]`, `"${name}" has no entry in players`);
+      });
+    });
+  }
+
+  // League baseline: { [player]: { pts, w, l, pd } } the archive does not cover
+  if (!isObject(data.leagueBaseline)) fail('leagueBaseline', 'expected an object');
+  else {
+    Object.entries(data.leagueBaseline).forEach(([name, totals]) => {
+      const path = `leagueBaseline["${name}"]`;
+      if (Array.isArray(data.players) && !listed.has(name)) fail(path, `"${name}" has no entry in players`);
+      if (!isObject(totals)) fail(path, 'expected an object');
+      else number(totals, path, ['pts', 'w', 'l', 'pd']);
+    });
+  }
+
+  // Substitutes this week: { [team]: { [rostered player]: substitute } }
+  if (!isObject(data.subs)) fail('subs', 'expected an object');
+  else {
+    const subbing = new Set();
+    Object.entries(data.subs).forEach(([team, slots]) => {
+      const path = `subs["${team}"]`;
+      if (!isTeam(team)) return fail(path, `unknown team "${team}"`);
+      if (!isObject(slots)) return fail(path, 'expected an object');
+      Object.entries(slots).forEach(([player, sub]) => {
+        const subPath = `${path}["${player}"]`;
+        if (rostered.get(player) !== team) fail(subPath, `"${player}" is not on the roster of "${team}"`);
+        if (!isName(sub)) return fail(subPath, 'expected a substitute name');
+        if (rostered.has(sub)) fail(subPath, `"${sub}" is on the roster of "${rostered.get(sub)}"`);
+        else if (!listed.has(sub)) fail(subPath, `"${sub}" has no entry in players`);
+        if (subbing.has(sub)) fail(subPath, `"${sub}" substitutes twice`);
+        subbing.add(sub);
+      });
+    });
+  }
+
+  // Check-in this week: null until taken, then { absent: [rostered players] }
+  if (data.checkIn !== null) {
+    if (!isObject(data.checkIn) || !Array.isArray(data.checkIn.absent)) {
+      fail('checkIn', 'expected null or { absent: [...] }');
+    } else {
+      data.checkIn.absent.forEach((p, i) => {
+        if (!rostered.has(p)) fail(`checkIn.absent[${i}]`, `"${p}" is not on a roster`);
+      });
+    }
+  }
+
+  // Bracket rounds: pairs of team copies (null = bye)
+  if (!Array.isArray(data.bracketRounds)) fail('bracketRounds', 'expected an array');
+  else {
+    data.bracketRounds.forEach((round, r) => {
+      if (!Array.isArray(round)) return fail(`bracketRounds[${r}]`, 'expected an array of pairs');
+      round.forEach((pair, s) => {
+        const path = `bracketRounds[${r}][${s}]`;
+        if (!Array.isArray(pair) || pair.length !== 2) return fail(path, 'expected a pair of teams');
+        pair.forEach((t, k) => {
+          if (t !== null && !(isObject(t) && isTeam(t.name))) {
+            fail(`${path}[${k}]`, `unknown team "${isObject(t) ? t.name : t}"`);
+          }
+        });
+      });
+    });
+  }
+
+  if (!Array.isArray(data.matches)) fail('matches', 'expected an array');
+  else validateMatches(data.matches, 'matches', isTeam, fail);
+
+  // Season playoff: null until it starts
+  if (data.playoff !== null) {
+    const playoff = data.playoff;
+    if (!isObject(playoff)) fail('playoff', 'expected null or an object');
+    else {
+      if (!Array.isArray(playoff.seeds)) fail('playoff.seeds', 'expected an array');
+      else {
+        playoff.seeds.forEach((s, i) => {
+          const path = `playoff.seeds[${i}]`;
+          if (!isObject(s)) return fail(path, 'expected an object');
+          if (s.seed !== i + 1) fail(`${path}.seed`, `expected ${i + 1}`);
+          if (!isTeam(s.team)) fail(`${path}.team`, `unknown team "${s.team}"`);
+          if (!Array.isArray(s.players)) fail(`${path}.players`, 'expected an array');
+        });
+      }
+      if (!Array.isArray(playoff.matches)) fail('playoff.matches', 'expected an array');
+      else validateMatches(playoff.matches, 'playoff.matches', isTeam, fail, ['playoff']);
+      if (playoff.champion !== null) {
+        if (!isObject(playoff.champion)) fail('playoff.champion', 'expected null or an object');
+        else if (!isTeam(playoff.champion.team)) fail('playoff.champion.team', `unknown team "${playoff.champion.team}"`);
+      }
+    }
+  }
+
+  if (!Array.isArray(data.archive)) fail('archive', 'expected an array');
+  else {
+    const weeks = new Set();
+    data.archive.forEach((entry, i) => {
+      const path = `archive[${i}]`;
+      if (!isObject(entry)) return fail(path, 'expected an object');
+      if (!Number.isInteger(entry.week) || entry.week < 1) fail(`${path}.week`, 'expected a week number');
+      else if (weeks.has(entry.week)) fail(`${path}.week`, `week ${entry.week} is archived twice`);
+      weeks.add(entry.week);
+      if (!Array.isArray(entry.swiss)) fail(`${path}.swiss`, 'expected an array');
+      if (!Array.isArray(entry.placements)) fail(`${path}.placements`, 'expected an array');
+      else {
+        entry.placements.forEach((p, j) => {
+          const pPath = `${path}.placements[${j}]`;
+          if (!isObject(p)) return fail(pPath, 'expected an object');
+          if (!isName(p.team)) fail(`${pPath}.team`, 'expected a non-empty string');
+          if (!Array.isArray(p.players)) fail(`${pPath}.players`, 'expected an array');
+          number(p, pPath, ['place', 'pts', 'w', 'l', 'pd']);
+        });
+      }
+      if (entry.attendance !== undefined) {
+        if (!isObject(entry.attendance)) fail(`${path}.attendance`, 'expected an object');
+        else {
+          Object.entries(entry.attendance).forEach(([name, status]) => {
+            if (!ATTENDANCE_STATUSES.includes(status)) {
+              fail(`${path}.attendance["${name}"]`, `expected one of ${ATTENDANCE_STATUSES.join(', ')}`);
+            }
+          });
+        }
+      }
+      // Past weeks keep the names that were played under, so only their shape is checked
+      if (!Array.isArray(entry.matches)) fail(`${path}.matches`, 'expected an array');
+      else validateMatches(entry.matches, `${path}.matches`, isName, fail);
+    });
+  }
+
+  // Audit log: names in old entries may have changed since, so only the shape is checked
+  if (!Array.isArray(data.audit)) fail('audit', 'expected an array');
+  else {
+    const ids = new Set();
+    data.audit.forEach((entry, i) => {
+      const path = `audit[${i}]`;
+      if (!isObject(entry)) return fail(path, 'expected an object');
+      if (!isName(entry.id)) fail(`${path}.id`, 'expected a non-empty string');
+      else if (ids.has(entry.id)) fail(`${path}.id`, `duplicate entry id "${entry.id}"`);
+      ids.add(entry.id);
+      if (typeof entry.at !== 'string' || Number.isNaN(Date.parse(entry.at))) fail(`${path}.at`, 'expected a timestamp');
+      if (!isName(entry.action)) fail(`${path}.action`, 'expected a non-empty string');
+      if (!Number.isInteger(entry.week) || entry.week < 1) fail(`${path}.week`, 'expected a week number');
+      if (typeof entry.summary !== 'string') fail(`${path}.summary`, 'expected a string');
+      if (!Array.isArray(entry.changes)) fail(`${path}.changes`, 'expected an array');
+      else {
+        entry.changes.forEach((c, j) => {
+          if (!isObject(c) || !isName(c.item)) fail(`${path}.changes[${j}]`, 'expected { item, before, after }');
+        });
+      }
+    });
+  }
+
+  return errors;
+}
+
+/** Check match records; isTeam decides which team names are acceptable. */
+function validateMatches(matches, basePath, isTeam, fail, phases = ['swiss', 'bracket']) {
+  const ids = new Set();
+  matches.forEach((m, i) => {
+    const path = `${basePath}[${i}]`;
+    if (!isObject(m)) return fail(path, 'expected an object');
+    if (!isName(m.id)) fail(`${path}.id`, 'expected a non-empty string');
+    else if (ids.has(m.id)) fail(`${path}.id`, `duplicate match id "${m.id}"`);
+    ids.add(m.id);
+    if (!Number.isInteger(m.week) || m.week < 1) fail(`${path}.week`, 'expected a week number');
+    if (!phases.includes(m.phase)) fail(`${path}.phase`, `expected ${phases.map(p => `"${p}"`).join(' or ')}`);
+    if (!Number.isInteger(m.round) || m.round < 1) fail(`${path}.round`, 'expected a round number');
+    if (!['pending', 'submitted', 'bye'].includes(m.status)) {
+      fail(`${path}.status`, 'expected "pending", "submitted" or "bye"');
+    }
+    if (!isTeam(m.teamA)) fail(`${path}.teamA`, `unknown team "${m.teamA}"`);
+    if (m.status === 'bye') {
+      if (m.teamB !== null) fail(`${path}.teamB`, 'a bye has no opponent (expected null)');
+    } else if (!isTeam(m.teamB)) {
+      fail(`${path}.teamB`, `unknown team "${m.teamB}"`);
+    }
+    if (m.bestOf !== 1 && m.bestOf !== 3) fail(`${path}.bestOf`, 'expected 1 or 3');
+    if (m.scoring !== undefined && !SCORING_RULES[m.scoring]) fail(`${path}.scoring`, `unknown scoring rule "${m.scoring}"`);
+    if (!Array.isArray(m.games)) fail(`${path}.games`, 'expected an array');
+    else {
+      m.games.forEach((g, j) => {
+        if (!isObject(g) || !isCount(g.a) || !isCount(g.b)) fail(`${path}.games[${j}]`, 'expected { a, b } scores');
+      });
+      if (m.status === 'submitted' && m.games.length === 0) fail(`${path}.games`, 'a submitted match needs scores');
+    }
+    // Dual-entry score reports only exist while a match is pending
+    if (m.reports !== undefined) {
+      if (!isObject(m.reports) || m.status !== 'pending') fail(`${path}.reports`, 'expected score reports on a pending match');
+      else {
+        Object.entries(m.reports).forEach(([team, games]) => {
+          if (team !== m.teamA && team !== m.teamB) fail(`${path}.reports`, `"${team}" is not playing in this match`);
+          if (!Array.isArray(games) || !games.every(g => isObject(g) && isCount(g.a) && isCount(g.b))) {
+            fail(`${path}.reports["${team}"]`, 'expected { a, b } scores');
+          }
+        });
+      }
+    }
+    if (m.disputed !== undefined && (m.disputed !== true || !isObject(m.reports))) {
+      fail(`${path}.disputed`, 'expected true on a match with score reports');
+    }
+  });
+}
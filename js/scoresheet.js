@@ -0,0 +1,157 @@
+/**
+ * @module scoresheet
+ * @description Score sheets — a CSV of one round's results (round, team A,
+ * team B, each team's points per game) typed up from the captains' paper
+ * sheets. Each team's points get their own column so spreadsheets keep them
+ * as numbers — Excel and Google Sheets turn a cell typed as "11-7" into a
+ * date. Builds a blank sheet for the round being played and checks a filled
+ * one against it before anything is submitted: unknown pairings, duplicates,
+ * scores that break the match's scoring rule and matches already submitted
+ * are flagged row by row. No DOM; the rows that pass go to
+ * Engine.submitResults.
+ */
+import { validateGames, getScoringRule } from './match.js';
+import { parseCSV, readCell, toCSV } from './csvformat.js';
+
+const GAMES = ['Game 1', 'Game 2', 'Game 3'];
+
+/** Columns in sheet order; Game 2 and Game 3 stay empty for single-game matches. */
+const COLUMNS = ['Round', 'Team A', 'Team B', ...GAMES.flatMap(game => [`${game} A`, `${game} B`])];
+
+function phaseLabel(phase) {
+  if (phase === 'playoff') return 'Playoff';
+  return phase === 'swiss' ? 'Swiss' : 'Bracket';
+}
+
+/**
+ * Blank score sheet for a round: one row per match, byes left out.
+ * @param {{phase: string, round: number, matches: Object[]}} round - Engine.getRound() result
+ * @returns {string} CSV text
+ */
+export function scoreSheetCSV(round) {
+  const label = `${phaseLabel(round.phase)} ${round.round}`;
+  const rows = [COLUMNS];
+  round.matches.filter(m => m.status !== 'bye').forEach(m => {
+    const games = m.status === 'submitted' ? m.games : [];
+    rows.push([label, m.teamA, m.teamB, ...GAMES.flatMap((_, i) => (games[i] ? [games[i].a, games[i].b] : ['', '']))]);
+  });
+  return toCSV(rows);
+}
+
+/** "Swiss 2", "bracket 1", "Playoff 1" or a bare "2" → { phase, round }; phase is null when left out. */
+function parseRoundCell(text) {
+  const match = /^(swiss|bracket|playoff)?\s*(?:round\s*)?(\d+)$/i.exec(text.trim());
+  if (!match) return null;
+  return { phase: match[1] ? match[1].toLowerCase() : null, round: parseInt(match[2], 10) };
+}
+
+/** "11-7" (or 11:7, or '11-7 kept as text) → { a: 11, b: 7 }; null if the text is not a score. */
+function parseScoreCell(text) {
+  const match = /^'?(\d+)\s*[-–:]\s*(\d+)$/.exec(text.trim());
+  return match ? { a: parseInt(match[1], 10), b: parseInt(match[2], 10) } : null;
+}
+
+const sameName = (x, y) => x.trim().toLowerCase() === y.trim().toLowerCase();
+
+/**
+ * Check a filled-in score sheet against the round being played.
+ * Teams may be listed in either order; scores are read in the sheet's order
+ * and flipped to the match's team A first.
+ * @param {string} text - CSV text
+ * @param {{week: number, phase: string, round: number, matches: Object[]}} round - Engine.getRound() result
+ * @returns {{rows: Object[], results: Object[], missing: string[]}|{error: string}}
+ *   rows: [{ line, teamA, teamB, scores, problem }] — every sheet row, problem null if it can be submitted;
+ *   results: [{ matchId, games }] for Engine.submitResults;
+ *   missing: "A vs B" for pending matches the sheet leaves out
+ */
+export function previewScoreSheet(text, round) {
+  if (!round.round) return { error: 'No round generated yet this week' };
+  const parsed = parseCSV(text);
+  if (parsed.error) return { error: parsed.error };
+  const { rows, lines } = parsed;
+  if (rows.length < 2) return { error: 'Score sheet is empty' };
+
+  const header = rows[0].map(h => readCell(h).trim().toLowerCase());
+  const index = Object.fromEntries([...COLUMNS, ...GAMES].map(name => [name, header.indexOf(name.toLowerCase())]));
+  // Sheets made before points had a column per team hold "11-7" in one cell per game
+  const combined = index['Game 1 A'] === -1 && index['Game 1'] !== -1;
+  const required = [...COLUMNS.slice(0, 3), ...(combined ? ['Game 1'] : ['Game 1 A', 'Game 1 B'])];
+  for (const name of required) {
+    if (index[name] === -1) return { error: `Line ${lines[0]}: missing column "${name}". Found: ${rows[0].join(', ')}` };
+  }
+  const cell = (row, name) => (index[name] === -1 ? '' : readCell((row[index[name]] ?? '').trim()));
+  /** A game's score as "11-7", "" if left blank, or "11-" when a team's points are missing. */
+  const gameScore = (row, game) => {
+    if (combined) return cell(row, game);
+    const a = cell(row, `${game} A`);
+    const b = cell(row, `${game} B`);
+    return a || b ? `${a}-${b}` : '';
+  };
+
+  const claimed = new Map(); // match id → line of the first row for it
+  const preview = { rows: [], results: [], missing: [] };
+  for (let r = 1; r < rows.length; r++) {
+    const row = rows[r];
+    const entry = {
+      line: lines[r],
+      teamA: cell(row, 'Team A'),
+      teamB: cell(row, 'Team B'),
+      scores: GAMES.map(game => gameScore(row, game)).filter(Boolean).join(', '),
+      problem: null,
+    };
+    preview.rows.push(entry);
+
+    const roundCell = parseRoundCell(cell(row, 'Round'));
+    if (!roundCell) {
+      entry.problem = `Round "${cell(row, 'Round')}" is not a round number`;
+      continue;
+    }
+    if (roundCell.round !== round.round || (roundCell.phase && roundCell.phase !== round.phase)) {
+      entry.problem = `Not the current round (${phaseLabel(round.phase)} ${round.round})`;
+      continue;
+    }
+
+    const record = round.matches.find(m => m.teamB &&
+      ((sameName(m.teamA, entry.teamA) && sameName(m.teamB, entry.teamB)) ||
+       (sameName(m.teamA, entry.teamB) && sameName(m.teamB, entry.teamA))));
+    if (!record) {
+      entry.problem = `Unknown pairing — ${entry.teamA || '?'} and ${entry.teamB || '?'} do not play each other this round`;
+      continue;
+    }
+    if (claimed.has(record.id)) {
+      entry.problem = `Duplicate — this match is already on line ${claimed.get(record.id)}`;
+      continue;
+    }
+    claimed.set(record.id, entry.line);
+    if (record.status === 'submitted') {
+      entry.problem = 'Already submitted — correct it with an admin override';
+      continue;
+    }
+
+    const cells = GAMES.map(game => gameScore(row, game));
+    if (cells.every(c => !c)) {
+      entry.problem = 'No scores entered — the match stays pending';
+      continue;
+    }
+    const bad = cells.findIndex(c => c && !parseScoreCell(c));
+    if (bad !== -1) {
+      entry.problem = combined
+        ? `"${cells[bad]}" is not a score like 11-7`
+        : `${GAMES[bad]}: "${cells[bad]}" is not a score — enter each team's points as a number`;
+      continue;
+    }
+    const flipped = !sameName(record.teamA, entry.teamA);
+    const games = cells.filter(Boolean).map(parseScoreCell).map(g => (flipped ? { a: g.b, b: g.a } : g));
+    const error = validateGames(games, record.bestOf, getScoringRule(record));
+    if (error) {
+      entry.problem = error;
+      continue;
+    }
+    preview.results.push({ matchId: record.id, games });
+  }
+
+  preview.missing = round.matches
+    .filter(m => m.status === 'pending' && !claimed.has(m.id))
+    .map(m => `${m.teamA} vs ${m.teamB}`);
+  return preview;
+}
@@ -6,27 +6,199 @@
  */
 
 /**
- * Compare two players by league standings.
- * Used in: updateLeagueTable, exportLeagueCSV, importLeagueCSV
+ * Head-to-head record of each item against the items it is tied with.
+ * Used in: sortTeamsBySwiss, replaySwiss, sortPlayersByLeague
+ * @param {Array<Object>} items - Teams or players
+ * @param {Function} tieKey - item → value that must match for two items to be tied
+ * @param {Function} recordVs - (item, other) → { w, l } of item against other, or undefined
+ * @returns {Map<Object, {w: number, l: number, tied: number}>} tied = number of other items in the tie
  */
-export function comparePlayersByLeague(a, b) {
-  if (b.league.pts !== a.league.pts) return b.league.pts - a.league.pts;
-  if (b.league.w !== a.league.w) return b.league.w - a.league.w;
-  if (b.league.pd !== a.league.pd) return b.league.pd - a.league.pd;
-  return a.name.localeCompare(b.name);
+export function headToHeadAmongTied(items, tieKey, recordVs) {
+  const result = new Map();
+  items.forEach(item => {
+    const rivals = items.filter(other => other !== item && tieKey(other) === tieKey(item));
+    const record = { w: 0, l: 0, tied: rivals.length };
+    rivals.forEach(other => {
+      const vs = recordVs(item, other);
+      if (vs) {
+        record.w += vs.w;
+        record.l += vs.l;
+      }
+    });
+    result.set(item, record);
+  });
+  return result;
 }
 
 /**
- * Create a comparator for teams by Swiss standings.
- * Requires a buchholz function since it depends on opponent data.
- * Used in: updateSwissTable, exportSwissCSV, startBracket
+ * Head-to-head record of each team against the teams level with it on Swiss wins.
+ * @param {Array<Object>} teams - Teams with swiss.h2h filled in
+ * @returns {Map<Object, {w: number, l: number, tied: number}>}
  */
-export function createTeamSwissComparator(buchholzFn) {
+export function swissHeadToHead(teams) {
+  return headToHeadAmongTied(teams, t => t.swiss.w, (t, other) => (t.swiss.h2h || {})[other.name]);
+}
+
+const h2hMargin = record => (record ? record.w - record.l : 0);
+
+/**
+ * Create a comparator for players by league standings.
+ * Head-to-head among players level on points is applied before wins.
+ * @param {Function} [h2hFn] - player → head-to-head record among tied players
+ */
+export function createPlayerLeagueComparator(h2hFn = () => null) {
+  return function comparePlayers(a, b) {
+    if (b.league.pts !== a.league.pts) return b.league.pts - a.league.pts;
+    const h2h = h2hMargin(h2hFn(b)) - h2hMargin(h2hFn(a));
+    if (h2h) return h2h;
+    if (b.league.w !== a.league.w) return b.league.w - a.league.w;
+    if (b.league.pd !== a.league.pd) return b.league.pd - a.league.pd;
+    return a.name.localeCompare(b.name);
+  };
+}
+
+/**
+ * Compare two players by league standings, ignoring head-to-head.
+ * Use sortPlayersByLeague (standings.js) for the full league order.
+ */
+export const comparePlayersByLeague = createPlayerLeagueComparator();
+
+// --- Swiss Tiebreaker Registry ---
+// Each tiebreaker maps a team to a number (higher ranks first) using a
+// context built once per sort. format() is what tables and exports show.
+
+/**
+ * Build the context Swiss tiebreakers read from.
+ * @param {Array<Object>} allTeams - Every team in the field (opponents are looked up here)
+ * @param {string} [seed=''] - Seed for the coin-flip tiebreaker
+ * @returns {Object} { byName, h2h, seed }
+ */
+export function createTiebreakContext(allTeams, seed = '') {
+  return {
+    byName: new Map(allTeams.map(t => [t.name, t])),
+    h2h: swissHeadToHead(allTeams),
+    seed,
+  };
+}
+
+const opponentsOf = (team, ctx) => team.swiss.opps.map(name => ctx.byName.get(name)).filter(Boolean);
+const sum = values => values.reduce((total, v) => total + v, 0);
+
+/** Deterministic 0–999 value from a string (FNV-1a), so a seeded coin flip survives reloads. */
+function seededRoll(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash % 1000;
+}
+
+/**
+ * Available Swiss tiebreakers, by key. The chain in use is set by
+ * SWISS_TIEBREAK_ORDER in config.js; team name always breaks the last tie.
+ */
+export const SWISS_TIEBREAKERS = {
+  h2h: {
+    label: 'H2H',
+    value: (team, ctx) => h2hMargin(ctx.h2h.get(team)),
+    format: (team, ctx) => {
+      const record = ctx.h2h.get(team);
+      return record && record.tied > 0 ? `${record.w}-${record.l}` : '—';
+    },
+  },
+  buchholz: {
+    label: 'Buchholz',
+    value: (team, ctx) => sum(opponentsOf(team, ctx).map(opp => opp.swiss.w)),
+  },
+  medianBuchholz: {
+    label: 'Median-Buchholz',
+    // Buchholz without the best and worst opponent (once there are 3 or more)
+    value: (team, ctx) => {
+      const wins = opponentsOf(team, ctx).map(opp => opp.swiss.w).sort((x, y) => x - y);
+      return sum(wins.length > 2 ? wins.slice(1, -1) : wins);
+    },
+  },
+  sonnebornBerger: {
+    label: 'Sonneborn-Berger',
+    // Wins of every opponent beaten, once per win against them
+    value: (team, ctx) => sum([...new Set(team.swiss.opps)].map(name => {
+      const opp = ctx.byName.get(name);
+      const vs = (team.swiss.h2h || {})[name];
+      return opp && vs ? vs.w * opp.swiss.w : 0;
+    })),
+  },
+  opponentsPd: {
+    label: 'Opp PD',
+    value: (team, ctx) => sum(opponentsOf(team, ctx).map(opp => opp.swiss.pd)),
+  },
+  pd: {
+    label: 'PD',
+    value: team => team.swiss.pd,
+  },
+  coinFlip: {
+    label: 'Coin Flip',
+    value: (team, ctx) => seededRoll(`${ctx.seed}:${team.name}`),
+  },
+};
+
+/**
+ * Drop unknown keys from a tiebreak chain (unknownTiebreakers lists them).
+ * @param {string[]} keys - Tiebreaker keys, most important first
+ * @returns {string[]}
+ */
+export function resolveTiebreakChain(keys) {
+  return keys.filter(key => SWISS_TIEBREAKERS[key]);
+}
+
+/**
+ * Keys of a tiebreak chain that name no tiebreaker, for the caller to report.
+ * @param {string[]} keys - Tiebreaker keys, most important first
+ * @returns {string[]}
+ */
+export function unknownTiebreakers(keys) {
+  return keys.filter(key => !SWISS_TIEBREAKERS[key]);
+}
+
+/**
+ * Display value of one tiebreaker for a team.
+ * @returns {string}
+ */
+export function formatTiebreak(key, team, ctx) {
+  const tiebreaker = SWISS_TIEBREAKERS[key];
+  return tiebreaker.format ? tiebreaker.format(team, ctx) : String(tiebreaker.value(team, ctx));
+}
+
+/**
+ * Create a comparator for teams by Swiss standings: wins, then each
+ * tiebreaker in the chain, then name.
+ * Used in: sortTeamsBySwiss, replaySwiss
+ * @param {string[]} chain - Tiebreaker keys, most important first
+ * @param {Object} ctx - From createTiebreakContext
+ */
+export function createTeamSwissComparator(chain, ctx) {
+  const cache = new Map();
+  const valueOf = (team, key) => {
+    const id = `${key}:${team.name}`;
+    if (!cache.has(id)) cache.set(id, SWISS_TIEBREAKERS[key].value(team, ctx));
+    return cache.get(id);
+  };
   return function compareTeamsBySwiss(a, b) {
     if (b.swiss.w !== a.swiss.w) return b.swiss.w - a.swiss.w;
-    const bh = buchholzFn(b) - buchholzFn(a);
-    if (bh) return bh;
-    if (b.swiss.pd !== a.swiss.pd) return b.swiss.pd - a.swiss.pd;
+    for (const key of chain) {
+      const diff = valueOf(b, key) - valueOf(a, key);
+      if (diff) return diff;
+    }
     return a.name.localeCompare(b.name);
   };
 }
+
+/**
+ * Which tiebreaker put team a ahead of team b in Swiss order.
+ * @returns {string|null} Tiebreaker label, 'Name', or null if their wins differ
+ */
+export function swissTiebreakUsed(a, b, chain, ctx) {
+  if (a.swiss.w !== b.swiss.w) return null;
+  const key = chain.find(k => SWISS_TIEBREAKERS[k].value(a, ctx) !== SWISS_TIEBREAKERS[k].value(b, ctx));
+  return key ? SWISS_TIEBREAKERS[key].label : 'Name';
+}
@@ -0,0 +1,322 @@
+/**
+ * @module standings
+ * @description Derived league standings — replays archived weeks through the
+ * Swiss, bracket and points rules. League totals are never edited by hand:
+ * correcting a past match score re-derives that week and every later standing,
+ * on top of the league baseline — totals the archive does not cover, from
+ * weeks played before it existed or imported from a league CSV.
+ */
+import * as State from './state.js';
+import {
+  bracketBasePoints, FIRST_PLACE_BONUS, LOSER_POINT_PENALTY,
+  BYE_COUNTS_AS_WIN, BYE_POINT_DIFFERENTIAL, SWISS_TIEBREAK_ORDER, ATTENDANCE_POINTS, tiebreakSeed
+} from './config.js';
+import {
+  createPlayerLeagueComparator, createTeamSwissComparator, createTiebreakContext,
+  resolveTiebreakChain, headToHeadAmongTied, SWISS_TIEBREAKERS
+} from './sorting.js';
+import { validateGames, getMatchWinner, getScoringRule } from './match.js';
+import { attended } from './attendance.js';
+
+// --- Points Rules ---
+
+/**
+ * League points for a final-round bracket result.
+ * @param {number} matchIndex - Index of the final-round match (0 = 1st/2nd place)
+ * @param {boolean} isWinner - Whether the team won that match
+ * @param {number} teamCount - Number of teams in the league that week
+ * @returns {number} Points awarded to each player on the team
+ */
+export function placementPoints(matchIndex, isWinner, teamCount) {
+  const base = bracketBasePoints(teamCount)[matchIndex];
+  if (isWinner) return base + (matchIndex === 0 ? FIRST_PLACE_BONUS : 0);
+  return base - LOSER_POINT_PENALTY;
+}
+
+// --- Week Replay ---
+
+/** Last bracket round played in a week's match records. */
+function finalBracketRound(matches) {
+  return matches
+    .filter(m => m.phase === 'bracket')
+    .reduce((max, m) => Math.max(max, m.round), 0);
+}
+
+/**
+ * Add one match record's result to a name-keyed stats map.
+ * Swiss byes are credited per config; bracket byes only advance the team.
+ */
+function tally(stats, record, trackOpps) {
+  const blank = () => (trackOpps ? { w: 0, l: 0, pd: 0, opps: [], h2h: {} } : { w: 0, l: 0, pd: 0 });
+  if (record.status === 'bye' && record.phase === 'swiss') {
+    const team = stats[record.teamA] || (stats[record.teamA] = blank());
+    if (BYE_COUNTS_AS_WIN) team.w++;
+    team.pd += BYE_POINT_DIFFERENTIAL;
+    return;
+  }
+  if (record.status !== 'submitted') return;
+  const a = stats[record.teamA] || (stats[record.teamA] = blank());
+  const b = stats[record.teamB] || (stats[record.teamB] = blank());
+  const pdA = record.games.reduce((sum, g) => sum + (g.a - g.b), 0);
+  a.pd += pdA;
+  b.pd -= pdA;
+  if (getMatchWinner(record) === record.teamA) { a.w++; b.l++; }
+  else { b.w++; a.l++; }
+  if (trackOpps) {
+    a.opps.push(record.teamB);
+    b.opps.push(record.teamA);
+    const aWon = getMatchWinner(record) === record.teamA;
+    const pointsA = record.games.reduce((sum, g) => sum + g.a, 0);
+    const pointsB = record.games.reduce((sum, g) => sum + g.b, 0);
+    addH2H(a.h2h, record.teamB, aWon, pointsA, pointsB);
+    addH2H(b.h2h, record.teamA, !aWon, pointsB, pointsA);
+  }
+}
+
+function addH2H(h2h, opp, won, pf, pa) {
+  const rec = h2h[opp] || (h2h[opp] = { w: 0, l: 0, pf: 0, pa: 0 });
+  if (won) rec.w++; else rec.l++;
+  rec.pf += pf;
+  rec.pa += pa;
+}
+
+/**
+ * Swiss standings derived from a week's Swiss match records.
+ * @param {Array<Object>} matches - The week's match records
+ * @returns {Array<Object>} [{ seed, team, w, l, pd, buchholz }] in seed order
+ */
+export function replaySwiss(matches) {
+  const stats = {};
+  matches.filter(m => m.phase === 'swiss').forEach(m => tally(stats, m, true));
+
+  const teams = Object.entries(stats).map(([name, swiss]) => ({ name, swiss }));
+  const week = matches.length > 0 ? matches[0].week : 0;
+  const ctx = createTiebreakContext(teams, tiebreakSeed(week));
+  const comparator = createTeamSwissComparator(resolveTiebreakChain(SWISS_TIEBREAK_ORDER), ctx);
+
+  return [...teams].sort(comparator).map((t, i) => ({
+    seed: i + 1,
+    team: t.name,
+    w: t.swiss.w,
+    l: t.swiss.l,
+    pd: t.swiss.pd,
+    buchholz: SWISS_TIEBREAKERS.buchholz.value(t, ctx),
+  }));
+}
+
+/**
+ * Bracket placements derived from a week's bracket match records.
+ * Final-round slot i decides places 2i+1 (winner) and 2i+2 (loser);
+ * a team with a bye in the final round takes the better place alone.
+ * @param {Array<Object>} matches - The week's match records
+ * @param {Object} rosters - Team name → player names who played that week
+ * @returns {Array<Object>} [{ place, team, players, w, l, pd, pts }]
+ */
+export function replayPlacements(matches, rosters) {
+  const stats = {};
+  matches.filter(m => m.phase === 'bracket').forEach(m => tally(stats, m, false));
+
+  const teamCount = Object.keys(rosters).length;
+  const finalRound = finalBracketRound(matches);
+  const finals = matches.filter(m => m.phase === 'bracket' && m.round === finalRound);
+  const placements = [];
+  finals.forEach((m, i) => {
+    const slot = m.slot ?? i;
+    const winner = getMatchWinner(m);
+    const loser = winner === m.teamA ? m.teamB : m.teamA;
+    placements.push(placementEntry(2 * slot + 1, winner, stats, rosters, placementPoints(slot, true, teamCount)));
+    if (loser) {
+      placements.push(placementEntry(2 * slot + 2, loser, stats, rosters, placementPoints(slot, false, teamCount)));
+    }
+  });
+  return placements.sort((x, y) => x.place - y.place);
+}
+
+function placementEntry(place, team, stats, rosters, pts) {
+  const s = stats[team] || { w: 0, l: 0, pd: 0 };
+  return { place, team, players: [...(rosters[team] || [])], w: s.w, l: s.l, pd: s.pd, pts };
+}
+
+/**
+ * Build a week's archive entry from its match records.
+ * @param {number} week - Week number
+ * @param {Array<Object>} matches - The week's match records
+ * @param {Object} rosters - Team name → player names who played that week
+ * @returns {Object} Archive entry { week, finalizedAt, swiss, placements, matches }
+ */
+export function buildWeekEntry(week, matches, rosters) {
+  const copies = matches.map(m => ({ ...m, games: m.games.map(g => ({ ...g })) }));
+  return {
+    week,
+    finalizedAt: new Date().toISOString(),
+    swiss: replaySwiss(copies),
+    placements: replayPlacements(copies, rosters),
+    matches: copies,
+  };
+}
+
+// --- League Standings ---
+
+/**
+ * Sum league totals per player from archived weeks, attendance points
+ * included, on top of a baseline.
+ * @param {Array<Object>} archive - Archive entries
+ * @param {number} [uptoWeek=Infinity] - Last week to include
+ * @param {Object} [baseline={}] - Player name → { pts, w, l, pd } to start from
+ * @returns {Object} Player name → { pts, w, l, pd }
+ */
+export function replayLeague(archive, uptoWeek = Infinity, baseline = {}) {
+  const totals = Object.fromEntries(Object.entries(baseline).map(([name, t]) => [name, { ...t }]));
+  const totalFor = name => totals[name] || (totals[name] = { pts: 0, w: 0, l: 0, pd: 0 });
+  archive.filter(entry => entry.week <= uptoWeek).forEach(entry => {
+    entry.placements.forEach(place => {
+      place.players.forEach(name => {
+        const t = totalFor(name);
+        t.pts += place.pts;
+        t.w += place.w;
+        t.l += place.l;
+        t.pd += place.pd;
+      });
+    });
+    Object.entries(entry.attendance || {}).forEach(([name, status]) => {
+      if (attended(status)) totalFor(name).pts += ATTENDANCE_POINTS;
+    });
+  });
+  return totals;
+}
+
+/**
+ * Re-derive every archived week and overwrite player league totals with the
+ * league baseline plus the archived results.
+ */
+export function recomputeStandings() {
+  State.getArchive().forEach(entry => {
+    const rosters = Object.fromEntries(entry.placements.map(p => [p.team, p.players]));
+    entry.swiss = replaySwiss(entry.matches);
+    entry.placements = replayPlacements(entry.matches, rosters);
+  });
+
+  const totals = replayLeague(State.getArchive(), Infinity, State.getLeagueBaseline());
+  State.getPlayers().forEach(p => {
+    p.league = totals[p.name] ? { ...totals[p.name] } : { pts: 0, w: 0, l: 0, pd: 0 };
+  });
+}
+
+/**
+ * Set players' league totals from outside the archive, e.g. a league CSV.
+ * Whatever the archived weeks do not account for becomes the player's league
+ * baseline, so recomputing the standings keeps the totals.
+ * @param {Object} totals - Player name → { pts, w, l, pd }; players left out keep theirs
+ */
+export function setLeagueTotals(totals) {
+  const archived = replayLeague(State.getArchive());
+  const baseline = { ...State.getLeagueBaseline() };
+  State.getPlayers().forEach(p => {
+    const t = totals[p.name];
+    if (!t) return;
+    const a = archived[p.name] || { pts: 0, w: 0, l: 0, pd: 0 };
+    const rest = { pts: t.pts - a.pts, w: t.w - a.w, l: t.l - a.l, pd: t.pd - a.pd };
+    p.league = { pts: t.pts, w: t.w, l: t.l, pd: t.pd };
+    if (rest.pts || rest.w || rest.l || rest.pd) baseline[p.name] = rest;
+    else delete baseline[p.name];
+  });
+  State.setLeagueBaseline(baseline);
+}
+
+/**
+ * Player-vs-player results from archived weeks. Every match between two teams
+ * counts for each pair of players who played for them that week.
+ * @param {Array<Object>} archive - Archive entries
+ * @param {number} [uptoWeek=Infinity] - Last week to include
+ * @returns {Object} Player name → opponent name → { w, l }
+ */
+export function playerHeadToHead(archive, uptoWeek = Infinity) {
+  const h2h = {};
+  const credit = (name, opp, won) => {
+    const vs = h2h[name] || (h2h[name] = {});
+    const rec = vs[opp] || (vs[opp] = { w: 0, l: 0 });
+    if (won) rec.w++; else rec.l++;
+  };
+  archive.filter(entry => entry.week <= uptoWeek).forEach(entry => {
+    const rosters = Object.fromEntries(entry.placements.map(p => [p.team, p.players]));
+    entry.matches.filter(m => m.status === 'submitted').forEach(m => {
+      const aWon = getMatchWinner(m) === m.teamA;
+      (rosters[m.teamA] || []).forEach(pa => (rosters[m.teamB] || []).forEach(pb => {
+        credit(pa, pb, aWon);
+        credit(pb, pa, !aWon);
+      }));
+    });
+  });
+  return h2h;
+}
+
+/**
+ * Players in league order: points, then head-to-head among players level
+ * on points, then wins, point differential and name.
+ * @param {Array<Object>} players - Player objects with league totals
+ * @param {number} [uptoWeek=Infinity] - Last archived week counted for head-to-head
+ * @returns {Array<Object>} Sorted copy
+ */
+export function sortPlayersByLeague(players, uptoWeek = Infinity) {
+  const h2h = playerHeadToHead(State.getArchive(), uptoWeek);
+  const records = headToHeadAmongTied(players, p => p.league.pts, (p, other) => (h2h[p.name] || {})[other.name]);
+  return [...players].sort(createPlayerLeagueComparator(p => records.get(p)));
+}
+
+/**
+ * League table as it stood after a given week, league baseline included,
+ * sorted by sortPlayersByLeague.
+ * @param {number} week - Last week to include
+ * @returns {Array<Object>} [{ name, team, league }]
+ */
+export function leagueStandingsAfterWeek(week) {
+  const totals = replayLeague(State.getArchive(), week, State.getLeagueBaseline());
+  const players = State.getPlayers()
+    .map(p => ({ name: p.name, team: p.team, league: totals[p.name] || { pts: 0, w: 0, l: 0, pd: 0 } }));
+  return sortPlayersByLeague(players, week);
+}
+
+// --- Correcting a Finished Week ---
+
+/**
+ * Replace the score of an archived match and recompute all standings.
+ * @param {number} week - Archived week number
+ * @param {string} matchId - Match record id
+ * @param {Array<{a: number, b: number}>} games - Corrected game scores
+ * @returns {string|null} Error message, or null on success
+ */
+export function editArchivedMatch(week, matchId, games) {
+  const entry = State.findArchivedWeek(week);
+  const record = entry ? entry.matches.find(m => m.id === matchId) : null;
+  if (!record) return `Match ${matchId} not found in week ${week}`;
+  if (record.status === 'bye') return 'A bye has no score to correct';
+
+  const error = validateGames(games, record.bestOf, getScoringRule(record));
+  if (error) return error;
+
+  // Earlier bracket rounds decided who met in later rounds; flipping their
+  // winner would contradict matches that were actually played.
+  const oldWinner = getMatchWinner(record);
+  const newWinner = getMatchWinner({ ...record, games });
+  const finalRound = finalBracketRound(entry.matches);
+  if (record.phase === 'bracket' && record.round < finalRound && oldWinner !== newWinner) {
+    return 'Cannot change the winner of an early bracket round — later pairings depend on it';
+  }
+
+  State.recordHistory(`Correct Week ${week}: ${record.teamA} vs ${record.teamB}`);
+  record.games = games.map(g => ({ ...g }));
+  record.admin = true;
+  record.editedAt = new Date().toISOString();
+  delete record.forfeit;
+
+  // Keep the live log in step while the finished week is still on screen
+  const live = State.getWeekMatches(week).find(m => m.id === matchId);
+  if (live) {
+    live.games = record.games.map(g => ({ ...g }));
+    live.admin = true;
+    delete live.forfeit;
+  }
+
+  recomputeStandings();
+  return null;
+}
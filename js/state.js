@@ -2,11 +2,17 @@
  * @module state
  * @description Centralized state management with getters, setters, and
  * localStorage persistence. All app state flows through this module —
- * no other module should hold mutable state.
+ * no other module should hold mutable state. Also keeps the undo/redo
+ * history of snapshots taken before each action, and the append-only audit
+ * log, which undo and redo leave alone. Every save is announced to other
+ * tabs of the app (e.g. the projector display) so they can reload.
  */
-import { TOTAL_WEEKS, SWISS_ROUNDS } from './config.js';
+import { TOTAL_WEEKS, HISTORY_LIMIT, swissRoundsFor, bracketRoundsFor } from './config.js';
+import { SCHEMA_VERSION, migrate, validateLeague } from './schema.js';
 
 const STORAGE_KEY = 'leagueState';
+const HISTORY_KEY = 'leagueHistory';
+const CHANNEL_NAME = 'leagueState';
 
 const state = {
   week: 1,
@@ -15,6 +21,13 @@ const state = {
   swissRound: 0,
   pending: 0,
   bracketRounds: [],
+  matches: [],
+  archive: [],
+  leagueBaseline: {},
+  subs: {},
+  checkIn: null,
+  playoff: null,
+  audit: [],
 };
 
 // --- Getters ---
@@ -24,6 +37,13 @@ export function getPlayers() { return state.players; }
 export function getSwissRound() { return state.swissRound; }
 export function getPending() { return state.pending; }
 export function getBracketRounds() { return state.bracketRounds; }
+export function getMatches() { return state.matches; }
+export function getArchive() { return state.archive; }
+export function getLeagueBaseline() { return state.leagueBaseline; }
+export function getSubs() { return state.subs; }
+export function getCheckIn() { return state.checkIn; }
+export function getPlayoff() { return state.playoff; }
+export function getAudit() { return state.audit; }
 
 // --- Setters ---
 export function setWeek(val) { state.week = val; }
@@ -32,25 +52,94 @@ export function setPlayers(val) { state.players = val; }
 export function setSwissRound(val) { state.swissRound = val; }
 export function setPending(val) { state.pending = val; }
 export function setBracketRounds(val) { state.bracketRounds = val; }
+export function setMatches(val) { state.matches = val; }
+export function setArchive(val) { state.archive = val; }
+export function setLeagueBaseline(val) { state.leagueBaseline = val; }
+export function setSubs(val) { state.subs = val; }
+export function setCheckIn(val) { state.checkIn = val; }
+export function setPlayoff(val) { state.playoff = val; }
 
 export function incrementSwissRound() { state.swissRound++; }
 export function decrementPending() { state.pending--; }
 export function incrementPending() { state.pending++; }
 
+// --- Match log ---
+/**
+ * Append a match record to the log.
+ * Records are plain objects so they survive JSON persistence:
+ * { id, week, phase: 'swiss'|'bracket', round, teamA, teamB, bestOf,
+ *   games: [{ a, b }], status: 'pending'|'submitted', admin, submittedAt }
+ */
+export function addMatch(record) {
+  state.matches.push(record);
+  return record;
+}
+
+export function getRoundMatches(week, phase, round) {
+  return state.matches.filter(m => m.week === week && m.phase === phase && m.round === round);
+}
+
+export function getWeekMatches(week) {
+  return state.matches.filter(m => m.week === week);
+}
+
+// --- Audit log ---
+/**
+ * Append an entry to the audit log. Entries are never changed or removed:
+ * { id, at, action, week, summary, changes: [{ item, before, after }] }
+ */
+export function appendAudit(entry) {
+  state.audit.push(entry);
+}
+
+/**
+ * Add entries from a save or backup that the log doesn't have yet (matched
+ * by id), keeping the log in time order.
+ * @param {Object[]} entries - Audit entries
+ */
+export function mergeAudit(entries) {
+  const known = new Set(state.audit.map(e => e.id));
+  const added = (entries || []).filter(e => !known.has(e.id));
+  if (added.length === 0) return;
+  state.audit = [...state.audit, ...added].sort((x, y) => x.at.localeCompare(y.at));
+}
+
+// --- Weekly archive ---
+/**
+ * Store a finished week's results. Replaces any existing entry for that week:
+ * { week, finalizedAt, swiss: [...], placements: [...], matches: [...] }
+ */
+export function archiveWeek(entry) {
+  state.archive = state.archive.filter(w => w.week !== entry.week);
+  state.archive.push(entry);
+  state.archive.sort((x, y) => x.week - y.week);
+}
+
+export function findArchivedWeek(week) {
+  return state.archive.find(w => w.week === week) || null;
+}
+
 // --- Derived state ---
 export function hasTeams() { return state.teams.length > 0; }
 export function hasPlayers() { return state.players.length > 0; }
-export function isSwissComplete() { return state.swissRound === SWISS_ROUNDS; }
+export function getTeamCount() { return state.teams.length; }
+export function getSwissRoundCount() { return swissRoundsFor(state.teams.length); }
+export function getBracketRoundCount() { return bracketRoundsFor(state.teams.length); }
+export function isSwissComplete() { return state.swissRound === getSwissRoundCount(); }
 export function isLeagueComplete() { return state.week >= TOTAL_WEEKS; }
 export function hasBracketStarted() {
   return state.bracketRounds[0] && state.bracketRounds[0].length > 0;
 }
+export function isWeekComplete() {
+  return findArchivedWeek(state.week) !== null;
+}
 
 export function getCurrentPhase() {
-  if (state.swissRound === 0) return 'Ready to Start Swiss';
-  if (state.swissRound > 0 && state.swissRound <= SWISS_ROUNDS) return `Swiss Round ${state.swissRound}`;
+  if (state.playoff) return state.playoff.champion ? 'Season Complete' : 'Season Playoff';
+  if (state.swissRound === 0) return state.checkIn ? 'Ready to Start Swiss' : 'Check-In';
+  if (isWeekComplete()) return 'Week Complete';
   if (hasBracketStarted()) return 'Placement Bracket';
-  return 'Week Complete';
+  return `Swiss Round ${state.swissRound}`;
 }
 
 // --- Find helpers ---
@@ -63,49 +152,247 @@ export function findPlayerByName(name) {
 }
 
 // --- Persistence ---
+/** The persisted part of the state, as plain data. */
+function serialize() {
+  return {
+    version: SCHEMA_VERSION,
+    week: state.week,
+    teams: state.teams,
+    players: state.players,
+    swissRound: state.swissRound,
+    pending: state.pending,
+    bracketRounds: state.bracketRounds,
+    matches: state.matches,
+    archive: state.archive,
+    leagueBaseline: state.leagueBaseline,
+    subs: state.subs,
+    checkIn: state.checkIn,
+    playoff: state.playoff,
+    audit: state.audit,
+  };
+}
+
+// Outside a browser (e.g. the engine under Node) there is nothing to persist to
+const hasStorage = () => typeof localStorage !== 'undefined';
+
 export function save() {
+  if (!hasStorage()) return;
   try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({
-      week: state.week,
-      teams: state.teams,
-      players: state.players,
-      swissRound: state.swissRound,
-      pending: state.pending,
-      bracketRounds: state.bracketRounds,
-    }));
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(serialize()));
   } catch (err) {
     console.error('Failed to save league state:', err);
   }
+  saveHistory();
+  announceSave();
 }
 
+let loadError = null;
+
+/**
+ * Load the saved league, upgrading an older save to the current schema.
+ * A save that fails validation is left in storage untouched and not loaded.
+ * @returns {boolean} True if a league was loaded
+ */
 export function load() {
+  loadError = null;
+  if (!hasStorage()) return false;
   try {
     const raw = localStorage.getItem(STORAGE_KEY);
     if (!raw) return false;
-    const data = JSON.parse(raw);
-    state.week = data.week || 1;
-    state.teams = data.teams || [];
-    state.players = data.players || [];
-    state.swissRound = data.swissRound || 0;
-    state.pending = data.pending || 0;
-    state.bracketRounds = data.bracketRounds || [];
+    const migrated = migrate(JSON.parse(raw));
+    const errors = migrated.error ? [migrated.error] : validateLeague(migrated.data);
+    if (errors.length > 0) {
+      loadError = errors[0];
+      console.error('Saved league data is invalid:', errors);
+      return false;
+    }
+    restoreState(migrated.data);
+    mergeAudit(migrated.data.audit);
+    loadHistory();
     return true;
   } catch (err) {
+    loadError = err.message;
     console.error('Failed to load league state:', err);
     return false;
   }
 }
 
+// --- Live sync between tabs ---
+// A save is announced over a BroadcastChannel; browsers without one still
+// get a storage event in every other tab when the save is written.
+let channel = null;
+
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') channel = new BroadcastChannel(CHANNEL_NAME);
+  return channel;
+}
+
+function announceSave() {
+  const ch = getChannel();
+  if (ch) ch.postMessage({ type: 'saved', week: state.week });
+}
+
+/**
+ * Call handler whenever another tab of the app saves the league (this tab's
+ * own saves are not reported). Read the new state with load().
+ * @param {Function} handler - Called with no arguments
+ * @returns {Function} Unsubscribe function
+ */
+export function onSavedElsewhere(handler) {
+  const ch = getChannel();
+  if (ch) {
+    const listener = e => { if (e.data && e.data.type === 'saved') handler(); };
+    ch.addEventListener('message', listener);
+    return () => ch.removeEventListener('message', listener);
+  }
+  const listener = e => { if (e.key === STORAGE_KEY) handler(); };
+  window.addEventListener('storage', listener);
+  return () => window.removeEventListener('storage', listener);
+}
+
+/** Why the last load() found saved data but could not use it, or null. */
+export function getLoadError() { return loadError; }
+
 export function clearSaved() {
+  if (!hasStorage()) return;
   localStorage.removeItem(STORAGE_KEY);
 }
 
 // --- Bulk restore (for import) ---
+// The audit log is not restored here: undo must not rewind it, and an
+// imported backup's log is merged in with mergeAudit instead.
 export function restoreState(backup) {
   state.week = backup.week || 1;
   state.swissRound = backup.swissRound || 0;
   state.pending = backup.pending || 0;
   state.teams = backup.teams;
   state.players = backup.players;
-  state.bracketRounds = backup.bracketRounds || [];
+  state.bracketRounds = relinkBracketRounds(backup.bracketRounds || []);
+  state.matches = backup.matches || [];
+  state.archive = backup.archive || [];
+  state.leagueBaseline = backup.leagueBaseline || {};
+  state.subs = backup.subs || {};
+  state.checkIn = backup.checkIn || null;
+  state.playoff = backup.playoff || null;
+}
+
+/**
+ * Persisted bracket pairs are JSON copies of the teams; point them back at
+ * the live team objects so bracket results read current stats.
+ */
+function relinkBracketRounds(rounds) {
+  return rounds.map(round => round.map(pair =>
+    pair.map(t => (t && findTeamByName(t.name)) || t)
+  ));
+}
+
+// --- Undo / Redo History ---
+// Each entry is a snapshot of the state taken just before an action, with a
+// label naming the action. Undo swaps the current state for the newest
+// snapshot; redo swaps it back. Redo is cleared when a new action is taken.
+const history = { undo: [], redo: [] };
+
+// Snapshots leave out the audit log, which restoring one never touches
+function takeSnapshot(label, at = new Date().toISOString()) {
+  const { audit, ...data } = serialize();
+  return { label, at, state: JSON.parse(JSON.stringify(data)) };
+}
+
+/**
+ * Snapshot the state before an action so it can be undone.
+ * @param {string} label - What the action does, e.g. "Start placement bracket"
+ */
+export function recordHistory(label) {
+  history.undo.push(takeSnapshot(label));
+  if (history.undo.length > HISTORY_LIMIT) history.undo.shift();
+  history.redo = [];
+}
+
+/**
+ * Add to the label of the newest undo entry, for follow-on effects of the
+ * same action (e.g. a final result that also finalizes the week).
+ * @param {string} suffix - Text appended to the label
+ */
+export function amendHistoryLabel(suffix) {
+  const last = history.undo[history.undo.length - 1];
+  if (last) last.label += suffix;
+}
+
+/**
+ * Take back an action that failed after its snapshot was recorded: restore
+ * the snapshot and drop it, so Undo never lists an action that did not happen.
+ */
+export function rollback() {
+  const entry = history.undo.pop();
+  if (entry) restoreState(entry.state);
+}
+
+/**
+ * Restore the state from before the newest recorded action.
+ * @returns {string|null} Label of the undone action, or null if none
+ */
+export function undo() {
+  const entry = history.undo.pop();
+  if (!entry) return null;
+  history.redo.push(takeSnapshot(entry.label, entry.at));
+  restoreState(entry.state);
+  return entry.label;
+}
+
+/**
+ * Re-apply the most recently undone action.
+ * @returns {string|null} Label of the redone action, or null if none
+ */
+export function redo() {
+  const entry = history.redo.pop();
+  if (!entry) return null;
+  history.undo.push(takeSnapshot(entry.label, entry.at));
+  restoreState(entry.state);
+  return entry.label;
+}
+
+/** Label of the action Undo would revert, or null. */
+export function peekUndo() {
+  const last = history.undo[history.undo.length - 1];
+  return last ? last.label : null;
+}
+
+/** Label of the action Redo would re-apply, or null. */
+export function peekRedo() {
+  const last = history.redo[history.redo.length - 1];
+  return last ? last.label : null;
+}
+
+// History is saved separately so a full snapshot list never blocks saving the
+// league itself; the oldest steps are dropped if storage runs out.
+function saveHistory() {
+  while (true) {
+    try {
+      localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+      return;
+    } catch (err) {
+      if (history.undo.length === 0 && history.redo.length === 0) {
+        console.error('Failed to save undo history:', err);
+        return;
+      }
+      if (history.undo.length > 0) history.undo.shift();
+      else history.redo.shift();
+    }
+  }
+}
+
+// Snapshots saved under an older schema are upgraded too; any that can't be are dropped
+function loadHistory() {
+  const upgrade = entries => (Array.isArray(entries) ? entries : [])
+    .map(entry => ({ ...entry, state: migrate(entry.state).data }))
+    .filter(entry => entry.state);
+  try {
+    const data = JSON.parse(localStorage.getItem(HISTORY_KEY) || 'null');
+    history.undo = upgrade(data && data.undo);
+    history.redo = upgrade(data && data.redo);
+  } catch (err) {
+    console.error('Failed to load undo history:', err);
+    history.undo = [];
+    history.redo = [];
+  }
 }
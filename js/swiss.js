@@ -1,142 +1,234 @@
 /**
  * @module swiss
- * @description Swiss-system tournament logic — pairing algorithm with
- * backtracking to avoid rematches, Buchholz tiebreaker calculation,
- * and round generation with special rules for Rounds 3 and 4.
+ * @description Swiss-system tournament logic — a pairing engine that floats
+ * teams between W-L groups to avoid rematches, standings with the configured
+ * tiebreak chain,
+ * and round generation with special rules for the Best-of-3 decider round
+ * and the final round. Odd fields give one bye per round. Round numbers
+ * scale with the team count (see config).
  */
 import * as State from './state.js';
-import { SWISS_ROUNDS } from './config.js';
-import { createTeamSwissComparator } from './sorting.js';
-import { makeMatch, makeBo3Match } from './match.js';
-import * as UI from './ui.js';
+import {
+  swissDeciderRound, BYE_COUNTS_AS_WIN, BYE_POINT_DIFFERENTIAL,
+  SWISS_TIEBREAK_ORDER, tiebreakSeed
+} from './config.js';
+import {
+  createTeamSwissComparator, createTiebreakContext, resolveTiebreakChain,
+  formatTiebreak, swissTiebreakUsed, SWISS_TIEBREAKERS
+} from './sorting.js';
+import { createMatchRecord, createByeRecord } from './match.js';
 
 // --- Buchholz Tiebreaker ---
 export function buchholz(team) {
   if (!team || !team.swiss || !Array.isArray(team.swiss.opps)) return 0;
-  const teams = State.getTeams();
-  return team.swiss.opps
-    .map(name => teams.find(x => x.name === name))
-    .filter(opp => opp != null)
-    .reduce((sum, opp) => sum + opp.swiss.w, 0);
+  return SWISS_TIEBREAKERS.buchholz.value(team, tiebreakContext());
 }
 
 // --- Sort teams by Swiss standings (single source of truth) ---
+function tiebreakContext() {
+  return createTiebreakContext(State.getTeams(), tiebreakSeed(State.getWeek()));
+}
+
 export function sortTeamsBySwiss(teams) {
   if (!Array.isArray(teams) || teams.length === 0) return [];
-  const comparator = createTeamSwissComparator(buchholz);
+  const comparator = createTeamSwissComparator(resolveTiebreakChain(SWISS_TIEBREAK_ORDER), tiebreakContext());
   return [...teams].sort(comparator);
 }
 
-// --- Swiss Pairing (backtracking to avoid rematches) ---
+/**
+ * Swiss standings with the value of every tiebreaker in the configured chain,
+ * for the Swiss table and CSV export. PD is always a base column, so it is
+ * not repeated as a tiebreaker column.
+ * @returns {{columns: Array<{key: string, label: string}>, rows: Array<Object>}}
+ *   rows: [{ team, values: string[], decidedBy }] in seed order; decidedBy
+ *   names the tiebreaker that put the team above the next one (or null)
+ */
+export function swissStandingsTable() {
+  const chain = resolveTiebreakChain(SWISS_TIEBREAK_ORDER);
+  const ctx = tiebreakContext();
+  const columns = chain.filter(key => key !== 'pd').map(key => ({ key, label: SWISS_TIEBREAKERS[key].label }));
+  const sorted = sortTeamsBySwiss(State.getTeams());
+  const rows = sorted.map((team, i) => ({
+    team,
+    values: columns.map(c => formatTiebreak(c.key, team, ctx)),
+    decidedBy: sorted[i + 1] ? swissTiebreakUsed(team, sorted[i + 1], chain, ctx) : null,
+  }));
+  return { columns, rows };
+}
+
+// --- Swiss Pairing Engine ---
+// A pairing minimises, in order: rematches, then the squared gap between the
+// paired teams' records. Teams float to an adjacent W-L group only when their
+// own group is odd or can't be paired without a rematch, and a rematch is
+// allowed only when no rematch-free pairing of the whole field exists.
+
+/** Cost of one rematch — larger than any possible sum of record gaps. */
+const REMATCH_PENALTY = 10000;
+
+const recordOf = team => `${team.swiss.w}-${team.swiss.l}`;
+const scoreOf = team => team.swiss.w - team.swiss.l;
+
+function pairCost(a, b) {
+  const gap = scoreOf(a) - scoreOf(b);
+  return gap * gap + (a.swiss.opps.includes(b.name) ? REMATCH_PENALTY : 0);
+}
+
+/** Why a pair was chosen, for the match card and console. */
+function pairingReason(a, b, field) {
+  if (a.swiss.opps.includes(b.name)) {
+    return 'Rematch allowed — no rematch-free pairing of this field exists';
+  }
+  if (recordOf(a) === recordOf(b)) return `Same record (${recordOf(a)})`;
+  const groupSize = field.filter(t => recordOf(t) === recordOf(a)).length;
+  const why = groupSize % 2 === 1
+    ? `the ${recordOf(a)} group has an odd number of teams`
+    : 'avoids a rematch';
+  return `Float: ${recordOf(a)} vs ${recordOf(b)} — ${why}`;
+}
+
+/**
+ * Pair a Swiss field with the fewest rematches, then the smallest record gaps.
+ * Ties keep the field's order, so teams meet the next team in their group.
+ * An odd pool leaves one team unpaired — createSwissRound assigns the bye first.
+ * @param {Array<Object>} pool - Teams to pair
+ * @returns {Array<{a: Object, b: Object, rematch: boolean, reason: string}>} Pairs, best record first
+ */
 export function swissPair(pool) {
   if (!Array.isArray(pool) || pool.length < 2) return [];
 
-  const used = new Set();
-  const result = [];
-
-  function backtrack() {
-    if (used.size === pool.length) return true;
-    const a = pool.find(t => !used.has(t));
-    if (!a) return false;
-    used.add(a);
-    for (const b of pool) {
-      if (used.has(b) || a.swiss.opps.includes(b.name)) continue;
-      used.add(b);
-      result.push([a, b]);
-      if (backtrack()) return true;
-      result.pop();
-      used.delete(b);
+  // Best record first; the sort is stable so list order is kept within a group
+  const field = [...pool].sort((x, y) => scoreOf(y) - scoreOf(x));
+  const n = field.length;
+  const memo = new Map(); // bitmask of placed teams → { cost, pick }
+
+  function solve(mask) {
+    if (memo.has(mask)) return memo.get(mask).cost;
+    let i = 0;
+    while (i < n && (mask & (1 << i))) i++;
+    if (i === n) return 0;
+
+    let best = { cost: Infinity, pick: null };
+    for (let j = i + 1; j < n; j++) {
+      if (mask & (1 << j)) continue;
+      const cost = pairCost(field[i], field[j]) + solve(mask | (1 << i) | (1 << j));
+      if (cost < best.cost) best = { cost, pick: j };
+    }
+    // With an odd number of teams left, team i may be the one left out
+    let placed = 0;
+    for (let k = 0; k < n; k++) if (mask & (1 << k)) placed++;
+    if ((n - placed) % 2 === 1) {
+      const cost = solve(mask | (1 << i));
+      if (cost < best.cost) best = { cost, pick: null };
     }
-    used.delete(a);
-    return false;
+    memo.set(mask, best);
+    return best.cost;
+  }
+
+  solve(0);
+
+  const pairs = [];
+  let mask = 0;
+  while (memo.has(mask)) {
+    let i = 0;
+    while (mask & (1 << i)) i++;
+    const { pick } = memo.get(mask);
+    mask |= 1 << i;
+    if (pick === null) continue;
+    mask |= 1 << pick;
+    const a = field[i];
+    const b = field[pick];
+    pairs.push({ a, b, rematch: a.swiss.opps.includes(b.name), reason: pairingReason(a, b, field) });
   }
+  return pairs;
+}
 
-  backtrack();
-  return result;
+// --- Pair a field, collecting rematches that can't be avoided ---
+function pairField(teams, rematches) {
+  const pairs = swissPair(teams);
+  pairs.filter(p => p.rematch).forEach(p => rematches.push(`${p.a.name} vs ${p.b.name}`));
+  return pairs;
 }
 
-// --- Generate Next Swiss Round ---
-export function nextSwissRound() {
-  if (State.getPending() > 0) return;
+// --- Bye assignment ---
+// The lowest-ranked team without a bye this week sits out; among those,
+// teams with the fewest byes earlier in the season go first.
+function pickByeTeam(teams) {
+  const seasonByes = name => State.getArchive().reduce((n, entry) =>
+    n + entry.matches.filter(m => m.phase === 'swiss' && m.status === 'bye' && m.teamA === name).length, 0);
+  const lowestFirst = sortTeamsBySwiss(teams).reverse();
+  const fresh = lowestFirst.filter(t => !t.swiss.byes);
+  const candidates = fresh.length > 0 ? fresh : lowestFirst;
+  return [...candidates].sort((x, y) => seasonByes(x.name) - seasonByes(y.name))[0];
+}
+
+function addSwissBye(team) {
+  const record = createByeRecord(team, 'swiss', State.getSwissRound());
+  record.note = team.swiss.byes
+    ? 'Bye — every team in this round has already had one'
+    : 'Bye — lowest-ranked team without a bye this week';
+  if (BYE_COUNTS_AS_WIN) team.swiss.w++;
+  team.swiss.pd += BYE_POINT_DIFFERENTIAL;
+  team.swiss.byes = (team.swiss.byes || 0) + 1;
+}
 
+/** Give an odd field's bye and return the teams left to pair. */
+function assignBye(teams) {
+  if (teams.length % 2 === 0) return teams;
+  const byeTeam = pickByeTeam(teams);
+  addSwissBye(byeTeam);
+  return teams.filter(t => t !== byeTeam);
+}
+
+// --- Log a pending Swiss match ---
+function addSwissMatch(a, b, bestOf = 1, note = null) {
+  const record = createMatchRecord(a, b, 'swiss', State.getSwissRound(), bestOf);
+  if (note) record.note = note;
+  State.incrementPending();
+}
+
+// --- Generate Next Swiss Round ---
+/**
+ * Pair the next Swiss round and log its matches (and bye, for an odd field).
+ * The caller checks that the previous round is finished.
+ * @returns {{round: number, rematches: string[]}} The new round number and
+ *   any rematches that had to be allowed ("Team A vs Team B")
+ */
+export function createSwissRound() {
   State.incrementSwissRound();
   State.setPending(0);
 
   const swissRound = State.getSwissRound();
   const teams = State.getTeams();
-  const week = State.getWeek();
-
-  if (!Array.isArray(teams) || teams.length === 0) {
-    console.warn('No teams available for Swiss round');
-    return;
-  }
+  const deciderRound = swissDeciderRound(teams.length);
+  const rematches = [];
 
-  // Group teams into pools by win-loss record
-  const pools = {};
-  teams.forEach(t => {
-    const key = `${t.swiss.w}-${t.swiss.l}`;
-    if (!pools[key]) pools[key] = [];
-    pools[key].push(t);
-  });
-
-  const roundEl = UI.createRoundElement(`Week ${week} – Swiss Round ${swissRound}`);
-
-  if (swissRound === 3) {
-    // Round 3: 2-0 and 0-2 play bo3, 1-1 play single
-    if (pools['2-0']) {
-      swissPair(pools['2-0']).forEach(([a, b]) => {
-        roundEl.appendChild(makeBo3Match(a, b, true));
-        State.incrementPending();
-      });
-    }
-    if (pools['1-1']) {
-      pools['1-1'].forEach(t => t.swiss.playR4 = true);
-      swissPair(pools['1-1']).forEach(([a, b]) => {
-        roundEl.appendChild(makeMatch(a, b, true));
-        State.incrementPending();
-      });
-    }
-    if (pools['0-2']) {
-      swissPair(pools['0-2']).forEach(([a, b]) => {
-        roundEl.appendChild(makeBo3Match(a, b, true));
-        State.incrementPending();
-      });
-    }
-  } else if (swissRound === 4) {
-    // Round 4: only the 4 teams that played single games in Round 3
-    const r4teams = teams.filter(t => t.swiss.playR4);
-    if (r4teams.length === 4) {
-      const winners = r4teams.filter(t => t.swiss.w === 2 && t.swiss.l === 1);
-      const losers = r4teams.filter(t => t.swiss.w === 1 && t.swiss.l === 2);
-
-      if (winners.length === 2) {
-        swissPair(winners).forEach(([a, b]) => {
-          roundEl.appendChild(makeMatch(a, b, true));
-          State.incrementPending();
-        });
-      }
-      if (losers.length === 2) {
-        swissPair(losers).forEach(([a, b]) => {
-          roundEl.appendChild(makeMatch(a, b, true));
-          State.incrementPending();
-        });
+  if (swissRound === deciderRound) {
+    // Decider: unbeaten-vs-unbeaten and winless-vs-winless play Bo3,
+    // everyone else plays a single game and returns for the final round
+    pairField(assignBye(teams), rematches).forEach(({ a, b, reason }) => {
+      const unbeaten = a.swiss.l === 0 && b.swiss.l === 0;
+      const winless = a.swiss.w === 0 && b.swiss.w === 0;
+      if (unbeaten || winless) {
+        addSwissMatch(a, b, 3, reason);
+      } else {
+        a.swiss.playFinalRound = true;
+        b.swiss.playFinalRound = true;
+        addSwissMatch(a, b, 1, reason);
       }
-      r4teams.forEach(t => delete t.swiss.playR4);
-    } else {
-      console.warn(`Round 4 expected 4 teams, found ${r4teams.length}`);
-    }
+    });
+  } else if (swissRound > deciderRound) {
+    // Final round: only the teams that played single games in the decider
+    const finalists = teams.filter(t => t.swiss.playFinalRound);
+    pairField(assignBye(finalists), rematches).forEach(({ a, b, reason }) => {
+      addSwissMatch(a, b, 1, reason);
+    });
+    finalists.forEach(t => delete t.swiss.playFinalRound);
   } else {
-    // Rounds 1-2: everyone plays single game
-    Object.values(pools).forEach(pool => {
-      swissPair(pool).forEach(([a, b]) => {
-        roundEl.appendChild(makeMatch(a, b, true));
-        State.incrementPending();
-      });
+    // Opening rounds: everyone plays a single game
+    pairField(assignBye(teams), rematches).forEach(({ a, b, reason }) => {
+      addSwissMatch(a, b, 1, reason);
     });
   }
 
-  UI.appendRound(roundEl);
-  UI.scrollToElement(roundEl);
-  UI.updateStatus();
-  UI.disableNextSwiss();
+  return { round: swissRound, rematches };
 }
@@ -1,13 +1,17 @@
 /**
  * @module ui
  * @description All DOM manipulation — notifications, status indicator,
- * table rendering, button state management, and content area helpers.
+ * table rendering, button state management, content area helpers, the
+ * projector display's panels and the phone score page.
  * No business logic lives here; this module only reads state and updates the DOM.
  */
 import * as State from './state.js';
-import { SWISS_ROUNDS } from './config.js';
-import { comparePlayersByLeague } from './sorting.js';
-import { buchholz, sortTeamsBySwiss } from './swiss.js';
+import { swissStandingsTable } from './swiss.js';
+import { leagueStandingsAfterWeek, sortPlayersByLeague } from './standings.js';
+import { attendanceRecord } from './attendance.js';
+import { playoffSize, playoffRoundName, playoffRoundCount } from './playoff.js';
+import { disputedMatches, getMatchWinner } from './match.js';
+import { AUDIT_ACTIONS, filterAudit } from './audit.js';
 
 // --- Safe DOM element getter ---
 function getEl(id) {
@@ -35,6 +39,84 @@ export function showNotification(message, duration = 2000) {
   }, duration);
 }
 
+// --- Team Setup Inputs ---
+/**
+ * Show one group of name inputs per team; values are kept when resizing.
+ * @param {number} count - Number of teams
+ */
+export function renderTeamInputs(count) {
+  const container = getEl('teamInputs');
+  if (!container) return;
+  const groups = container.querySelectorAll('.team-group');
+
+  for (let i = groups.length; i > count; i--) groups[i - 1].remove();
+  for (let i = groups.length + 1; i <= count; i++) {
+    const group = document.createElement('div');
+    group.className = 'team-group';
+    group.innerHTML = `
+      <div class="team-group-label">Team ${i}</div>
+      <input type="text" placeholder="Team Name" class="teamInput teamName" data-team="${i}">
+      <input type="text" placeholder="Player 1 Name" class="teamInput player1" data-team="${i}">
+      <input type="text" placeholder="Player 2 Name" class="teamInput player2" data-team="${i}">
+    `;
+    container.appendChild(group);
+  }
+}
+
+/**
+ * Resize the setup inputs to a roster and fill in its names.
+ * @param {Array<{name: string, players: string[]}>} roster - Teams in entry order
+ */
+export function fillTeamInputs(roster) {
+  const countInput = getEl('teamCountInput');
+  if (countInput) countInput.value = roster.length;
+  renderTeamInputs(roster.length);
+  roster.forEach((team, i) => {
+    const set = (cls, value) => {
+      const input = document.querySelector(`.${cls}[data-team="${i + 1}"]`);
+      if (input) {
+        input.value = value;
+        input.classList.remove('error');
+      }
+    };
+    set('teamName', team.name);
+    set('player1', team.players[0]);
+    set('player2', team.players[1]);
+  });
+}
+
+/**
+ * Names typed into the setup inputs.
+ * @returns {Array<{name: string, players: string[]}>} Teams in entry order (trimmed)
+ */
+export function readTeamInputs() {
+  const value = (cls, i) => {
+    const input = document.querySelector(`.${cls}[data-team="${i}"]`);
+    return input ? input.value.trim() : '';
+  };
+  const roster = [];
+  for (let i = 1; i <= document.querySelectorAll('.teamName').length; i++) {
+    roster.push({ name: value('teamName', i), players: [value('player1', i), value('player2', i)] });
+  }
+  return roster;
+}
+
+/** List this week's substitutes and absent players under the roster buttons. */
+export function updateRosterNotes() {
+  const notes = getEl('rosterNotes');
+  if (!notes) return;
+  const subs = State.getSubs();
+  const lines = Object.entries(subs).flatMap(([team, slots]) =>
+    Object.entries(slots).map(([player, sub]) => `${escapeHtml(sub)} for ${escapeHtml(player)} (${escapeHtml(team)})`));
+  const subbed = new Set(Object.values(subs).flatMap(slots => Object.keys(slots)));
+  const absent = (State.getCheckIn() ? State.getCheckIn().absent : []).filter(p => !subbed.has(p));
+  const parts = [];
+  if (lines.length > 0) parts.push(`substitutes: ${lines.join(', ')}`);
+  if (absent.length > 0) parts.push(`absent: ${absent.map(escapeHtml).join(', ')}`);
+  notes.style.display = parts.length > 0 ? 'block' : 'none';
+  notes.innerHTML = parts.length > 0 ? `Week ${State.getWeek()} ${parts.join(' · ')}` : '';
+}
+
 // --- Status Indicator ---
 export function updateStatus() {
   const indicator = getEl('statusIndicator');
@@ -43,6 +125,7 @@ export function updateStatus() {
   const pendingEl = getEl('statusPending');
   const pendingCountEl = getEl('statusPendingCount');
 
+  updateHistoryButtons();
   if (!indicator) return;
 
   if (!State.hasTeams()) {
@@ -59,6 +142,10 @@ export function updateStatus() {
     if (pending > 0) {
       pendingEl.style.display = 'block';
       if (pendingCountEl) pendingCountEl.textContent = pending;
+      // Disputed matches stay pending until an admin resolves them
+      const disputedEl = getEl('statusDisputed');
+      const disputed = disputedMatches().length;
+      if (disputedEl) disputedEl.textContent = disputed > 0 ? ` · ${disputed} disputed — resolve with ⚙` : '';
     } else {
       pendingEl.style.display = 'none';
     }
@@ -68,14 +155,21 @@ export function updateStatus() {
 // --- Table Updates ---
 export function updateSwissTable() {
   const tbody = getQuery('#swissTable tbody');
+  const thead = getQuery('#swissTable thead');
   if (!tbody) return;
   tbody.innerHTML = '';
-  const sorted = sortTeamsBySwiss(State.getTeams());
-  sorted.forEach((t, i) => {
+  const { columns, rows } = swissStandingsTable();
+  if (thead) {
+    thead.innerHTML = `<tr><th>Seed</th><th>Team</th><th>W</th><th>L</th><th>PD</th>
+      ${columns.map(c => `<th>${escapeHtml(c.label)}</th>`).join('')}<th>Tiebreak</th></tr>`;
+  }
+  rows.forEach(({ team: t, values, decidedBy }, i) => {
+    const next = rows[i + 1];
     const row = document.createElement('tr');
     row.innerHTML = `<td>${i + 1}</td><td>${escapeHtml(t.name)}</td>
-      <td>${t.swiss.w}</td><td>${t.swiss.l}</td>
-      <td>${t.swiss.pd}</td><td>${buchholz(t)}</td>`;
+      <td>${t.swiss.w}</td><td>${t.swiss.l}</td><td>${t.swiss.pd}</td>
+      ${values.map(v => `<td>${escapeHtml(v)}</td>`).join('')}
+      <td>${decidedBy ? `${escapeHtml(decidedBy)} over ${escapeHtml(next.team.name)}` : ''}</td>`;
     tbody.appendChild(row);
   });
 }
@@ -84,16 +178,435 @@ export function updateLeagueTable() {
   const tbody = getQuery('#leagueTable tbody');
   if (!tbody) return;
   tbody.innerHTML = '';
-  const sorted = [...State.getPlayers()].sort(comparePlayersByLeague);
+  const sorted = sortPlayersByLeague(State.getPlayers());
+  const subbing = new Set(Object.values(State.getSubs()).flatMap(slots => Object.values(slots)));
+  const attendance = attendanceRecord(State.getArchive());
   sorted.forEach((p, i) => {
     const row = document.createElement('tr');
-    row.innerHTML = `<td>${i + 1}</td><td>${escapeHtml(p.name)} <span class="player-team">(${escapeHtml(p.team)})</span></td>
+    const team = `${escapeHtml(p.team)}${subbing.has(p.name) ? ' · sub' : ''}`;
+    const att = attendance[p.name];
+    row.innerHTML = `<td>${i + 1}</td><td>${escapeHtml(p.name)} <span class="player-team">(${team})</span></td>
       <td>${p.league.pts}</td><td>${p.league.w}</td>
-      <td>${p.league.l}</td><td>${p.league.pd}</td>`;
+      <td>${p.league.l}</td><td>${p.league.pd}</td>
+      <td>${att ? `${att.attended}/${att.weeks}` : '–'}</td>`;
     tbody.appendChild(row);
   });
 }
 
+// --- Past Weeks Browser ---
+export function updatePastWeeks() {
+  const select = getEl('pastWeekSelect');
+  if (!select) return;
+  const archive = State.getArchive();
+  const current = parseInt(select.value);
+
+  select.innerHTML = archive
+    .map(w => `<option value="${w.week}">Week ${w.week}</option>`)
+    .join('');
+  select.disabled = archive.length === 0;
+
+  if (archive.length === 0) {
+    renderPastWeek(null);
+    return;
+  }
+  const selected = archive.some(w => w.week === current) ? current : archive[archive.length - 1].week;
+  select.value = String(selected);
+  renderPastWeek(selected);
+}
+
+export function getSelectedPastWeek() {
+  const select = getEl('pastWeekSelect');
+  return select && select.value ? parseInt(select.value) : null;
+}
+
+export function renderPastWeek(week) {
+  const view = getEl('pastWeekView');
+  if (!view) return;
+  const entry = week == null ? null : State.findArchivedWeek(week);
+  if (!entry) {
+    view.innerHTML = '<p class="past-week-empty">No finished weeks yet</p>';
+    return;
+  }
+
+  const placementRows = entry.placements.map(p => `<tr><td>${p.place}</td>
+    <td>${escapeHtml(p.team)} <span class="player-team">(${p.players.map(escapeHtml).join(', ')})</span></td>
+    <td>${p.w}</td><td>${p.l}</td><td>${p.pd}</td><td>${p.pts}</td></tr>`).join('');
+
+  const swissRows = entry.swiss.map(t => `<tr><td>${t.seed}</td><td>${escapeHtml(t.team)}</td>
+    <td>${t.w}</td><td>${t.l}</td><td>${t.pd}</td><td>${t.buchholz}</td></tr>`).join('');
+
+  // Group matches by phase and round, in play order
+  const groups = [];
+  entry.matches.forEach(m => {
+    const title = `${m.phase === 'swiss' ? 'Swiss' : 'Bracket'} Round ${m.round}`;
+    let group = groups.find(g => g.title === title);
+    if (!group) groups.push(group = { title, matches: [] });
+    group.matches.push(m);
+  });
+  const matchGroups = groups.map(g => `
+    <div class="past-week-round">
+      <div class="past-week-round-title">${escapeHtml(g.title)}</div>
+      ${g.matches.map(m => m.status === 'bye'
+        ? `<div class="past-week-match">
+        <strong>${escapeHtml(m.teamA)}</strong>
+        <span class="past-week-score">bye</span>
+      </div>`
+        : `<div class="past-week-match">
+        <strong>${escapeHtml(m.teamA)}</strong>
+        <span class="past-week-score">${m.games.map(gm => `${gm.a}-${gm.b}`).join(', ')}${m.forfeit ? ' (forfeit)' : ''}</span>
+        <strong>${escapeHtml(m.teamB)}</strong>
+        <span class="admin past-week-edit" data-match="${escapeHtml(m.id)}" title="Admin: Correct Score">⚙</span>
+      </div>`).join('')}
+    </div>`).join('');
+
+  const leagueRows = leagueStandingsAfterWeek(entry.week).map((p, i) => `<tr><td>${i + 1}</td>
+    <td>${escapeHtml(p.name)} <span class="player-team">(${escapeHtml(p.team)})</span></td>
+    <td>${p.league.pts}</td><td>${p.league.w}</td><td>${p.league.l}</td><td>${p.league.pd}</td></tr>`).join('');
+
+  // Weeks played before check-in existed have no attendance to show
+  const away = Object.entries(entry.attendance || {})
+    .filter(([, status]) => status === 'absent' || status === 'subbed')
+    .map(([name, status]) => `${escapeHtml(name)}${status === 'subbed' ? ' (subbed)' : ''}`);
+  const attendanceNote = entry.attendance
+    ? `<p class="past-week-attendance">Absent: ${away.length > 0 ? away.join(', ') : 'nobody'}</p>`
+    : '';
+
+  view.innerHTML = `
+    <h3>Week ${entry.week} Placements</h3>
+    ${attendanceNote}
+    <table>
+      <thead><tr><th>Place</th><th>Team</th><th>W</th><th>L</th><th>PD</th><th>Pts</th></tr></thead>
+      <tbody>${placementRows}</tbody>
+    </table>
+    <h3>Week ${entry.week} Swiss Standings</h3>
+    <table>
+      <thead><tr><th>Seed</th><th>Team</th><th>W</th><th>L</th><th>PD</th><th>Buchholz</th></tr></thead>
+      <tbody>${swissRows}</tbody>
+    </table>
+    <h3>League Standings after Week ${entry.week}</h3>
+    <table>
+      <thead><tr><th>Rank</th><th>Player</th><th>Pts</th><th>W</th><th>L</th><th>PD</th></tr></thead>
+      <tbody>${leagueRows}</tbody>
+    </table>
+    <h3>Week ${entry.week} Matches</h3>
+    <div class="past-week-matches">${matchGroups}</div>`;
+}
+
+// --- Audit Log ---
+
+/** Entries the audit view shows at once; the CSV export has them all. */
+const AUDIT_SHOWN = 100;
+
+/**
+ * The audit view's current filters.
+ * @returns {{action: string, week: number|undefined, text: string}}
+ */
+export function readAuditFilters() {
+  const action = getEl('auditActionFilter');
+  const week = getEl('auditWeekFilter');
+  const search = getEl('auditSearchInput');
+  return {
+    action: action ? action.value : '',
+    week: week && week.value ? parseInt(week.value) : undefined,
+    text: search ? search.value : '',
+  };
+}
+
+/** Refresh the filter choices and redraw the audit log, newest first. */
+export function updateAuditLog() {
+  const view = getEl('auditLogView');
+  const actionSelect = getEl('auditActionFilter');
+  const weekSelect = getEl('auditWeekFilter');
+  if (!view || !actionSelect || !weekSelect) return;
+
+  const { action, week } = readAuditFilters();
+  actionSelect.innerHTML = '<option value="">All actions</option>' + Object.entries(AUDIT_ACTIONS)
+    .map(([key, label]) => `<option value="${key}">${escapeHtml(label)}</option>`).join('');
+  actionSelect.value = action;
+  const weeks = [...new Set(State.getAudit().map(e => e.week))].sort((x, y) => x - y);
+  weekSelect.innerHTML = '<option value="">All weeks</option>' +
+    weeks.map(w => `<option value="${w}">Week ${w}</option>`).join('');
+  weekSelect.value = weeks.includes(week) ? String(week) : '';
+
+  const entries = filterAudit(readAuditFilters());
+  if (entries.length === 0) {
+    const logged = State.getAudit().length > 0;
+    view.innerHTML = `<p class="past-week-empty">${logged ? 'No entries match these filters' : 'Nothing logged yet'}</p>`;
+    return;
+  }
+
+  const rows = entries.slice(0, AUDIT_SHOWN).map(e => {
+    const changes = e.changes.map(c => `<li><strong>${escapeHtml(c.item)}</strong>:
+      ${escapeHtml(c.before ?? '—')} → ${escapeHtml(c.after ?? '—')}</li>`).join('');
+    return `<tr>
+      <td class="audit-time">${escapeHtml(new Date(e.at).toLocaleString())}</td>
+      <td>${escapeHtml(AUDIT_ACTIONS[e.action] || e.action)}</td>
+      <td>${e.week}</td>
+      <td>${escapeHtml(e.summary)}${changes ? `<ul class="audit-changes">${changes}</ul>` : ''}</td>
+    </tr>`;
+  }).join('');
+  const more = entries.length > AUDIT_SHOWN
+    ? `<p class="audit-note">Showing the newest ${AUDIT_SHOWN} of ${entries.length} entries — Export CSV has them all</p>`
+    : '';
+  view.innerHTML = `
+    <table>
+      <thead><tr><th>Time</th><th>Action</th><th>Week</th><th>What Changed</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>${more}`;
+}
+
+// --- Season Finale ---
+
+/**
+ * Build the season finale: the champion and the playoff's final standings.
+ * @param {Object} playoff - Engine.getPlayoff() result, with a champion
+ * @returns {HTMLElement}
+ */
+export function renderSeasonFinale(playoff) {
+  const { champion, standings } = playoff;
+  const el = document.createElement('div');
+  el.className = 'round season-finale';
+  const rows = standings.map(s => `<tr${s.place === 1 ? ' class="finale-champion-row"' : ''}>
+    <td>${s.place ?? '–'}</td>
+    <td>${escapeHtml(s.team)} <span class="player-team">(${s.players.map(escapeHtml).join(', ')})</span></td>
+    <td>${s.seed}</td><td>${escapeHtml(s.result)}</td></tr>`).join('');
+  el.innerHTML = `
+    <h3>Season Finale</h3>
+    <div class="finale-champion">
+      <div class="finale-trophy">🏆</div>
+      <div class="finale-team">${escapeHtml(champion.team)}</div>
+      <div class="finale-players">${champion.players.map(escapeHtml).join(' · ')}</div>
+      <div class="finale-seed">League Champion · Seed ${champion.seed}</div>
+    </div>
+    <table>
+      <thead><tr><th>Place</th><th>Team</th><th>Seed</th><th>Result</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>`;
+  return el;
+}
+
+// --- Projector Display ---
+
+/** One match of the display's round panel: pairing, then score or state. */
+function displayMatchRow(m) {
+  if (m.status === 'bye') {
+    return `<div class="display-match"><strong>${escapeHtml(m.teamA)}</strong>
+      <span class="display-score display-score--muted">bye</span><span></span></div>`;
+  }
+  const winner = m.status === 'submitted' ? getMatchWinner(m) : null;
+  const team = name => `<strong class="${winner === name ? 'display-winner' : ''}">${escapeHtml(name)}</strong>`;
+  let score = '<span class="display-score display-score--muted">vs</span>';
+  if (m.status === 'submitted') {
+    const games = m.games.map(g => `${g.a}-${g.b}`).join(', ');
+    score = `<span class="display-score">${games}${m.forfeit ? ' (forfeit)' : ''}</span>`;
+  } else if (m.disputed) {
+    score = '<span class="display-score display-score--muted">disputed</span>';
+  }
+  return `<div class="display-match">${team(m.teamA)}${score}${team(m.teamB)}</div>`;
+}
+
+/**
+ * Draw every panel of the projector display from the current state.
+ * @param {Object|null} round - Engine.getRound(), or null when there is no league
+ * @param {Object|null} playoff - Engine.getPlayoff()
+ * @returns {string[]} Names of the panels with something to show, in rotation order
+ */
+export function renderDisplay(round, playoff) {
+  const weekEl = getEl('displayWeek');
+  const phaseEl = getEl('displayPhase');
+  const empty = getEl('displayEmpty');
+  if (empty) empty.style.display = round ? 'none' : 'block';
+  if (!round) {
+    if (weekEl) weekEl.textContent = '';
+    if (phaseEl) phaseEl.textContent = '';
+    return [];
+  }
+  if (weekEl) weekEl.textContent = `Week ${State.getWeek()}`;
+  if (phaseEl) phaseEl.textContent = State.getCurrentPhase();
+
+  const panels = [];
+  const roundEl = getEl('displayRound');
+  if (roundEl && round.matches.length > 0) {
+    roundEl.innerHTML = `<h2>${escapeHtml(roundTitle(round.week, round.phase, round.round))}</h2>
+      <div class="display-matches">${round.matches.map(displayMatchRow).join('')}</div>`;
+    panels.push('round');
+  }
+  updateSwissTable();
+  updateLeagueTable();
+  panels.push('swiss', 'league');
+
+  const finaleEl = getEl('displayFinale');
+  if (finaleEl) {
+    finaleEl.innerHTML = '';
+    if (playoff && playoff.champion) {
+      finaleEl.appendChild(renderSeasonFinale(playoff));
+      panels.unshift('finale');
+    }
+  }
+  return panels;
+}
+
+/**
+ * Show one panel of the projector display and hide the rest.
+ * @param {string|null} name - Panel name, or null to hide them all
+ */
+export function showDisplayPanel(name) {
+  document.querySelectorAll('.display-panel').forEach(el => {
+    el.classList.toggle('display-panel--active', el.dataset.panel === name);
+  });
+}
+
+// --- Phone Scoring ---
+
+/**
+ * Say where players send scores from their phones, under the league buttons.
+ * @param {{local: boolean, urls: string[]}} server - bin/server.js's /api/ping answer
+ */
+export function updatePhoneScoring({ local, urls }) {
+  const el = getEl('phoneScoring');
+  if (!el) return;
+  el.style.display = 'block';
+  if (!local) {
+    el.textContent = '📱 Scores sent from phones are taken by the league page on the server laptop';
+  } else if (urls.length === 0) {
+    el.textContent = '📱 Phone scoring is on — connect this laptop to the venue Wi-Fi so phones can reach it';
+  } else {
+    el.innerHTML = `📱 Phone scoring is on — players open ${urls.map(u => `<strong>${escapeHtml(u)}</strong>`).join(' or ')}
+      <div id="phoneCodes" class="phone-codes"></div>`;
+  }
+}
+
+/**
+ * List each team's code for reporting scores from a phone (dual-entry
+ * scoring), for the organizer to hand to the captains.
+ * @param {{week: number|null, codes: Array<{team: string, code: string}>}} codes - From bin/server.js
+ */
+export function updatePhoneCodes({ week, codes }) {
+  const el = getEl('phoneCodes');
+  if (!el) return;
+  el.innerHTML = codes.length === 0 ? '' : `Week ${week} team codes — give each captain only their own:
+    ${codes.map(c => `<span class="phone-code-chip">${escapeHtml(c.team)} <strong>${escapeHtml(c.code)}</strong></span>`).join(' ')}`;
+}
+
+/** One match of the phone page's list; pending matches are buttons that open the score form. */
+function phoneMatchRow(m, dualEntry) {
+  if (m.status === 'bye') {
+    return `<div class="phone-match phone-match--done"><strong>${escapeHtml(m.teamA)}</strong>
+      <span class="phone-match-state">bye</span></div>`;
+  }
+  const pairing = `<strong>${escapeHtml(m.teamA)}</strong> <span class="match-vs">vs</span> <strong>${escapeHtml(m.teamB)}</strong>`;
+  if (m.status === 'submitted') {
+    const games = m.games.map(g => `${g.a}-${g.b}`).join(', ');
+    return `<div class="phone-match phone-match--done">${pairing}
+      <span class="phone-match-state">✓ ${games}${m.forfeit ? ' (forfeit)' : ''}</span></div>`;
+  }
+  let state = `${escapeHtml(m.rule)} — tap to enter the score`;
+  if (m.disputed) state = '⚠️ Scores disputed — see the organizer';
+  else if (dualEntry && m.reportedBy.length > 0) state = `Reported by ${m.reportedBy.map(escapeHtml).join(', ')} — waiting for the other team`;
+  else if (m.waiting) state = '⏳ Score sent — waiting for the scorer\'s table';
+  return `<button type="button" class="phone-match" data-match="${escapeHtml(m.id)}"${m.disputed ? ' disabled' : ''}>
+    ${pairing}<span class="phone-match-state">${state}</span></button>`;
+}
+
+/**
+ * Draw the phone page's match list.
+ * @param {Object|null} round - bin/server.js's /api/league answer, or null if unavailable
+ */
+export function renderPhoneRound(round) {
+  const title = getEl('phoneTitle');
+  const list = getEl('phoneMatches');
+  if (title) title.textContent = round ? round.title : '';
+  if (!list) return;
+  list.innerHTML = round && round.matches.length > 0
+    ? round.matches.map(m => phoneMatchRow(m, round.dualEntry)).join('')
+    : '<p class="phone-empty">No matches to score right now</p>';
+}
+
+/**
+ * Open the phone score form for a match, or close it.
+ * @param {Object|null} match - Match from the phone page's round, or null to close
+ * @param {boolean} dualEntry - Whether the player must say which team they are
+ */
+export function renderPhoneForm(match, dualEntry) {
+  const form = getEl('phoneForm');
+  if (!form) return;
+  form.hidden = !match;
+  if (!match) {
+    form.innerHTML = '';
+    return;
+  }
+  const teamA = escapeHtml(match.teamA);
+  const teamB = escapeHtml(match.teamB);
+  const teamChoice = dualEntry ? `
+    <fieldset class="phone-team">
+      <legend>Your team</legend>
+      <label><input type="radio" name="phoneTeam" value="a"> ${teamA}</label>
+      <label><input type="radio" name="phoneTeam" value="b"> ${teamB}</label>
+    </fieldset>
+    <label class="phone-code">Team code <small>(from the organizer)</small>
+      <input type="text" inputmode="numeric" autocomplete="off" maxlength="8" name="phoneCode">
+    </label>` : '';
+  const games = match.bestOf === 3 ? [1, 2, 3] : [1];
+  const scoreInput = (game, side, team) => `<input type="number" inputmode="numeric" min="0"
+    class="phone-score" data-game="${game - 1}" data-side="${side}" aria-label="Game ${game}, ${team}">`;
+  form.innerHTML = `
+    <h3>${teamA} <span class="match-vs">vs</span> ${teamB}</h3>
+    <p class="phone-rule">${escapeHtml(match.rule)}</p>
+    ${teamChoice}
+    <div class="phone-games">
+      <span></span><span>${teamA}</span><span>${teamB}</span>
+      ${games.map(n => `<span>Game ${n}${n === 3 ? ' <small>(if needed)</small>' : ''}</span>
+        ${scoreInput(n, 'a', teamA)}${scoreInput(n, 'b', teamB)}`).join('')}
+    </div>
+    <div class="phone-actions">
+      <button type="submit" class="phone-send">Send Score</button>
+      <button type="button" class="phone-cancel">Cancel</button>
+    </div>`;
+  scrollToElement(form);
+}
+
+/**
+ * The score typed into the phone form; games left blank are left out.
+ * @param {Object} match - Match the form was opened for
+ * @returns {{team: string|null, code: string|null, games: Array<{a: number, b: number}>}}
+ *   team and code: the player's team and its code on a dual-entry form, null
+ *   if not chosen or not asked
+ */
+export function readPhoneScore(match) {
+  const form = getEl('phoneForm');
+  const rows = [];
+  form.querySelectorAll('.phone-score').forEach(input => {
+    const game = parseInt(input.dataset.game, 10);
+    rows[game] = { ...rows[game], [input.dataset.side]: input.value.trim() };
+  });
+  const team = form.querySelector('input[name="phoneTeam"]:checked');
+  const code = form.querySelector('input[name="phoneCode"]');
+  return {
+    team: team ? (team.value === 'a' ? match.teamA : match.teamB) : null,
+    code: code ? code.value.trim() : null,
+    games: rows.filter(r => r.a !== '' || r.b !== '').map(r => ({ a: parseInt(r.a, 10), b: parseInt(r.b, 10) })),
+  };
+}
+
+/** Disable the phone form's Send button while a score is on its way. */
+export function setPhoneFormBusy(busy) {
+  const send = document.querySelector('#phoneForm .phone-send');
+  if (send) send.disabled = busy;
+}
+
+/**
+ * Show a line above the phone page's match list.
+ * @param {string} message - Text to show ('' hides the line)
+ * @param {string} [kind='info'] - 'info', 'success' or 'error'
+ */
+export function showPhoneMessage(message, kind = 'info') {
+  const el = getEl('phoneMessage');
+  if (!el) return;
+  el.textContent = message;
+  el.className = `phone-message phone-message--${kind}`;
+  el.hidden = !message;
+}
+
 // --- Button State Management ---
 function setButtonDisabled(id, disabled) {
   const btn = getEl(id);
@@ -103,10 +616,26 @@ function setButtonDisabled(id, disabled) {
 export function updateButtonStates() {
   const swissRound = State.getSwissRound();
   const pending = State.getPending();
+  const seasonOver = State.isLeagueComplete() && State.isWeekComplete();
+  setButtonDisabled('playoffBtn', !seasonOver || !!State.getPlayoff() || playoffSize() < 2);
 
-  if (swissRound > 0 && swissRound < SWISS_ROUNDS) {
+  // The weeks are over once the playoff starts
+  if (State.getPlayoff()) {
+    ['checkInBtn', 'nextSwissBtn', 'startBracketBtn', 'nextWeekBtn'].forEach(id => setButtonDisabled(id, true));
+    return;
+  }
+  setButtonDisabled('checkInBtn', !State.hasTeams() || swissRound > 0 || State.isWeekComplete());
+
+  if (State.hasBracketStarted()) {
+    setButtonDisabled('nextSwissBtn', true);
+    setButtonDisabled('startBracketBtn', true);
+    setButtonDisabled('nextWeekBtn', !State.isWeekComplete());
+    return;
+  }
+
+  if (swissRound > 0 && !State.isSwissComplete()) {
     setButtonDisabled('nextSwissBtn', pending > 0);
-  } else if (swissRound === SWISS_ROUNDS) {
+  } else if (State.isSwissComplete()) {
     setButtonDisabled('nextSwissBtn', true);
     setButtonDisabled('startBracketBtn', pending > 0);
   } else {
@@ -116,24 +645,18 @@ export function updateButtonStates() {
   setButtonDisabled('nextWeekBtn', true);
 }
 
-export function setButtonsForNewWeek() {
-  setButtonDisabled('nextSwissBtn', false);
-  setButtonDisabled('startBracketBtn', true);
-  setButtonDisabled('nextWeekBtn', true);
+/** Enable Undo/Redo when there is a step to take, and name it in the tooltip. */
+export function updateHistoryButtons() {
+  const undoLabel = State.peekUndo();
+  const redoLabel = State.peekRedo();
+  setButtonDisabled('undoBtn', !undoLabel);
+  setButtonDisabled('redoBtn', !redoLabel);
+  const undoBtn = getEl('undoBtn');
+  const redoBtn = getEl('redoBtn');
+  if (undoBtn) undoBtn.title = undoLabel ? `Undo: ${undoLabel}` : 'Nothing to undo';
+  if (redoBtn) redoBtn.title = redoLabel ? `Redo: ${redoLabel}` : 'Nothing to redo';
 }
 
-export function setButtonsForLeagueStart() {
-  setButtonDisabled('nextSwissBtn', false);
-  setButtonDisabled('startBracketBtn', true);
-  setButtonDisabled('nextWeekBtn', true);
-}
-
-export function disableNextSwiss() { setButtonDisabled('nextSwissBtn', true); }
-export function enableNextSwiss() { setButtonDisabled('nextSwissBtn', false); }
-export function enableStartBracket() { setButtonDisabled('startBracketBtn', false); }
-export function disableStartBracket() { setButtonDisabled('startBracketBtn', true); }
-export function enableNextWeek() { setButtonDisabled('nextWeekBtn', false); }
-
 // --- Content Area ---
 export function getContentEl() {
   return getEl('content');
@@ -150,6 +673,15 @@ export function appendRound(roundEl) {
 }
 
 // --- Round Element Creation ---
+
+/** Heading of a round, e.g. "Week 3 – Swiss Round 2" or "Season Playoff – Final". */
+export function roundTitle(week, phase, round) {
+  if (phase === 'playoff') {
+    return `Season Playoff – ${playoffRoundName(round, playoffRoundCount(State.getPlayoff().seeds.length))}`;
+  }
+  return `Week ${week} – ${phase === 'swiss' ? 'Swiss' : 'Bracket'} Round ${round}`;
+}
+
 export function createRoundElement(title) {
   const el = document.createElement('div');
   el.className = 'round';
@@ -195,6 +727,242 @@ export function showConfirm(title, message) {
   });
 }
 
+// --- Choice Dialog (Promise-based, one button per choice) ---
+/**
+ * Ask the user to pick one of several options.
+ * @param {string} title - Dialog heading
+ * @param {string} message - Dialog body
+ * @param {string[]} choices - Button labels
+ * @returns {Promise<string|null>} The chosen label, or null if cancelled
+ */
+export function showChoice(title, message, choices) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-overlay';
+    overlay.innerHTML = `
+      <div class="confirm-dialog">
+        <h3>⚠️ ${escapeHtml(title)}</h3>
+        <p>${escapeHtml(message)}</p>
+        <div class="confirm-buttons">
+          ${choices.map((c, i) => `<button class="btn-confirm-choice" data-choice="${i}">${escapeHtml(c)}</button>`).join('')}
+          <button class="btn-confirm-no">Cancel</button>
+        </div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    overlay.querySelectorAll('.btn-confirm-choice').forEach(btn => {
+      btn.onclick = () => {
+        overlay.remove();
+        resolve(choices[Number(btn.dataset.choice)]);
+      };
+    });
+    overlay.querySelector('.btn-confirm-no').onclick = () => {
+      overlay.remove();
+      resolve(null);
+    };
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) { overlay.remove(); resolve(null); }
+    });
+  });
+}
+
+// --- PIN Dialog (Promise-based) ---
+/**
+ * Ask for a PIN; the digits are masked.
+ * @param {string} title - Dialog heading
+ * @param {string} message - Dialog body
+ * @returns {Promise<string|null>} The PIN as typed, or null if cancelled
+ */
+export function showPinPrompt(title, message) {
+  return new Promise(resolve => {
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-overlay';
+    overlay.innerHTML = `
+      <div class="confirm-dialog">
+        <h3>🔒 ${escapeHtml(title)}</h3>
+        <p>${escapeHtml(message)}</p>
+        <input type="password" class="pin-input" inputmode="numeric" autocomplete="off" maxlength="12">
+        <div class="confirm-buttons">
+          <button class="btn-confirm-no">Cancel</button>
+          <button class="btn-confirm-yes">OK</button>
+        </div>
+      </div>`;
+    document.body.appendChild(overlay);
+    const input = overlay.querySelector('.pin-input');
+    input.focus();
+
+    const done = value => {
+      overlay.remove();
+      resolve(value);
+    };
+    overlay.querySelector('.btn-confirm-yes').onclick = () => done(input.value);
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') done(input.value);
+    });
+    overlay.querySelector('.btn-confirm-no').onclick = () => done(null);
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) done(null);
+    });
+  });
+}
+
+// --- Admin Mode ---
+/**
+ * Show or hide admin-only controls and label the admin button.
+ * @param {boolean} admin - Whether admin actions are allowed
+ * @param {boolean} hasPin - Whether an admin PIN is set
+ */
+export function updateAdminMode(admin, hasPin) {
+  document.body.classList.toggle('admin-locked', !admin);
+  const btn = getEl('adminBtn');
+  if (!btn) return;
+  if (!hasPin) {
+    btn.textContent = '🔓 Set Admin PIN';
+    btn.title = 'No admin PIN — everyone can override, reset and import';
+  } else {
+    btn.textContent = admin ? '🔓 Admin' : '🔒 Admin';
+    btn.title = admin ? 'Admin mode unlocked' : 'Score entry only — enter the PIN for admin actions';
+  }
+}
+
+// --- Score Sheet Preview (Promise-based) ---
+/**
+ * Show a checked score sheet row by row before anything is submitted.
+ * @param {string} title - Dialog heading
+ * @param {Object} preview - previewScoreSheet() result
+ * @param {Object} [options]
+ * @param {boolean} [options.override=false] - The rows go in as admin overrides (dual-entry scoring)
+ * @returns {Promise<boolean>} True to submit the rows that passed
+ */
+export function showScoreSheetPreview(title, preview, { override = false } = {}) {
+  return new Promise(resolve => {
+    const ready = preview.results.length;
+    const flagged = preview.rows.filter(r => r.problem).length;
+    const rows = preview.rows.map(r => `
+      <tr class="${r.problem ? 'sheet-row--flagged' : 'sheet-row--ready'}">
+        <td>${r.line}</td>
+        <td>${escapeHtml(r.teamA)} vs ${escapeHtml(r.teamB)}</td>
+        <td>${escapeHtml(r.scores)}</td>
+        <td>${r.problem ? `⚠️ ${escapeHtml(r.problem)}` : '✓ Ready'}</td>
+      </tr>`).join('');
+    const missing = preview.missing.length > 0
+      ? `<p class="sheet-missing">Not on the sheet, still pending: ${preview.missing.map(escapeHtml).join(', ')}</p>`
+      : '';
+    const summary = `${ready} result${ready === 1 ? '' : 's'} ready` +
+      (flagged > 0 ? ` · ${flagged} flagged row${flagged === 1 ? '' : 's'} will be skipped` : '');
+    const overrideNote = override
+      ? '<p class="sheet-override">Dual-entry scoring is on: these results are admin overrides — they replace the teams\' reports and settle any disputes.</p>'
+      : '';
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-overlay';
+    overlay.innerHTML = `
+      <div class="confirm-dialog sheet-dialog">
+        <h3>📋 ${escapeHtml(title)}</h3>
+        <p>${escapeHtml(summary)}</p>
+        <table class="sheet-table">
+          <thead><tr><th>Line</th><th>Match</th><th>Scores</th><th>Check</th></tr></thead>
+          <tbody>${rows}</tbody>
+        </table>
+        ${missing}
+        ${overrideNote}
+        <div class="confirm-buttons">
+          <button class="btn-confirm-no">Cancel</button>
+          ${ready > 0 ? `<button class="btn-confirm-yes">${override ? 'Override' : 'Submit'} ${ready} Result${ready === 1 ? '' : 's'}</button>` : ''}
+        </div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    const submit = overlay.querySelector('.btn-confirm-yes');
+    if (submit) {
+      submit.onclick = () => {
+        overlay.remove();
+        resolve(true);
+      };
+    }
+    overlay.querySelector('.btn-confirm-no').onclick = () => {
+      overlay.remove();
+      resolve(false);
+    };
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) { overlay.remove(); resolve(false); }
+    });
+  });
+}
+
+// --- Weekly Check-In (Promise-based) ---
+/**
+ * Mark every rostered player present, absent or subbed before Swiss Round 1.
+ * Teams left short are flagged as they change; they forfeit the week.
+ * @param {Object} attendance - Engine.getAttendance() result
+ * @param {number} playersPerTeam - Players a team needs to play
+ * @returns {Promise<Array<{player: string, status: string, sub: string}>|null>}
+ *   Entries for Engine.checkIn, or null if cancelled
+ */
+export function showCheckIn(attendance, playersPerTeam) {
+  return new Promise(resolve => {
+    const teams = attendance.teams.map((team, t) => `
+      <div class="checkin-team" data-team="${t}">
+        <h4>${escapeHtml(team.name)} <span class="checkin-short"></span></h4>
+        ${team.players.map(p => `
+          <div class="checkin-player">
+            <span>${escapeHtml(p.name)}</span>
+            <select class="checkin-status" data-player="${escapeHtml(p.name)}">
+              ${['present', 'absent', 'subbed'].map(status =>
+                `<option value="${status}"${p.status === status ? ' selected' : ''}>${status[0].toUpperCase()}${status.slice(1)}</option>`).join('')}
+            </select>
+            <input type="text" class="checkin-sub" placeholder="Substitute" value="${escapeHtml(p.sub || '')}">
+          </div>`).join('')}
+      </div>`).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'confirm-overlay';
+    overlay.innerHTML = `
+      <div class="confirm-dialog sheet-dialog">
+        <h3>🗒️ Week ${attendance.week} Check-In</h3>
+        <p>Who is here? A team without ${playersPerTeam} players forfeits its matches this week.</p>
+        ${teams}
+        <div class="confirm-buttons">
+          <button class="btn-confirm-no">Cancel</button>
+          <button class="btn-confirm-yes">Check In &amp; Start Round 1</button>
+        </div>
+      </div>`;
+    document.body.appendChild(overlay);
+
+    // Show the substitute box only for subbed players, and flag short teams
+    const refresh = () => {
+      overlay.querySelectorAll('.checkin-team').forEach(teamEl => {
+        let playing = 0;
+        teamEl.querySelectorAll('.checkin-player').forEach(row => {
+          const status = row.querySelector('.checkin-status').value;
+          row.querySelector('.checkin-sub').style.display = status === 'subbed' ? '' : 'none';
+          if (status !== 'absent') playing++;
+        });
+        teamEl.querySelector('.checkin-short').textContent = playing < playersPerTeam ? '⚠️ forfeits this week' : '';
+      });
+    };
+    overlay.addEventListener('change', refresh);
+    refresh();
+
+    overlay.querySelector('.btn-confirm-yes').onclick = () => {
+      const entries = [...overlay.querySelectorAll('.checkin-player')].map(row => ({
+        player: row.querySelector('.checkin-status').dataset.player,
+        status: row.querySelector('.checkin-status').value,
+        sub: row.querySelector('.checkin-sub').value.trim(),
+      }));
+      overlay.remove();
+      resolve(entries);
+    };
+    overlay.querySelector('.btn-confirm-no').onclick = () => {
+      overlay.remove();
+      resolve(null);
+    };
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) { overlay.remove(); resolve(null); }
+    });
+  });
+}
+
 // --- Inline Error Message (replaces alert() for match errors) ---
 export function showMatchError(matchEl, message) {
   let errorEl = matchEl.querySelector('.match-error');
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Engine from '../js/engine.js';
+import { SCHEMA_VERSION } from '../js/schema.js';
+import { startLeague, playWeek, playRound } from './helpers.js';
+
+/** A backup as it travels through a file: plain JSON. */
+const throughFile = backup => JSON.parse(JSON.stringify(backup));
+
+/** Everything a backup holds except its export time and the audit log. */
+const league = ({ exportDate, audit, ...rest }) => rest;
+
+test('a full backup restores the same league, mid-week included', () => {
+  startLeague(8);
+  playWeek();
+  Engine.nextWeek();
+  Engine.checkIn([]);
+  Engine.generateRound();
+  playRound();
+  const backup = throughFile(Engine.exportBackup());
+  const standings = Engine.getStandings();
+
+  startLeague(6);
+  const result = Engine.importBackup(backup);
+  assert.equal(result.error, undefined, result.error);
+  assert.equal(result.week, 2);
+  assert.equal(result.upgradedFrom, null);
+  assert.deepEqual(Engine.getStandings(), standings);
+  assert.deepEqual(league(throughFile(Engine.exportBackup())), league(backup));
+});
+
+test('a restored league plays on', () => {
+  startLeague(8);
+  Engine.generateRound();
+  playRound();
+  const backup = throughFile(Engine.exportBackup());
+  startLeague(8);
+  Engine.importBackup(backup);
+  const next = Engine.generateRound();
+  assert.equal(next.error, undefined, next.error);
+  assert.equal(next.round, 2);
+});
+
+test('a backup is stamped with the current schema version', () => {
+  startLeague(4);
+  assert.equal(Engine.exportBackup().version, SCHEMA_VERSION);
+});
+
+test('an invalid backup is rejected and the league is kept', () => {
+  startLeague(8);
+  Engine.generateRound();
+  const before = Engine.getStandings();
+  const broken = throughFile(Engine.exportBackup());
+  broken.teams = broken.teams.slice(0, 2);
+  assert.ok(Engine.importBackup(broken).error);
+  assert.ok(Engine.importBackup({ hello: 'world' }).error);
+  assert.deepEqual(Engine.getStandings(), before);
+});
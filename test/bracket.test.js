@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Engine from '../js/engine.js';
+import * as State from '../js/state.js';
+import { startLeague, playWeek, playRound } from './helpers.js';
+
+/** League points of every player, by name. */
+const points = () => Object.fromEntries(Engine.getStandings().league.map(p => [p.name, p.pts]));
+
+test('the bracket cannot start before the Swiss rounds are finished', () => {
+  startLeague(8);
+  Engine.generateRound();
+  assert.match(Engine.startBracket().error, /Swiss/);
+});
+
+test('the last bracket result finalizes the week and archives every placement', () => {
+  startLeague(8);
+  const finalized = [];
+  const onFinalized = ({ week }) => finalized.push(week);
+  Engine.on('weekFinalized', onFinalized);
+  playWeek();
+  Engine.off('weekFinalized', onFinalized);
+
+  assert.deepEqual(finalized, [1]);
+  assert.ok(State.isWeekComplete());
+  const { entry } = Engine.finalizeWeek();
+  assert.equal(entry.week, 1);
+  assert.deepEqual(entry.placements.map(p => p.place), [1, 2, 3, 4, 5, 6, 7, 8]);
+});
+
+test('placement points follow the 8-team table', () => {
+  startLeague(8);
+  playWeek();
+  // The lower team number always wins, so Team N finishes Nth
+  const expected = { 1: 15, 2: 8, 3: 8, 4: 6, 5: 6, 6: 4, 7: 4, 8: 2 };
+  const pts = points();
+  Object.entries(expected).forEach(([team, pts_]) => {
+    assert.equal(pts[`P${team}a`], pts_, `Team ${team}`);
+    assert.equal(pts[`P${team}b`], pts_, `Team ${team}`);
+  });
+});
+
+test('points accumulate across weeks and Swiss records reset', () => {
+  startLeague(8);
+  playWeek();
+  assert.equal(Engine.nextWeek().week, 2);
+  assert.ok(Engine.getStandings().swiss.every(row => row.w === 0 && row.l === 0));
+  Engine.checkIn([]);
+  playWeek();
+  assert.equal(points().P1a, 30);
+  assert.equal(points().P8b, 4);
+});
+
+test('a week cannot be advanced before it is finalized', () => {
+  startLeague(8);
+  Engine.generateRound();
+  playRound();
+  assert.match(Engine.nextWeek().error, /not finalized/);
+});
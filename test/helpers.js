@@ -0,0 +1,69 @@
+/**
+ * @module test/helpers
+ * @description Shared setup for the engine tests — leagues, check-in and
+ * played rounds. Results are decided by team number so every run pairs and
+ * scores the same way.
+ */
+import assert from 'node:assert/strict';
+import * as Engine from '../js/engine.js';
+import * as State from '../js/state.js';
+
+/** Roster of `count` teams: "Team 1" with players P1a and P1b, and so on. */
+export function roster(count) {
+  return Array.from({ length: count }, (_, i) => ({ name: `Team ${i + 1}`, players: [`P${i + 1}a`, `P${i + 1}b`] }));
+}
+
+/** Number of a team named "Team N". */
+export const teamNumber = name => parseInt(name.slice(5), 10);
+
+/** Default result: the team with the lower number wins. */
+export const lowerNumberWins = m => teamNumber(m.teamA) < teamNumber(m.teamB);
+
+/**
+ * Start a league of `count` teams and check in Week 1 with everyone present.
+ */
+export function startLeague(count = 8) {
+  const created = Engine.createLeague(roster(count));
+  assert.equal(created.error, undefined, created.error);
+  const checked = Engine.checkIn([]);
+  assert.equal(checked.error, undefined, checked.error);
+}
+
+/**
+ * Game scores for a win by team A (or team B): one game, or two straight
+ * games for Best-of-3.
+ */
+export function winGames(bestOf, aWins = true) {
+  const game = aWins ? { a: 11, b: 6 } : { a: 6, b: 11 };
+  return bestOf === 3 ? [game, { ...game }] : [game];
+}
+
+/**
+ * Submit a win for every pending match of the current round.
+ * @param {Function} [aWins=lowerNumberWins] - match → whether team A wins
+ * @returns {Object[]} The round's matches before they were played
+ */
+export function playRound(aWins = lowerNumberWins) {
+  const { matches } = Engine.getRound();
+  matches.filter(m => m.status === 'pending').forEach(m => {
+    const result = Engine.submitResult(m.id, winGames(m.bestOf, aWins(m)));
+    assert.equal(result.error, undefined, result.error);
+  });
+  return matches;
+}
+
+/**
+ * Play the rest of the week — every Swiss round, then the placement
+ * bracket — until it is finalized.
+ * @param {Function} [aWins=lowerNumberWins] - match → whether team A wins
+ */
+export function playWeek(aWins = lowerNumberWins) {
+  while (!State.isWeekComplete()) {
+    if (State.getPending() > 0) {
+      playRound(aWins);
+      continue;
+    }
+    const next = State.isSwissComplete() ? Engine.startBracket() : Engine.generateRound();
+    assert.equal(next.error, undefined, next.error);
+  }
+}
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as Engine from '../js/engine.js';
+import * as State from '../js/state.js';
+import { startLeague, playRound, playWeek } from './helpers.js';
+
+/** A league saved by version 1.1 of the app, as found in localStorage. */
+const fixture = name => JSON.parse(readFileSync(new URL(`fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+const points = () => Object.fromEntries(Engine.getStandings().league.map(p => [p.name, p.pts]));
+
+test('a 1.1 save taken after advancing a week plays the new week', () => {
+  startLeague(8);
+  const result = Engine.importBackup(fixture('v1.1-week2'));
+  assert.equal(result.error, undefined, result.error);
+  assert.equal(result.upgradedFrom, '1.1');
+  assert.equal(result.week, 2);
+  assert.ok(!State.hasBracketStarted());
+
+  assert.equal(Engine.checkIn([]).error, undefined);
+  const round = Engine.generateRound();
+  assert.equal(round.error, undefined, round.error);
+  playRound(() => true);
+  assert.equal(State.getSwissRound(), 1);
+  assert.equal(points().P1a, 15);
+
+  playWeek(() => true);
+  assert.equal(Engine.nextWeek().error, undefined);
+  assert.equal(State.getWeek(), 3);
+});
+
+test('a 1.1 save of a finished week moves on to the next week', () => {
+  startLeague(8);
+  const result = Engine.importBackup(fixture('v1.1-week1-finished'));
+  assert.equal(result.error, undefined, result.error);
+  assert.equal(result.week, 2);
+  assert.equal(State.getSwissRound(), 0);
+  assert.ok(!State.hasBracketStarted());
+  assert.equal(points().P1a, 15);
+
+  assert.equal(Engine.checkIn([]).error, undefined);
+  assert.equal(Engine.generateRound().error, undefined);
+});
+
+test('week-1 points of a 1.1 save survive a correction after the upgrade', () => {
+  startLeague(8);
+  Engine.importBackup(fixture('v1.1-week2'));
+  const weekOne = points();
+  assert.equal(weekOne.P1a, 15);
+  assert.equal(weekOne.P8b, 2);
+  assert.deepEqual(State.getLeagueBaseline().P1a, { pts: 15, w: 3, l: 0, pd: 18 });
+
+  Engine.checkIn([]);
+  playWeek(() => true);
+  const record = State.findArchivedWeek(2).matches.find(m => m.phase === 'swiss' && m.round === 1);
+  const result = Engine.correctArchivedMatch(2, record.id, record.games.map(g => ({ a: g.b, b: g.a })));
+  assert.equal(result.error, undefined, result.error);
+
+  // Week 2 is re-derived; week 1, which only the upgraded totals hold, stays
+  const weekTwo = Object.fromEntries(Engine.getStandings().league.map(p => [p.name, p.pts - weekOne[p.name]]));
+  Engine.getStandings().league.forEach(p => assert.ok(p.pts >= weekOne[p.name], p.name));
+  assert.equal(Object.values(weekTwo).reduce((sum, pts) => sum + pts, 0), 2 * (15 + 8 + 8 + 6 + 6 + 4 + 4 + 2));
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Engine from '../js/engine.js';
+import { scoreSheetCSV, previewScoreSheet } from '../js/scoresheet.js';
+import { parseCSV, toCSV } from '../js/csvformat.js';
+import { startLeague, playRound } from './helpers.js';
+
+/** The round's blank sheet with every match scored 11-7 for team A. */
+function filledSheet(round) {
+  const { rows } = parseCSV(scoreSheetCSV(round));
+  return toCSV(rows.map((row, i) => (i === 0 ? row : [...row.slice(0, 3), '11', '7'])));
+}
+
+test('the blank sheet keeps each team\'s points in a column of its own', () => {
+  startLeague(8);
+  Engine.generateRound();
+  const { rows } = parseCSV(scoreSheetCSV(Engine.getRound()));
+  assert.deepEqual(rows[0], ['Round', 'Team A', 'Team B', 'Game 1 A', 'Game 1 B', 'Game 2 A', 'Game 2 B', 'Game 3 A', 'Game 3 B']);
+  assert.equal(rows.length, 5);
+
+  playRound();
+  const scored = parseCSV(scoreSheetCSV(Engine.getRound())).rows;
+  assert.deepEqual(scored[1].slice(3), ['11', '6', '', '', '', '']);
+});
+
+test('a filled sheet submits every match', () => {
+  startLeague(8);
+  Engine.generateRound();
+  const round = Engine.getRound();
+  const preview = previewScoreSheet(filledSheet(round), round);
+  assert.equal(preview.error, undefined, preview.error);
+  assert.equal(preview.results.length, 4);
+  assert.deepEqual(preview.results[0].games, [{ a: 11, b: 7 }]);
+  assert.equal(preview.rows[0].scores, '11-7');
+  assert.equal(Engine.submitResults(preview.results).error, undefined);
+  assert.equal(Engine.getRound().matches.every(m => m.status === 'submitted'), true);
+});
+
+test('a game with one team\'s points missing is flagged', () => {
+  startLeague(8);
+  Engine.generateRound();
+  const round = Engine.getRound();
+  const { rows } = parseCSV(filledSheet(round));
+  rows[1][4] = '';
+  const preview = previewScoreSheet(toCSV(rows), round);
+  assert.match(preview.rows[0].problem, /^Game 1: "11-" is not a score/);
+  assert.equal(preview.results.length, 3);
+});
+
+test('older sheets with the score in one cell per game still import', () => {
+  startLeague(8);
+  Engine.generateRound();
+  const round = Engine.getRound();
+  const [a, b] = round.matches;
+  const text = toCSV([
+    ['Round', 'Team A', 'Team B', 'Game 1', 'Game 2', 'Game 3'],
+    ['Swiss 1', a.teamA, a.teamB, '11-7', '', ''],
+    ['Swiss 1', b.teamB, b.teamA, "'7-11", '', ''],
+  ]);
+  const preview = previewScoreSheet(text, round);
+  assert.equal(preview.error, undefined, preview.error);
+  assert.deepEqual(preview.results.map(r => r.games), [[{ a: 11, b: 7 }], [{ a: 11, b: 7 }]]);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import * as Engine from '../js/engine.js';
+import * as State from '../js/state.js';
+import { startLeague, playWeek } from './helpers.js';
+
+const fixture = name => JSON.parse(readFileSync(new URL(`fixtures/${name}.json`, import.meta.url), 'utf8'));
+
+const points = () => Object.fromEntries(Engine.getStandings().league.map(p => [p.name, p.pts]));
+
+test('correcting a past match keeps points from weeks the archive does not cover', () => {
+  startLeague(8);
+  Engine.importBackup(fixture('v1.1-week2'));
+  Engine.checkIn([]);
+  playWeek(() => true);
+  const before = points();
+  assert.equal(before.P1a, 30);
+
+  const record = State.findArchivedWeek(2).matches.find(m => m.id === 'w2-swiss-r1-m1');
+  const result = Engine.correctArchivedMatch(2, record.id, record.games);
+  assert.equal(result.error, undefined, result.error);
+  assert.deepEqual(points(), before);
+});
+
+test('correcting a past match re-derives the archived weeks', () => {
+  startLeague(8);
+  playWeek();
+  const before = points();
+  const record = State.findArchivedWeek(1).matches.find(m => m.phase === 'bracket' && m.round === 3 && m.slot === 0);
+  Engine.correctArchivedMatch(1, record.id, record.games.map(g => ({ a: g.b, b: g.a })));
+  const after = points();
+  assert.equal(after.P1a, before.P2a);
+  assert.equal(after.P2a, before.P1a);
+});
+
+test('imported league totals survive a correction of a past week', () => {
+  startLeague(8);
+  playWeek();
+  const rows = Engine.getStandings().league.map(p => ({ name: p.name, pts: p.pts + 10, w: p.w, l: p.l, pd: p.pd }));
+  const events = [];
+  const stop = Engine.on('standingsImported', e => events.push(e));
+  const result = Engine.importStandings('league', rows, { source: ' from league.csv' });
+  stop();
+  assert.deepEqual(result, { kind: 'league', count: 16 });
+  assert.deepEqual(events, [result]);
+  assert.equal(Engine.getAudit({ action: 'import' })[0].summary, 'League standings imported from league.csv');
+  const imported = points();
+
+  const record = State.findArchivedWeek(1).matches.find(m => m.phase === 'swiss');
+  Engine.correctArchivedMatch(1, record.id, record.games);
+  assert.deepEqual(points(), imported);
+});
+
+test('a standings import must list every player or team once', () => {
+  startLeague(8);
+  const rows = Engine.getStandings().swiss.map(t => ({ name: t.team, w: 1, l: 0, pd: 3 }));
+  assert.match(Engine.importStandings('swiss', rows.slice(1)).error, /7 teams listed but the league has 8/);
+  assert.match(Engine.importStandings('swiss', [...rows.slice(1), { ...rows[1], line: 9 }]).error, /^Line 9: "Team \d" is listed twice/);
+  assert.match(Engine.importStandings('swiss', [...rows.slice(1), { ...rows[0], name: 'Nobody' }]).error, /unknown team "Nobody"/);
+  assert.equal(Engine.importStandings('swiss', rows).error, undefined);
+  assert.ok(Engine.getStandings().swiss.every(t => t.w === 1 && t.pd === 3));
+});
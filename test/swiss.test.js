@@ -0,0 +1,97 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import * as Engine from '../js/engine.js';
+import * as State from '../js/state.js';
+import { swissDeciderRound } from '../js/config.js';
+import { startLeague, playRound } from './helpers.js';
+
+/** "Team 1|Team 2" for a pairing, whichever way round. */
+const pairKey = m => [m.teamA, m.teamB].sort().join('|');
+
+test('round 1 pairs every team once in single games', () => {
+  startLeague(8);
+  const { round, matches } = Engine.generateRound();
+  assert.equal(round, 1);
+  assert.equal(matches.length, 4);
+  assert.ok(matches.every(m => m.status === 'pending' && m.bestOf === 1));
+  const teams = matches.flatMap(m => [m.teamA, m.teamB]);
+  assert.equal(new Set(teams).size, 8);
+  assert.equal(State.getPending(), 4);
+});
+
+test('a round cannot be generated while matches are pending', () => {
+  startLeague(8);
+  Engine.generateRound();
+  assert.match(Engine.generateRound().error, /pending/);
+});
+
+test('later rounds pair teams with the same record', () => {
+  startLeague(8);
+  Engine.generateRound();
+  playRound();
+  const { matches } = Engine.generateRound();
+  const wins = Object.fromEntries(Engine.getStandings().swiss.map(row => [row.team, row.w]));
+  matches.forEach(m => assert.equal(wins[m.teamA], wins[m.teamB], `${m.teamA} vs ${m.teamB}`));
+});
+
+test('no team meets the same opponent twice in a week while another pairing exists', () => {
+  startLeague(8);
+  const warnings = [];
+  const onWarning = ({ message }) => warnings.push(message);
+  Engine.on('warning', onWarning);
+  const seen = new Set();
+  for (let round = 1; round <= State.getSwissRoundCount(); round++) {
+    Engine.generateRound().matches.forEach(m => {
+      assert.ok(!seen.has(pairKey(m)), `rematch ${pairKey(m)} in round ${round}`);
+      seen.add(pairKey(m));
+    });
+    playRound();
+  }
+  Engine.off('warning', onWarning);
+  assert.deepEqual(warnings, []);
+});
+
+test('the decider round plays Best-of-3 for the unbeaten and winless teams only', () => {
+  startLeague(8);
+  const decider = swissDeciderRound(8);
+  for (let round = 1; round < decider; round++) {
+    Engine.generateRound();
+    playRound();
+  }
+  const wins = Object.fromEntries(Engine.getStandings().swiss.map(row => [row.team, row.w]));
+  const { matches } = Engine.generateRound();
+  assert.ok(matches.length > 0);
+  matches.forEach(m => {
+    const extreme = wins[m.teamA] === decider - 1 || wins[m.teamA] === 0;
+    assert.equal(m.bestOf, extreme ? 3 : 1, `${m.teamA} vs ${m.teamB}`);
+  });
+});
+
+test('an odd field gives at most one bye per round, never twice to the same team in a week', () => {
+  startLeague(7);
+  const byes = [];
+  for (let round = 1; round <= State.getSwissRoundCount(); round++) {
+    const { matches } = Engine.generateRound();
+    const roundByes = matches.filter(m => m.status === 'bye').map(m => m.teamA);
+    // The final round only brings back the teams level after the decider
+    assert.ok(roundByes.length <= 1, `round ${round}`);
+    if (round === 1) assert.equal(roundByes.length, 1);
+    byes.push(...roundByes);
+    playRound();
+  }
+  assert.equal(new Set(byes).size, byes.length);
+});
+
+test('the bye goes to the lowest-ranked team and counts as a win', () => {
+  startLeague(7);
+  Engine.generateRound();
+  playRound();
+  const before = Engine.getStandings().swiss;
+  const { matches } = Engine.generateRound();
+  const bye = matches.find(m => m.status === 'bye').teamA;
+  const hadBye = new Set(State.getRoundMatches(1, 'swiss', 1).filter(m => m.status === 'bye').map(m => m.teamA));
+  const lowest = before.filter(row => !hadBye.has(row.team)).pop().team;
+  assert.equal(bye, lowest);
+  const row = Engine.getStandings().swiss.find(r => r.team === bye);
+  assert.equal(row.w, before.find(r => r.team === bye).w + 1);
+});